@@ -0,0 +1,139 @@
+/**
+ * analysis-history のテスト
+ */
+
+const analysisHistory = require('../analysis-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * テスト用の Firestore（where・get・batch のみ、実行したクエリの条件を記録する）
+ */
+function createFakeDb(docs) {
+  const store = new Map(docs.map((data, index) => [`h${index}`, data]));
+  const queries = [];
+  const matches = (value, op, expected) => {
+    if (op === '==') return value === expected;
+    if (op === '<') return value < expected;
+    return value >= expected;
+  };
+  
+  const query = filters => ({
+    where: (field, op, value) => query([...filters, [field, op, value]]),
+    get: async () => {
+      queries.push(filters);
+      
+      const results = [...store.entries()]
+        .filter(([, data]) => filters.every(([field, op, value]) => matches(data[field], op, value)))
+        .map(([id, data]) => ({ id, ref: { id }, data: () => data }));
+      
+      return { forEach: callback => results.forEach(callback) };
+    }
+  });
+  
+  return {
+    store,
+    queries,
+    commits: 0,
+    collection() {
+      return query([]);
+    },
+    batch() {
+      const ids = [];
+      
+      return {
+        delete: ref => ids.push(ref.id),
+        commit: async () => {
+          this.commits++;
+          ids.forEach(id => store.delete(id));
+        }
+      };
+    }
+  };
+}
+
+/**
+ * 履歴の要約
+ */
+function summary(userId, mediaType, score, daysAgo, issueCounts = []) {
+  return {
+    userId,
+    mediaType,
+    score,
+    issueCount: issueCounts.reduce((sum, entry) => sum + entry.count, 0),
+    issueCounts,
+    timestamp: Date.now() - daysAgo * DAY_MS
+  };
+}
+
+describe('summarizeAnalysis', () => {
+  test('指摘をルールごとに数え、本文は storeText を指定した場合のみ含める', () => {
+    const result = {
+      mediaScore: 80,
+      issues: [
+        { type: 'ambiguousPhrase', rule: 'たくさん' },
+        { type: 'ambiguousPhrase', rule: 'たくさん' },
+        { type: 'properNoun', rule: '社名' }
+      ]
+    };
+    
+    const saved = analysisHistory.summarizeAnalysis(result, { userId: 'u1', text: '本文' });
+    
+    expect(saved).toMatchObject({
+      userId: 'u1',
+      documentId: null,
+      mediaType: '一般',
+      score: 80,
+      textLength: 2,
+      issueCount: 3,
+      issuesByType: { ambiguousPhrase: 2, properNoun: 1 },
+      issueCounts: [
+        { type: 'ambiguousPhrase', rule: 'たくさん', count: 2 },
+        { type: 'properNoun', rule: '社名', count: 1 }
+      ]
+    });
+    expect(saved.text).toBeUndefined();
+    expect(analysisHistory.summarizeAnalysis(result, { text: '本文', storeText: true }).text).toBe('本文');
+  });
+});
+
+describe('getAnalysisStats', () => {
+  const docs = [
+    summary('u1', '新聞', 60, 20, [{ type: 'ambiguousPhrase', rule: 'たくさん', count: 3 }]),
+    summary('u1', '新聞', 90, 1, [{ type: 'ambiguousPhrase', rule: 'たくさん', count: 1 }]),
+    summary('u2', '放送', 70, 1, [{ type: 'properNoun', rule: '社名', count: 2 }]),
+    summary('u1', '新聞', 10, 200)
+  ];
+  
+  test('期間内の履歴を集計し、ユーザーごとに最初の週と最新の週を比べる', async () => {
+    const stats = await analysisHistory.getAnalysisStats(createFakeDb(docs), { weeks: 4 });
+    
+    expect(stats.totals).toEqual({ analyses: 3, averageScore: 73.3, averageIssueCount: 2 });
+    expect(stats.topRules.map(rule => [rule.rule, rule.count, rule.analyses])).toEqual([['たくさん', 4, 2], ['社名', 2, 1]]);
+    expect(stats.users[0]).toMatchObject({ userId: 'u1', analyses: 2, firstWeekAverage: 60, latestWeekAverage: 90, scoreChange: 30 });
+    expect(stats.users[1]).toMatchObject({ userId: 'u2', scoreChange: null });
+  });
+  
+  test('ユーザーとメディア種別の絞り込みはクエリの条件にする', async () => {
+    const db = createFakeDb(docs);
+    const stats = await analysisHistory.getAnalysisStats(db, { weeks: 4, userId: 'u1', mediaType: '新聞' });
+    
+    expect(db.queries[0].map(([field, op]) => `${field} ${op}`)).toEqual(['userId ==', 'mediaType ==', 'timestamp >=']);
+    expect(stats.totals.analyses).toBe(2);
+  });
+});
+
+describe('cleanupOldAnalyses', () => {
+  test('保持期間を過ぎた履歴をバッチに分けて削除する', async () => {
+    const old = Array.from({ length: analysisHistory.CONFIG.BATCH_SIZE + 1 }, () => summary('u1', '新聞', 50, analysisHistory.CONFIG.MAX_AGE_DAYS + 1));
+    const db = createFakeDb([...old, summary('u1', '新聞', 50, 1)]);
+    
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    expect(await analysisHistory.cleanupOldAnalyses(db)).toEqual({ success: true, count: old.length });
+    expect(db.commits).toBe(2);
+    expect(db.store.size).toBe(1);
+    
+    console.log.mockRestore();
+  });
+});
\ No newline at end of file
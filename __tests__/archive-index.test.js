@@ -0,0 +1,166 @@
+/**
+ * archive-index のテスト（Drive は変更フィードを含めてテスト用の実装に置き換える）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-index-test-'));
+process.env.ARCHIVE_INDEX_DIR = storageDir;
+
+const archiveIndex = require('../archive-index');
+
+const DOCS = 'application/vnd.google-apps.document';
+const TEXT = 'text/plain';
+
+/**
+ * テスト用の Drive（files.list・files.export・files.get・changes のみ）
+ * pendingChanges に積んだ変更を次の changes.list で返す
+ */
+function createFakeDrive(files) {
+  const drive = {
+    pendingChanges: [],
+    files: {
+      list: async () => ({ data: { files: files.map(({ content, ...file }) => file) } }),
+      export: async request => ({ data: files.find(file => file.id === request.fileId).content }),
+      get: async request => ({ data: Buffer.from(files.find(file => file.id === request.fileId).content) })
+    },
+    changes: {
+      getStartPageToken: async () => ({ data: { startPageToken: '1' } }),
+      list: async () => ({ data: { changes: drive.pendingChanges.splice(0), newStartPageToken: '2' } })
+    }
+  };
+  
+  return drive;
+}
+
+const files = [
+  {
+    id: 'a',
+    name: '選挙速報',
+    mimeType: DOCS,
+    modifiedTime: '2026-10-01T00:00:00.000Z',
+    owners: [{ emailAddress: 'Desk@example.com' }],
+    content: '衆院選挙の投票率は過去最低となった。選挙管理委員会が発表した。'
+  },
+  {
+    id: 'b',
+    name: '議事録',
+    mimeType: TEXT,
+    modifiedTime: '2026-09-01T00:00:00.000Z',
+    content: '補欠選挙について議論した。ＡＢＣ社の件。'
+  },
+  {
+    id: 'c',
+    name: 'memo',
+    mimeType: DOCS,
+    modifiedTime: '2026-08-01T00:00:00.000Z',
+    content: '天気は晴れ。'
+  }
+];
+
+const drive = createFakeDrive(files);
+
+/**
+ * 検索結果のファイルIDの一覧
+ */
+async function searchIds(keyword, options = {}) {
+  const result = await archiveIndex.searchIndex(keyword, null, null, options);
+  return result.items.map(item => item.id);
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('アーカイブ索引', () => {
+  test('構築前の検索は409のエラーにする', async () => {
+    await expect(archiveIndex.searchIndex('選挙')).rejects.toMatchObject({ statusCode: 409 });
+  });
+  
+  test('Drive の文書から索引を構築して保存する', async () => {
+    const { started } = await archiveIndex.rebuildIndex(drive);
+    expect(started).toBe(true);
+    
+    // 実行中の構築の完了を待つ
+    await archiveIndex.syncIndex(drive);
+    
+    const status = await archiveIndex.getIndexStatus();
+    
+    expect(status).toMatchObject({ state: 'idle', built: true, documentCount: 3, failed: 0, storageDir });
+    expect(fs.existsSync(path.join(storageDir, 'index.jsonl'))).toBe(true);
+    expect(fs.readdirSync(path.join(storageDir, 'texts'))).toHaveLength(3);
+  });
+  
+  test('一致度の高い順に返し、本文からスニペットを作成する', async () => {
+    const result = await archiveIndex.searchIndex('選挙', null, null, { maxContexts: 2 });
+    
+    expect(result.total).toBe(2);
+    expect(result.items.map(item => item.id)).toEqual(['a', 'b']);
+    expect(result.items[0].score).toBeGreaterThan(result.items[1].score);
+    expect(result.items[0].contexts).toHaveLength(2);
+    expect(result.items[0].snippet).toContain('選挙');
+  });
+  
+  test('除外・OR・フレーズ・フィールドの指定と全角英数字の正規化', async () => {
+    expect(await searchIds('選挙 -補欠')).toEqual(['a']);
+    expect(await searchIds('abc OR 晴れ')).toEqual(['c', 'b']);
+    expect(await searchIds('title:議事録')).toEqual(['b']);
+    expect(await searchIds('owner:desk@example.com')).toEqual(['a']);
+    expect(await searchIds('"選挙管理"')).toEqual(['a']);
+    expect(await searchIds('"管理選挙"')).toEqual([]);
+  });
+  
+  test('カーソルで続きのページを取得し、検索条件の異なるカーソルは拒否する', async () => {
+    const first = await archiveIndex.searchIndex('選挙', null, null, { pageSize: 1 });
+    
+    expect(first.items.map(item => item.id)).toEqual(['a']);
+    expect(first.hasMore).toBe(true);
+    
+    const second = await archiveIndex.searchIndex('選挙', null, null, { pageSize: 1, cursor: first.nextCursor });
+    
+    expect(second.items.map(item => item.id)).toEqual(['b']);
+    expect(second.hasMore).toBe(false);
+    
+    await expect(archiveIndex.searchIndex('投票', null, null, { pageSize: 1, cursor: first.nextCursor }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+  
+  test('変更フィードの追加・更新・削除を反映し、使われなくなった本文ファイルを削除する', async () => {
+    files[0].content = '差し替え後の本文';
+    files.push({ id: 'e', name: '新着', mimeType: TEXT, modifiedTime: '2026-10-10T00:00:00.000Z', content: '選挙 選挙 選挙' });
+    
+    const { content, ...updated } = files[0];
+    drive.pendingChanges.push(
+      { fileId: 'a', file: { ...updated, modifiedTime: '2026-10-11T00:00:00.000Z' } },
+      { fileId: 'b', removed: true },
+      { fileId: 'e', file: { id: 'e', name: '新着', mimeType: TEXT, modifiedTime: '2026-10-10T00:00:00.000Z' } }
+    );
+    
+    const status = await archiveIndex.syncIndex(drive);
+    
+    expect(status.documentCount).toBe(3);
+    expect(await searchIds('選挙')).toEqual(['e']);
+    expect(await searchIds('差し替え')).toEqual(['a']);
+    expect(fs.readdirSync(path.join(storageDir, 'texts'))).toHaveLength(3);
+  });
+  
+  test('保存した索引を読み込み直して検索できる', async () => {
+    let reloaded;
+    
+    jest.isolateModules(() => {
+      reloaded = require('../archive-index');
+    });
+    
+    const result = await reloaded.searchIndex('選挙 OR 晴れ');
+    
+    expect(result.items.map(item => item.id)).toEqual(['e', 'c']);
+    expect((await reloaded.getIndexStatus()).documentCount).toBe(3);
+  });
+});
\ No newline at end of file
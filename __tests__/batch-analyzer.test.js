@@ -0,0 +1,117 @@
+/**
+ * batch-analyzer のテスト
+ */
+
+const batchAnalyzer = require('../batch-analyzer');
+
+/**
+ * テスト用の分析関数（受け取った項目とルールを記録し、テキストの長さをスコアとして返す）
+ */
+function createFakeAnalyze() {
+  const calls = [];
+  
+  const analyze = async (item, rules) => {
+    calls.push({ item, rules });
+    
+    if (item.text === '失敗') {
+      throw new Error('分析に失敗しました');
+    }
+    
+    return {
+      mediaScore: item.text.length,
+      issues: [{ type: 'ambiguousPhrase' }]
+    };
+  };
+  
+  return { analyze, calls };
+}
+
+describe('analyzeBatch', () => {
+  test('各項目をメディア種別ごとのルールとリクエストの既定値とともに分析関数に渡す', async () => {
+    const { analyze, calls } = createFakeAnalyze();
+    const getRules = jest.fn(async mediaType => ({ name: mediaType }));
+    
+    await batchAnalyzer.analyzeBatch(
+      [
+        { id: 'a', text: '本文その1', mediaType: '新聞', documentId: 'doc-1' },
+        { id: 'b', text: '本文その2', mediaType: '新聞', userId: 'user-2', referenceDate: '2024-05-01', storeText: false },
+        { id: 'c', text: '本文その3' }
+      ],
+      getRules,
+      analyze,
+      { defaults: { userId: 'user-1', referenceDate: '2024-04-01', storeText: true } }
+    );
+    
+    expect(getRules).toHaveBeenCalledTimes(2);
+    
+    const byId = new Map(calls.map(call => [call.item.id, call]));
+    
+    expect(byId.get('a').item).toMatchObject({ documentId: 'doc-1', userId: 'user-1', referenceDate: '2024-04-01', storeText: true });
+    expect(byId.get('a').rules).toEqual({ name: '新聞' });
+    expect(byId.get('b').item).toMatchObject({ userId: 'user-2', referenceDate: '2024-05-01', storeText: false });
+    expect(byId.get('c').item.mediaType).toBe('一般');
+    expect(byId.get('c').rules).toEqual({ name: '一般' });
+  });
+  
+  test.each([
+    ['テキストが空', { id: 'x', text: '' }, '分析するテキストが指定されていません'],
+    ['基準日の形式が不正', { id: 'x', text: '本文', referenceDate: '5月1日' }, '基準日は YYYY-MM-DD 形式で指定してください'],
+    ['分析関数が失敗', { id: 'x', text: '失敗' }, '分析に失敗しました']
+  ])('%s の項目はその項目のみエラーとして返す', async (label, item, error) => {
+    const { analyze } = createFakeAnalyze();
+    
+    const { results, stats } = await batchAnalyzer.analyzeBatch([item, { id: 'ok', text: '本文' }], async () => ({}), analyze);
+    
+    expect(results[0]).toMatchObject({ id: 'x', success: false, error });
+    expect(results[1]).toMatchObject({ id: 'ok', success: true });
+    expect(stats).toMatchObject({ total: 2, succeeded: 1, failed: 1 });
+  });
+  
+  test('ルールの取得に失敗したメディア種別の項目のみエラーになる', async () => {
+    const { analyze, calls } = createFakeAnalyze();
+    const getRules = async mediaType => {
+      if (mediaType === '雑誌') throw new Error('接続できません');
+      return {};
+    };
+    
+    const { results } = await batchAnalyzer.analyzeBatch(
+      [{ text: '本文', mediaType: '雑誌' }, { text: '本文', mediaType: '新聞' }],
+      getRules,
+      analyze
+    );
+    
+    expect(results[0]).toMatchObject({ id: 0, success: false });
+    expect(results[0].error).toContain('接続できません');
+    expect(results[1]).toMatchObject({ id: 1, success: true });
+    expect(calls).toHaveLength(1);
+  });
+  
+  test('スコアと指摘件数をメディア種別ごとに集計する', async () => {
+    const { analyze } = createFakeAnalyze();
+    
+    const { stats } = await batchAnalyzer.analyzeBatch(
+      [
+        { text: 'ああ', mediaType: '新聞' },
+        { text: 'ああああ', mediaType: '新聞' },
+        { text: 'あああ', mediaType: '雑誌' }
+      ],
+      async () => ({}),
+      analyze
+    );
+    
+    expect(stats).toMatchObject({
+      total: 3,
+      succeeded: 3,
+      failed: 0,
+      averageScore: 3,
+      minScore: 2,
+      maxScore: 4,
+      issueCount: 3,
+      issuesByType: { ambiguousPhrase: 3 },
+      byMediaType: {
+        新聞: { count: 2, averageScore: 3 },
+        雑誌: { count: 1, averageScore: 3 }
+      }
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * ending-detector のテスト
+ */
+
+const endingDetector = require('../ending-detector');
+const { tokenize } = require('../tokenizer');
+
+/**
+ * 文の一覧を「。」でつないだときの位置情報付きの文
+ */
+function toSentences(texts) {
+  let start = 0;
+  
+  return texts.map((text, index) => {
+    const sentence = { index, start, end: start + text.length, text };
+    start += text.length + 1;
+    return sentence;
+  });
+}
+
+describe('classifyEnding', () => {
+  test.each([
+    ['補助動詞を含む語尾', '雨が降っています', '〜ています', 'ています'],
+    ['引用の「と」と動詞', '問題だと思います', '〜と思います', 'と思います'],
+    ['補助動詞の過去形', '食べてしまった', '〜てしまった', 'てしまった'],
+    ['名詞で終わる文', '新しい制度の導入', endingDetector.ENDING_LABELS.NOUN, '導入'],
+    ['動詞で終わる文', '彼は走る', endingDetector.ENDING_LABELS.VERB, '走る'],
+    ['形容詞で終わる文', '空が青い', endingDetector.ENDING_LABELS.ADJECTIVE, '青い'],
+    ['文末の閉じ括弧', '「そうだ」', '〜だ', 'だ']
+  ])('%s', async (label, text, pattern, ending) => {
+    const offset = 10;
+    const result = endingDetector.classifyEnding(await tokenize(text, offset));
+    
+    expect(result.pattern).toBe(pattern);
+    expect(text.slice(result.start - offset, result.end - offset)).toBe(ending);
+  });
+  
+  test('記号のみの文は null を返す', async () => {
+    expect(endingDetector.classifyEnding(await tokenize('「」'))).toBeNull();
+  });
+});
+
+describe('analyzeEndings', () => {
+  test('語尾ごとの回数と、連続した同じ語尾を検出する', async () => {
+    const { endings, counts, runs } = await endingDetector.analyzeEndings(toSentences([
+      '雨が降っています',
+      '風が吹いています',
+      '人が歩いています',
+      '空が青い',
+      '雪が積もっています'
+    ]));
+    
+    expect(endings).toHaveLength(5);
+    expect(counts).toEqual({ '〜ています': 4, [endingDetector.ENDING_LABELS.ADJECTIVE]: 1 });
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ pattern: '〜ています', length: 3 });
+    expect(runs[0].endings.map(ending => ending.sentenceIndex)).toEqual([0, 1, 2]);
+  });
+  
+  test('文番号が飛んでいる場合は連続とみなさない', async () => {
+    const sentences = toSentences(['雨が降っています', '風が吹いています', '人が歩いています'])
+      .map((sentence, index) => ({ ...sentence, index: index * 2 }));
+    
+    const { runs } = await endingDetector.analyzeEndings(sentences);
+    
+    expect(runs).toEqual([]);
+  });
+});
\ No newline at end of file
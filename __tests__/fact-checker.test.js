@@ -0,0 +1,70 @@
+/**
+ * fact-checker のテスト
+ */
+
+const { checkFacts, parseReferenceDate } = require('../fact-checker');
+
+/**
+ * 指摘を [ルール, 修正候補] の一覧にする
+ */
+function summarize(issues) {
+  return issues.map(issue => [issue.rule, issue.replacement || null]);
+}
+
+describe('曜日の確認', () => {
+  test.each([
+    ['「日曜日」', '2026年10月19日（日曜日）に発表。', '2026年10月19日（月曜日）'],
+    ['「（日）」', '2026年10月19日（日）に発表。', '2026年10月19日（月）'],
+    ['括弧なしの「日曜日」', '2026年10月19日日曜日に発表。', '2026年10月19日月曜日'],
+    ['括弧付きの「日曜」', '2026年10月19日(日曜)に発表。', '2026年10月19日(月曜)'],
+    ['スラッシュ区切りの「（日曜日）」', '2026/10/19（日曜日）に発表。', '2026/10/19（月曜日）'],
+    ['全角数字', '２０２６年１０月１９日（日）に発表。', '２０２６年１０月１９日（月）']
+  ])('%s の誤りを曜日の文字だけ差し替えて指摘する', (label, input, replacement) => {
+    const result = checkFacts(input);
+    
+    expect(summarize(result.issues)).toEqual([['weekday', replacement]]);
+    expect(result.issues[0].start).toBe(0);
+    expect(result.dates[0].weekday).toBe('月');
+  });
+  
+  test('正しい曜日は指摘せず、年を省略した日付は基準日の年として計算する', () => {
+    expect(checkFacts('2026年10月19日（月）と令和8年10月18日日曜日。').issues).toEqual([]);
+    
+    const result = checkFacts('10月19日（日）', { referenceDate: '2026-10-19' });
+    
+    expect(result.dates[0]).toMatchObject({ date: '2026-10-19', yearInferred: true });
+    expect(summarize(result.issues)).toEqual([['weekday', '10月19日（月）']]);
+  });
+});
+
+describe('日付の確認', () => {
+  test('存在しない日付と元号の範囲外の年を指摘する', () => {
+    expect(summarize(checkFacts('2026年2月30日').issues)).toEqual([['invalidDate', null]]);
+    expect(summarize(checkFacts('平成31年5月1日に改元。').issues)).toEqual([['era', '令和元年5月1日']]);
+  });
+  
+  test('基準日から許容日数を超えて離れた日付だけを指摘する', () => {
+    const input = '2026年10月12日、2026年10月11日、2026年10月26日、2026年10月27日';
+    const result = checkFacts(input, { referenceDate: '2026-10-19' });
+    
+    expect(result.referenceDate).toBe('2026-10-19');
+    expect(result.dates.map(date => date.daysFromReference)).toEqual([-7, -8, 7, 8]);
+    expect(result.issues.map(issue => input.slice(issue.start, issue.end))).toEqual(['2026年10月11日', '2026年10月27日']);
+    
+    expect(checkFacts(input, { referenceDate: '2026-10-19', pastDays: 0, futureDays: 30 }).issues).toHaveLength(2);
+    expect(checkFacts(input).issues).toEqual([]);
+  });
+  
+  test('存在しない基準日は解析しない', () => {
+    expect(parseReferenceDate('2026-10-19T09:00:00+09:00')).toEqual({ year: 2026, month: 10, day: 19 });
+    expect(parseReferenceDate('2026-02-30')).toBeNull();
+  });
+});
+
+describe('数値表記の確認', () => {
+  test('少ない方の表記を多い方の表記に揃える修正候補を付ける', () => {
+    const input = '売上は12,000円、費用は15,000円、利益は３万円。';
+    
+    expect(summarize(checkFacts(input).issues)).toEqual([['numberNotation', '30,000']]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * file-extractor のテスト
+ */
+
+const iconv = require('iconv-lite');
+const PDFDocument = require('pdfkit');
+const fileExtractor = require('../file-extractor');
+
+/**
+ * テスト用の Drive（files.get で指定した内容を返し、呼び出し回数を記録する）
+ */
+function createFakeDrive(content) {
+  const drive = {
+    downloads: 0,
+    files: {
+      get: async () => {
+        drive.downloads++;
+        
+        if (content instanceof Error) throw content;
+        if (content === 'never') return new Promise(() => {});
+        
+        return { data: content.buffer.slice(content.byteOffset, content.byteOffset + content.length) };
+      }
+    }
+  };
+  
+  return drive;
+}
+
+/**
+ * 指定したページ数の PDF を作成（各ページに「Page n」と書く）
+ */
+function createPdf(pages) {
+  return new Promise(resolve => {
+    const doc = new PDFDocument({ autoFirstPage: false });
+    const chunks = [];
+    
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    
+    for (let i = 1; i <= pages; i++) {
+      doc.addPage().text(`Page ${i}`);
+    }
+    
+    doc.end();
+  });
+}
+
+describe('decodeText', () => {
+  test.each([
+    ['UTF-8', Buffer.from('選挙の結果', 'utf8'), 'utf-8'],
+    ['BOM 付きの UTF-8', Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('選挙の結果', 'utf8')]), 'utf-8'],
+    ['UTF-16LE', Buffer.concat([Buffer.from([0xFF, 0xFE]), iconv.encode('選挙の結果', 'utf-16le')]), 'utf-16le'],
+    ['Shift_JIS', iconv.encode('選挙の結果', 'cp932'), 'shift_jis']
+  ])('%s のテキストを文字列に変換する', (label, buffer, encoding) => {
+    expect(fileExtractor.decodeText(buffer)).toEqual({ text: '選挙の結果', encoding });
+  });
+});
+
+describe('extractFileText', () => {
+  test('テキストファイルをダウンロードして本文を返す', async () => {
+    const drive = createFakeDrive(iconv.encode('古い記事の本文', 'cp932'));
+    
+    const result = await fileExtractor.extractFileText(drive, { id: 't1', mimeType: 'text/plain', size: '14' });
+    
+    expect(result).toEqual({ text: '古い記事の本文', encoding: 'shift_jis', pages: null, truncated: false });
+  });
+  
+  test('PDF は上限のページまでテキストを抽出し、超えた場合は truncated を付ける', async () => {
+    const maxPages = fileExtractor.CONFIG.MAX_PDF_PAGES;
+    fileExtractor.CONFIG.MAX_PDF_PAGES = 2;
+    
+    try {
+      const drive = createFakeDrive(await createPdf(3));
+      
+      const result = await fileExtractor.extractFileText(drive, { id: 'p1', mimeType: 'application/pdf' });
+      
+      expect(result).toMatchObject({ pages: 3, truncated: true, encoding: null });
+      expect(result.text).toContain('Page 1');
+      expect(result.text).toContain('Page 2');
+      expect(result.text).not.toContain('Page 3');
+    } finally {
+      fileExtractor.CONFIG.MAX_PDF_PAGES = maxPages;
+    }
+  }, 30000);
+  
+  test('抽出できない形式はダウンロードせずに unsupported とする', async () => {
+    const drive = createFakeDrive(Buffer.from(''));
+    
+    await expect(fileExtractor.extractFileText(drive, { id: 'x', mimeType: 'image/png' }))
+      .rejects.toMatchObject({ reason: 'unsupported' });
+    expect(drive.downloads).toBe(0);
+  });
+  
+  test('サイズが上限を超えるファイルはダウンロードせずに tooLarge とする', async () => {
+    const drive = createFakeDrive(Buffer.from(''));
+    
+    await expect(fileExtractor.extractFileText(drive, { id: 'x', mimeType: 'text/plain', size: String(fileExtractor.CONFIG.MAX_BYTES + 1) }))
+      .rejects.toMatchObject({ reason: 'tooLarge' });
+    expect(drive.downloads).toBe(0);
+  });
+  
+  test('ダウンロードが制限時間を超えた場合は timeout とする', async () => {
+    const timeoutMs = fileExtractor.CONFIG.DOWNLOAD_TIMEOUT_MS;
+    fileExtractor.CONFIG.DOWNLOAD_TIMEOUT_MS = 10;
+    
+    try {
+      await expect(fileExtractor.extractFileText(createFakeDrive('never'), { id: 'x', mimeType: 'text/plain' }))
+        .rejects.toMatchObject({ reason: 'timeout' });
+    } finally {
+      fileExtractor.CONFIG.DOWNLOAD_TIMEOUT_MS = timeoutMs;
+    }
+  });
+  
+  test('その他の失敗は failed とする', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await expect(fileExtractor.extractFileText(createFakeDrive(new Error('接続できません')), { id: 'x', mimeType: 'application/pdf' }))
+      .rejects.toMatchObject({ reason: 'failed', message: expect.stringContaining('接続できません') });
+    
+    console.error.mockRestore();
+  });
+});
\ No newline at end of file
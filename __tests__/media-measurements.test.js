@@ -0,0 +1,76 @@
+/**
+ * media-measurements のテスト
+ */
+
+const { readNumber, getSettings, measureText } = require('../media-measurements');
+
+/**
+ * 字詰めを適用した各行のテキスト
+ */
+async function lineTexts(text, lineFit) {
+  const { measurements } = await measureText(text, '新聞', { lineFit });
+  return measurements.lineFit.lines.map(line => line.text);
+}
+
+describe('readNumber', () => {
+  test.each([
+    ['ゼロ', '0', 'ゼロ'],
+    ['先頭のゼロ', '007', 'ナナ'],
+    ['4桁', '2026', 'ニセンニジュウロク'],
+    ['万の位', '10000', 'イチマン'],
+    ['一兆の促音化', '1000000000000', 'イッチョウ'],
+    ['十兆の促音化', '10000000000000', 'ジュッチョウ'],
+    ['八京の促音化', '80000000000000000', 'ハッケイ'],
+    ['単位で読めない桁数', '123456789012345678901', 'イチニサンヨンゴロクナナハチキュウゼロイチニサンヨンゴロクナナハチキュウゼロイチ'],
+    ['小数', '3.14', 'サンテンイチヨン'],
+    ['桁区切り', '1,234', 'センニヒャクサンジュウヨン'],
+    ['全角数字', '２０２６', 'ニセンニジュウロク']
+  ])('%s の読み', (label, text, reading) => {
+    expect(readNumber(text)).toBe(reading);
+  });
+});
+
+describe('読み上げ時間', () => {
+  test('数字・記号を読みどおりに数え、句読点の間を加え、上限を超えた位置を指摘する', async () => {
+    const text = '東京で3.5%上昇した。';
+    const { measurements, violations } = await measureText(text, '放送', { readTime: { maxSeconds: 1 } });
+    
+    // トウキョウデ（5）サンテンゴ（5）パーセント（5）ジョウショウシタ（6）
+    expect(measurements.readTime).toMatchObject({ morae: 21, pauseSeconds: 0.6, estimatedCharacters: 0, exceeded: true });
+    expect(measurements.readTime.seconds).toBeCloseTo(21 / 7.5 + 0.6, 1);
+    expect(violations).toEqual([expect.objectContaining({ rule: 'readTime', start: text.indexOf('3.5') })]);
+  }, 30000);
+});
+
+describe('字詰めと禁則処理', () => {
+  test('段落冒頭を字下げし、上限を超えた行の先頭を指摘する', async () => {
+    const { measurements, violations } = await measureText('あいうえおかき\nくけこ', '新聞', { lineFit: { charsPerLine: 5, maxLines: 2 } });
+    
+    expect(measurements.lineFit.lines.map(line => [line.start, line.text])).toEqual([[0, 'あいうえ'], [4, 'おかき'], [8, 'くけこ']]);
+    expect(violations).toEqual([expect.objectContaining({ rule: 'lineCount', start: 8 })]);
+  });
+  
+  test('句読点はぶら下げ、ぶら下げない場合は前の文字と一緒に追い出す', async () => {
+    expect(await lineTexts('あいうえお、かき', { charsPerLine: 5, indent: 0 })).toEqual(['あいうえお、', 'かき']);
+    expect(await lineTexts('あいうえお、かき', { charsPerLine: 5, indent: 0, hanging: false })).toEqual(['あいうえ', 'お、かき']);
+  });
+  
+  test('開き括弧は行末に置かず次の行へ送り、半角文字は0.5字として数える', async () => {
+    expect(await lineTexts('あいうえ「か」', { charsPerLine: 5, indent: 0 })).toEqual(['あいうえ', '「か」']);
+    expect(await lineTexts('abcdefghij', { charsPerLine: 2, indent: 0 })).toEqual(['abcd', 'efgh', 'ij']);
+  });
+  
+  test.each([
+    ['字下げ以下の字詰め', { charsPerLine: 1, indent: 1 }],
+    ['1文字の幅より小さい字詰め', { charsPerLine: 0.3, indent: 0 }]
+  ])('%s でも各行に1文字ずつ置く', async (label, lineFit) => {
+    expect(await lineTexts('あいう', lineFit)).toEqual(['あ', 'い', 'う']);
+  });
+});
+
+describe('getSettings', () => {
+  test('メディア種別の既定値を mediaProfiles の設定で項目ごとに上書きする', () => {
+    expect(getSettings('新聞', { lineFit: { charsPerLine: 15 } }).lineFit).toEqual({ charsPerLine: 15, indent: 1, hanging: true, maxLines: null });
+    expect(getSettings('一般')).toEqual({});
+  });
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * notation-checker のテスト
+ */
+
+const notationChecker = require('../notation-checker');
+
+/**
+ * 読みで表記ゆれのまとまりを探す
+ */
+function findCluster(result, reading) {
+  return result.clusters.find(cluster => cluster.reading === reading);
+}
+
+describe('detectNotationInconsistencies', () => {
+  test('辞書の表記が混在している場合、多く使われている表記を推奨して置換後の文字列を付ける', () => {
+    const text = '子どもが遊ぶ。子供が笑う。子どもが走る。';
+    
+    const cluster = findCluster(notationChecker.detectNotationInconsistencies(text), 'こども');
+    
+    expect(cluster.suggestion).toBe('子ども');
+    expect(cluster.variants.map(variant => [variant.form, variant.count])).toEqual([['子ども', 2], ['子供', 1]]);
+    expect(cluster.variants[1].occurrences).toEqual([{ start: 7, end: 9, text: '子供', replacement: '子ども' }]);
+  });
+  
+  test('同じ回数の場合は辞書の並び順で推奨表記を決める', () => {
+    const cluster = findCluster(notationChecker.detectNotationInconsistencies('全ての人。すべての物。'), 'すべて');
+    
+    expect(cluster.suggestion).toBe('すべて');
+  });
+  
+  test('活用形を正規表現で指定した表記には置換後の文字列を付けない', () => {
+    const cluster = findCluster(notationChecker.detectNotationInconsistencies('調査を行う。点検を行ないます。'), 'おこなう');
+    
+    const variant = cluster.variants.find(entry => entry.form === '行なう');
+    expect(variant.occurrences[0].text).toBe('行ない');
+    expect(variant.occurrences[0].replacement).toBeUndefined();
+  });
+  
+  test('1つの表記しか使われていない場合は検出しない', () => {
+    const result = notationChecker.detectNotationInconsistencies('子どもと子どもが遊ぶ。');
+    
+    expect(findCluster(result, 'こども')).toBeUndefined();
+  });
+  
+  test.each([
+    ['数字', '2024年と２０２５年', '数字の全角/半角', '全角数字', '２０２５', '2025'],
+    ['英字', 'ABCとＸＹＺ', '英字の全角/半角', '全角英字', 'ＸＹＺ', 'XYZ']
+  ])('全角・半角の%sの混在を検出して変換後の文字列を付ける', (label, text, reading, form, matched, replacement) => {
+    const cluster = findCluster(notationChecker.detectNotationInconsistencies(text), reading);
+    const variant = cluster.variants.find(entry => entry.form === form);
+    
+    expect(variant.occurrences[0]).toMatchObject({ text: matched, replacement });
+  });
+  
+  test('カタカナ語の長音符の有無のゆれを検出する', () => {
+    const cluster = findCluster(notationChecker.detectNotationInconsistencies('サーバーとサーバを再起動した。'), 'サーバ');
+    
+    expect(cluster.suggestion).toBe('サーバー');
+    expect(cluster.variants[1].occurrences[0]).toMatchObject({ text: 'サーバ', replacement: 'サーバー' });
+  });
+  
+  test('独自の項目は同じ読みの組み込み項目を上書きする', () => {
+    const text = '子供が遊ぶ。子どもが笑う。';
+    
+    const result = notationChecker.detectNotationInconsistencies(text, [{ reading: 'こども', variants: ['子供', '子ども'] }]);
+    
+    expect(findCluster(result, 'こども').suggestion).toBe('子供');
+  });
+  
+  test('危険な正規表現を含む項目は除外してエラーとして報告する', () => {
+    const result = notationChecker.detectNotationInconsistencies('aaaa', [
+      { reading: 'あ', variants: [{ form: 'a', pattern: '(a+)+' }, 'b'] }
+    ]);
+    
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].reading).toBe('あ');
+    expect(findCluster(result, 'あ')).toBeUndefined();
+  });
+});
\ No newline at end of file
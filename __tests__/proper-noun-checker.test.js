@@ -0,0 +1,60 @@
+/**
+ * proper-noun-checker のテスト
+ */
+
+const properNounChecker = require('../proper-noun-checker');
+
+const ENTRY = {
+  canonical: '株式会社テキストステーション',
+  shortForms: ['テキストステーション', 'TS社'],
+  variants: ['テキストステイション', { form: 'TS者', correct: 'TS社' }],
+  fullNameOnFirstMention: true
+};
+
+/**
+ * 指摘を [check, 表記, replacement] の一覧にする
+ */
+function summarize(text, findings) {
+  return findings.map(finding => [finding.check, text.slice(finding.start, finding.end), finding.replacement]);
+}
+
+describe('checkProperNouns', () => {
+  test('初出が略称の場合は正式名称を求め、2回目以降の略称は指摘しない', () => {
+    const text = 'テキストステーションは発表した。テキストステーションの社長は述べた。';
+    
+    expect(summarize(text, properNounChecker.checkProperNouns(text, [ENTRY]))).toEqual([
+      ['fullNameRequired', 'テキストステーション', '株式会社テキストステーション']
+    ]);
+  });
+  
+  test('正式名称の中の略称は別の出現として数えない', () => {
+    const text = '株式会社テキストステーションは発表した。TS社の社長は述べた。';
+    
+    expect(properNounChecker.checkProperNouns(text, [ENTRY])).toEqual([]);
+  });
+  
+  test('誤表記は指定された正しい表記に直し、初出の場合は正式名称に直す', () => {
+    const text = 'テキストステイションは発表した。TS者の社長は述べた。';
+    
+    expect(summarize(text, properNounChecker.checkProperNouns(text, [ENTRY]))).toEqual([
+      ['misspelling', 'テキストステイション', '株式会社テキストステーション'],
+      ['misspelling', 'TS者', 'TS社']
+    ]);
+  });
+  
+  test('重要度の指定がない場合は既定の重要度を使う', () => {
+    const text = 'テキストステイション';
+    
+    const [plain] = properNounChecker.checkProperNouns(text, [ENTRY]);
+    const [critical] = properNounChecker.checkProperNouns(text, [{ ...ENTRY, severity: 'critical' }]);
+    
+    expect(plain.severity).toBe(properNounChecker.CONFIG.DEFAULT_SEVERITY);
+    expect(critical.severity).toBe('critical');
+  });
+  
+  test('初出の正式名称を求めない項目は略称を指摘しない', () => {
+    const text = 'TS社は発表した。';
+    
+    expect(properNounChecker.checkProperNouns(text, [{ ...ENTRY, fullNameOnFirstMention: false }])).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * proper-noun-manager のテスト
+ */
+
+const properNounManager = require('../proper-noun-manager');
+
+/**
+ * テスト用の Firestore（where の == による絞り込みと doc の get / set / update のみ）
+ */
+function createFakeDb(initial = {}) {
+  const store = new Map(Object.entries(initial));
+  let nextId = 1;
+  
+  const query = filters => ({
+    where: (field, op, value) => query([...filters, [field, value]]),
+    get: async () => {
+      const docs = [...store.entries()]
+        .filter(([, data]) => filters.every(([field, value]) => data[field] === value))
+        .map(([id, data]) => ({ id, data: () => data }));
+      
+      return { forEach: callback => docs.forEach(callback) };
+    },
+    doc: (id = `noun${nextId++}`) => ({
+      id,
+      get: async () => ({ exists: store.has(id), data: () => store.get(id) }),
+      set: async data => {
+        store.set(id, data);
+      },
+      update: async data => {
+        store.set(id, { ...store.get(id), ...data });
+      }
+    })
+  });
+  
+  return { store, collection: () => query([]) };
+}
+
+describe('validateProperNoun', () => {
+  test.each([
+    ['正式名称がない', { variants: ['誤表記'] }],
+    ['略称が正式名称と同じ', { canonical: '正式', shortForms: ['正式'], fullNameOnFirstMention: true }],
+    ['誤表記が略称と同じ', { canonical: '正式', shortForms: ['略称'], variants: ['略称'] }],
+    ['誤表記の正しい表記が登録されていない', { canonical: '正式', variants: [{ form: '誤', correct: '別名' }] }],
+    ['略称なしで初出の正式名称を求める', { canonical: '正式', fullNameOnFirstMention: true }],
+    ['誤表記も初出の指定もない', { canonical: '正式' }],
+    ['不明なメディア種別', { canonical: '正式', variants: ['誤'], mediaTypes: ['ラジオ'] }]
+  ])('%s場合は入力エラー', (label, data) => {
+    expect(() => properNounManager.validateProperNoun(data)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('createProperNoun と updateProperNoun', () => {
+  test('同じ正式名称の有効な項目がある場合は登録しない', async () => {
+    const db = createFakeDb({ existing: { canonical: '正式', variants: ['誤'], isActive: true } });
+    
+    await expect(properNounManager.createProperNoun(db, { canonical: '正式', variants: ['誤り'] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    
+    const { id } = await properNounManager.createProperNoun(db, { canonical: '別', variants: ['誤り'] });
+    expect(db.store.get(id)).toMatchObject({ canonical: '別', isActive: true, fullNameOnFirstMention: false });
+  });
+  
+  test('存在しない項目の更新は404', async () => {
+    await expect(properNounManager.updateProperNoun(createFakeDb(), 'missing', { variants: ['誤'] }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+  
+  test('既存の内容とマージして検証してから更新する', async () => {
+    const db = createFakeDb({ existing: { canonical: '正式', shortForms: ['略称'], variants: ['誤'], isActive: true } });
+    
+    await properNounManager.updateProperNoun(db, 'existing', { fullNameOnFirstMention: true });
+    
+    expect(db.store.get('existing')).toMatchObject({ canonical: '正式', shortForms: ['略称'], fullNameOnFirstMention: true });
+  });
+});
\ No newline at end of file
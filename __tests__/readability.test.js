@@ -0,0 +1,71 @@
+/**
+ * readability のテスト
+ */
+
+const readability = require('../readability');
+
+/**
+ * 「。」で区切った文の一覧（analyzeReadability に渡す形式）
+ */
+function splitSentences(text) {
+  return text.split('。').filter(sentence => sentence.trim() !== '').map(sentence => ({ text: sentence }));
+}
+
+describe('analyzeReadability', () => {
+  test('文字種の比率・常用漢字外の漢字・文長・読点数を算出する', () => {
+    const text = '今日は晴れ。鬱蒼とした森を、静かに歩いた。';
+    
+    const { metrics } = readability.analyzeReadability(text, splitSentences(text), '一般');
+    
+    expect(metrics).toMatchObject({
+      characterCount: 21,
+      sentenceCount: 2,
+      kanjiRatio: 0.381,
+      hiraganaRatio: 0.476,
+      nonJoyoKanjiCount: 1,
+      nonJoyoKanji: ['蒼'],
+      nonJoyoKanjiShare: 0.125,
+      averageSentenceLength: 9.5,
+      maxSentenceLength: 14,
+      commaCount: 1,
+      commasPerSentence: 0.5
+    });
+  });
+  
+  test('メディア種別の目標範囲と比較し、範囲外の指標を報告する', () => {
+    const text = `${'あいうえおかきくけこ'.repeat(4)}さしすせそ。`;
+    
+    const broadcast = readability.analyzeReadability(text, splitSentences(text), '放送');
+    const general = readability.analyzeReadability(text, splitSentences(text), '一般');
+    
+    expect(broadcast.evaluations.find(entry => entry.metric === 'averageSentenceLength')).toMatchObject({ value: 45, max: 40, status: 'high' });
+    expect(general.evaluations.find(entry => entry.metric === 'averageSentenceLength')).toMatchObject({ value: 45, max: 50, status: 'ok' });
+  });
+  
+  test('目標範囲は指標ごとに上書きできる', () => {
+    const text = 'あいうえお。かきくけこ。';
+    
+    const result = readability.analyzeReadability(text, splitSentences(text), '新聞', { kanjiRatio: { min: 0.1 } });
+    
+    expect(result.targets.kanjiRatio).toEqual({ min: 0.1 });
+    expect(result.targets.maxSentenceLength).toEqual(readability.DEFAULT_TARGETS['新聞'].maxSentenceLength);
+    expect(result.evaluations.find(entry => entry.metric === 'kanjiRatio').status).toBe('low');
+  });
+  
+  test.each([
+    ['短い文', 'ひらがなだけの短い文です。', 'A'],
+    ['読点のない長い文', `${'漢字熟語'.repeat(30)}。`, 'D']
+  ])('%s の等級を算出する', (label, text, grade) => {
+    const result = readability.analyzeReadability(text, splitSentences(text), '一般');
+    
+    expect(result.grade).toBe(grade);
+    expect(result.score).toBeGreaterThanOrEqual(0);
+    expect(result.score).toBeLessThanOrEqual(100);
+  });
+  
+  test('空のテキストでは指標を0とする', () => {
+    const { metrics } = readability.analyzeReadability('', [], '一般');
+    
+    expect(metrics).toMatchObject({ characterCount: 0, sentenceCount: 0, kanjiRatio: 0, averageSentenceLength: 0, maxSentenceLength: 0 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * regex-safety のテスト
+ */
+
+const { CONFIG, checkPatternSafety } = require('../regex-safety');
+
+describe('checkPatternSafety', () => {
+  test.each([
+    ['文字列', 'ですます'],
+    ['選択肢の先頭が異なるグループの繰り返し', '(です|ます)+'],
+    ['数字と記号の選択肢の繰り返し', '(\\d|,)+'],
+    ['重ならない文字クラスの選択肢の繰り返し', '([a-z]|[0-9])+'],
+    ['回数が決まった繰り返しの入れ子', '(a{2}){3}'],
+    ['繰り返しを含まないグループの繰り返し', '(?:ab)+'],
+    ['重ならない文字の繰り返しの並び', '[ぁ-ん]+[ァ-ン]+'],
+    ['必ず一致する要素で区切られた繰り返し', '.*x.*'],
+    ['1回以上の繰り返しを挟んだ同じ繰り返し', '\\s*[0-9]+\\s*']
+  ])('%s は安全とみなす', (label, pattern) => {
+    expect(checkPatternSafety(pattern)).toEqual({ safe: true });
+  });
+  
+  test.each([
+    ['入れ子の量指定子', '(a+)+'],
+    ['0回を許す入れ子の量指定子', '(a*)*b'],
+    ['上限の大きい繰り返しを含むグループの繰り返し', '(a{1,2000})+'],
+    ['上限なしの繰り返しを含むグループの回数指定の繰り返し', '(.*a){20}']
+  ])('%s は入れ子の繰り返しとして拒否する', (label, pattern) => {
+    expect(checkPatternSafety(pattern)).toEqual({
+      safe: false,
+      reason: '繰り返しを含むグループが繰り返されています（破滅的バックトラックの恐れ）'
+    });
+  });
+  
+  test.each([
+    ['同じ選択肢', '(a|a)*b'],
+    ['先頭が同じ選択肢', '(a|aa)+$'],
+    ['文字クラスが重なる選択肢', '(\\w|\\d)+']
+  ])('%s のグループの繰り返しは拒否する', (label, pattern) => {
+    expect(checkPatternSafety(pattern)).toEqual({
+      safe: false,
+      reason: '同じ文字で始まりうる選択肢を持つグループが繰り返されています（破滅的バックトラックの恐れ）'
+    });
+  });
+  
+  test.each([
+    ['任意の文字の繰り返しの並び', '.*.*.*x'],
+    ['数字の繰り返しの並び', '\\d+\\d+\\d+$'],
+    ['省略できる要素を挟んだ繰り返し', '\\d+,?\\d+'],
+    ['最短一致の繰り返しの並び', 'a*?a*?b'],
+    ['選択肢の中の繰り返しの並び', 'x|.*.*y']
+  ])('%s は同じ文字に一致しうる繰り返しの並びとして拒否する', (label, pattern) => {
+    expect(checkPatternSafety(pattern)).toEqual({
+      safe: false,
+      reason: '同じ文字に一致しうる上限なしの繰り返しが並んでいます（破滅的バックトラックの恐れ）'
+    });
+  });
+  
+  test('空のパターン・長すぎるパターン・構文エラーは拒否する', () => {
+    expect(checkPatternSafety('')).toEqual({ safe: false, reason: 'パターンが空です' });
+    expect(checkPatternSafety('a'.repeat(CONFIG.MAX_PATTERN_LENGTH + 1)).reason)
+      .toBe(`パターンが長すぎます（最大${CONFIG.MAX_PATTERN_LENGTH}文字）`);
+    expect(checkPatternSafety('(a').reason).toMatch(/^正規表現の構文エラー: /);
+  });
+});
\ No newline at end of file
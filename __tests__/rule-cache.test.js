@@ -0,0 +1,149 @@
+/**
+ * rule-cache のテスト
+ */
+
+let ruleCache;
+
+/**
+ * テスト用の Firestore（styleRules の読み込み回数を記録し、onSnapshot のリスナーを保持する）
+ */
+function createFakeDb(styleRules = []) {
+  const db = {
+    reads: [],
+    listeners: {},
+    failing: false,
+    collection: name => {
+      const query = {
+        where: () => query,
+        get: async () => {
+          if (name === 'styleRules') {
+            if (db.failing) throw new Error('接続できません');
+            db.reads.push(name);
+          }
+          
+          const docs = name === 'styleRules' ? styleRules : [];
+          return { forEach: callback => docs.forEach(data => callback({ data: () => data })) };
+        },
+        doc: () => ({ get: async () => ({ exists: false }) }),
+        onSnapshot: listener => {
+          db.listeners[name] = listener;
+          return () => delete db.listeners[name];
+        }
+      };
+      
+      return query;
+    }
+  };
+  
+  return db;
+}
+
+beforeEach(() => {
+  jest.resetModules();
+  ruleCache = require('../rule-cache');
+});
+
+afterEach(() => {
+  ruleCache.unwatch();
+  jest.restoreAllMocks();
+});
+
+describe('getRules', () => {
+  test('正規表現をコンパイルしてキャッシュし、有効期間内は Firestore を読まない', async () => {
+    const db = createFakeDb([
+      { type: 'mediaSpecific', pattern: '今日' },
+      { type: 'mediaSpecific', pattern: '(a+)+$' }
+    ]);
+    
+    const first = await ruleCache.getRules(db, '新聞');
+    const second = await ruleCache.getRules(db, '新聞');
+    
+    expect(second).toBe(first);
+    expect(db.reads).toHaveLength(1);
+    expect(first.mediaSpecificRules[0].regex).toBeInstanceOf(RegExp);
+    expect(first.mediaSpecificRules[1].regex).toBeUndefined();
+    expect(first.mediaSpecificRules[1].error).toContain('破滅的バックトラック');
+    expect(ruleCache.getStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+  });
+  
+  test('同時に取得しても読み込みは1回だけ', async () => {
+    const db = createFakeDb();
+    
+    const [first, second] = await Promise.all([ruleCache.getRules(db, '放送'), ruleCache.getRules(db, '放送')]);
+    
+    expect(second).toBe(first);
+    expect(db.reads).toHaveLength(1);
+  });
+  
+  test('有効期間を過ぎると読み込み直す', async () => {
+    const db = createFakeDb();
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    
+    await ruleCache.getRules(db, '新聞');
+    now += ruleCache.CONFIG.TTL_MS;
+    await ruleCache.getRules(db, '新聞');
+    
+    expect(db.reads).toHaveLength(2);
+  });
+  
+  test('上限を超えると最も使われていないメディア種別から削除する', async () => {
+    const db = createFakeDb();
+    const mediaTypes = Array.from({ length: ruleCache.CONFIG.MAX_ENTRIES }, (_, i) => `種別${i}`);
+    
+    for (const mediaType of mediaTypes) {
+      await ruleCache.getRules(db, mediaType);
+    }
+    
+    // 最初に読み込んだ種別を使ってから、新しい種別を読み込む
+    await ruleCache.getRules(db, mediaTypes[0]);
+    await ruleCache.getRules(db, '追加');
+    
+    const cached = ruleCache.getStats().entries.map(entry => entry.mediaType);
+    expect(cached).toHaveLength(ruleCache.CONFIG.MAX_ENTRIES);
+    expect(cached).toContain(mediaTypes[0]);
+    expect(cached).not.toContain(mediaTypes[1]);
+    expect(cached).toContain('追加');
+  });
+  
+  test('読み込みに失敗した場合は古いキャッシュを使う', async () => {
+    const db = createFakeDb([{ type: 'mediaSpecific', pattern: '今日' }]);
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    const first = await ruleCache.getRules(db, '新聞');
+    now += ruleCache.CONFIG.TTL_MS;
+    db.failing = true;
+    
+    expect(await ruleCache.getRules(db, '新聞')).toBe(first);
+    expect(ruleCache.getStats().errors).toBe(1);
+  });
+});
+
+describe('invalidate と watch', () => {
+  test('破棄すると次の取得で読み込み直す', async () => {
+    const db = createFakeDb();
+    
+    await ruleCache.getRules(db, '新聞');
+    ruleCache.invalidate('新聞');
+    await ruleCache.getRules(db, '新聞');
+    
+    expect(db.reads).toHaveLength(2);
+  });
+  
+  test('監視しているコレクションの変更でキャッシュを破棄する（初回のスナップショットは無視）', async () => {
+    const db = createFakeDb();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    ruleCache.watch(db);
+    await ruleCache.getRules(db, '新聞');
+    
+    db.listeners.styleRules();
+    expect(ruleCache.getStats().entries).toHaveLength(1);
+    
+    db.listeners.styleRules();
+    expect(ruleCache.getStats().entries).toHaveLength(0);
+    expect(ruleCache.getStats().watching).toBe(true);
+  });
+});
\ No newline at end of file
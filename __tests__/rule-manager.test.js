@@ -0,0 +1,64 @@
+/**
+ * rule-manager のテスト
+ */
+
+const ruleManager = require('../rule-manager');
+
+/**
+ * テスト用の Firestore（collection().doc() の get / set / update のみ）
+ */
+function createFakeDb(initial = {}) {
+  const store = new Map(Object.entries(initial));
+  let nextId = 1;
+  
+  return {
+    store,
+    collection: () => ({
+      doc: (id = `rule${nextId++}`) => ({
+        id,
+        get: async () => ({ exists: store.has(id), data: () => store.get(id) }),
+        set: async data => {
+          store.set(id, data);
+        },
+        update: async data => {
+          store.set(id, { ...store.get(id), ...data });
+        }
+      })
+    })
+  };
+}
+
+describe('ルールの例文', () => {
+  test.each([
+    ['配列', ['果物など。']],
+    ['文字列以外を含む', { shouldMatch: ['果物など。', 1] }],
+    ['空の文字列を含む', { shouldNotMatch: [' '] }]
+  ])('examples が%sの場合は入力エラー', (label, examples) => {
+    expect(() => ruleManager.validateRule({ type: 'ambiguousPhrase', text: 'など', mediaTypes: ['一般'], examples }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+  
+  test('例文テストに成功したルールを保存する', async () => {
+    const db = createFakeDb();
+    
+    const { id } = await ruleManager.createRule(db, {
+      type: 'ambiguousPhrase',
+      text: 'など',
+      mediaTypes: ['一般'],
+      examples: { shouldMatch: ['果物などを買った。'] }
+    });
+    
+    expect(db.store.get(id)).toMatchObject({ text: 'など', isActive: true });
+  });
+  
+  test('例文テストに失敗したルールは保存せず、失敗した例文を返す', async () => {
+    const db = createFakeDb({ existing: { type: 'mediaSpecific', pattern: '今日', mediaTypes: ['一般'], isActive: true } });
+    
+    const error = await ruleManager.updateRule(db, 'existing', { examples: { shouldNotMatch: ['今日は晴れ。'] } })
+      .catch(caught => caught);
+    
+    expect(error.statusCode).toBe(400);
+    expect(error.details).toEqual([expect.objectContaining({ example: '今日は晴れ。', expected: 'noMatch' })]);
+    expect(db.store.get('existing').examples).toBeUndefined();
+  });
+});
\ No newline at end of file
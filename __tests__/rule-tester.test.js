@@ -0,0 +1,78 @@
+/**
+ * rule-tester のテスト
+ */
+
+const ruleTester = require('../rule-tester');
+
+describe('testRule', () => {
+  test('検出すべき文で検出され、検出してはならない文で検出されなければ成功', async () => {
+    const result = await ruleTester.testRule({
+      id: 'r1',
+      type: 'ambiguousPhrase',
+      text: 'など',
+      examples: { shouldMatch: ['果物などを買った。'], shouldNotMatch: ['果物を買った。'] }
+    });
+    
+    expect(result).toMatchObject({ id: 'r1', rule: 'など', exampleCount: 2, passed: true, skipped: false, failures: [] });
+  });
+  
+  test('期待と異なる例文を失敗として返す', async () => {
+    const result = await ruleTester.testRule({
+      id: 'r2',
+      type: 'mediaSpecific',
+      pattern: '今日',
+      examples: { shouldMatch: ['明日は雨。'], shouldNotMatch: ['今日は晴れ。'] }
+    });
+    
+    expect(result.passed).toBe(false);
+    expect(result.failures).toEqual([
+      { example: '明日は雨。', expected: 'match', message: '検出されませんでした' },
+      { example: '今日は晴れ。', expected: 'noMatch', matches: ['今日'], message: '「今日」が検出されました' }
+    ]);
+  });
+  
+  test('表記ゆれのルールは読みで指摘を照合する', async () => {
+    const result = await ruleTester.testRule({
+      id: 'r3',
+      type: 'notationVariant',
+      reading: 'さーばー',
+      variants: ['サーバー', 'サーバ'],
+      examples: { shouldMatch: ['サーバーとサーバを再起動した。'], shouldNotMatch: ['サーバーを再起動した。'] }
+    });
+    
+    expect(result.passed).toBe(true);
+  });
+  
+  test('不正なパターンは例文ごとに失敗として返す', async () => {
+    const result = await ruleTester.testRule({
+      id: 'r4',
+      type: 'mediaSpecific',
+      pattern: '(a+)+$',
+      examples: { shouldMatch: ['aaa'] }
+    });
+    
+    expect(result.passed).toBe(false);
+    expect(result.failures[0].message).toContain('破滅的バックトラック');
+  });
+  
+  test.each([
+    ['例文のないルール', { id: 'r5', type: 'ambiguousPhrase', text: 'など' }, { passed: true, skipped: false, exampleCount: 0 }],
+    ['分析で照合されないルール', { id: 'r6', type: 'repetitivePattern', pattern: 'です', examples: { shouldMatch: ['です。'] } }, { passed: true, skipped: true }]
+  ])('%s は検証しない', async (label, rule, expected) => {
+    expect(await ruleTester.testRule(rule)).toMatchObject(expected);
+  });
+});
+
+describe('testRules', () => {
+  test('成功・失敗・スキップ・例文なしの件数を集計する', async () => {
+    const report = await ruleTester.testRules([
+      { id: 'a', type: 'ambiguousPhrase', text: 'など', examples: { shouldMatch: ['果物など。'] } },
+      { id: 'b', type: 'ambiguousPhrase', text: 'など', examples: { shouldNotMatch: ['果物など。'] } },
+      { id: 'c', type: 'repetitivePattern', pattern: 'です', examples: { shouldMatch: ['です。'] } },
+      { id: 'd', type: 'mediaSpecific', pattern: '今日' }
+    ]);
+    
+    expect(report).toMatchObject({ total: 4, passed: 1, failed: 1, skipped: 1, withoutExamples: 1 });
+    expect(report.results.map(result => result.id)).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
\ No newline at end of file
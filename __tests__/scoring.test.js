@@ -0,0 +1,66 @@
+/**
+ * scoring のテスト
+ */
+
+const scoring = require('../scoring');
+
+describe('normalizeSeverity', () => {
+  test.each([
+    ['info', 'info'],
+    ['critical', 'critical'],
+    ['unknown', scoring.CONFIG.DEFAULT_SEVERITY],
+    [undefined, scoring.CONFIG.DEFAULT_SEVERITY],
+    ['toString', scoring.CONFIG.DEFAULT_SEVERITY]
+  ])('%s は %s になる', (severity, expected) => {
+    expect(scoring.normalizeSeverity(severity)).toBe(expected);
+  });
+});
+
+describe('calculateScore', () => {
+  const groups = [
+    { category: 'ambiguousPhrase', rule: 'など', severity: 'minor', count: 3 },
+    { category: 'mediaSpecific', rule: '今日', severity: 'critical', count: 1 }
+  ];
+  
+  test('重要度ごとの重みで減点し、同じ指摘の繰り返しは逓減する', () => {
+    const result = scoring.calculateScore(groups);
+    
+    // minor は 3 + 1.8 + 1.08、critical は 15
+    expect(result.totalPenalty).toBe(20.9);
+    expect(result.score).toBe(79);
+    expect(result.breakdown.map(category => [category.category, category.penalty, category.issueCount])).toEqual([
+      ['mediaSpecific', 15, 1],
+      ['ambiguousPhrase', 5.9, 3]
+    ]);
+    expect(result.breakdown[1].label).toBe('曖昧な表現');
+  });
+  
+  test('メディア種別の設定で重要度・種類の重みと逓減率を上書きできる', () => {
+    const result = scoring.calculateScore(groups, {
+      severityWeights: { minor: 2 },
+      categoryWeights: { mediaSpecific: 0 },
+      diminishingFactor: 1
+    });
+    
+    expect(result.totalPenalty).toBe(6);
+    expect(result.score).toBe(94);
+  });
+  
+  test('不正な重要度は既定の重要度として扱う', () => {
+    const result = scoring.calculateScore([{ category: 'ambiguousPhrase', rule: 'など', severity: 'fatal', count: 1 }]);
+    
+    expect(result.breakdown[0].rules[0].severity).toBe(scoring.CONFIG.DEFAULT_SEVERITY);
+    expect(result.totalPenalty).toBe(3);
+  });
+  
+  test('スコアは0を下回らない', () => {
+    const result = scoring.calculateScore([{ category: 'mediaSpecific', rule: '禁止語', severity: 'critical', count: 50 }], { diminishingFactor: 1 });
+    
+    expect(result.score).toBe(0);
+    expect(result.maxScore).toBe(scoring.CONFIG.MAX_SCORE);
+  });
+  
+  test('指摘がない場合は満点', () => {
+    expect(scoring.calculateScore([])).toMatchObject({ score: 100, totalPenalty: 0, breakdown: [] });
+  });
+});
\ No newline at end of file
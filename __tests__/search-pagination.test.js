@@ -0,0 +1,146 @@
+/**
+ * Drive 検索のページ送り（text-processor の searchDrive とカーソル）のテスト
+ * Drive は並び順と pageToken だけを扱うテスト用の実装に置き換える
+ */
+
+const files = Array.from({ length: 7 }, (_, i) => ({
+  id: `f${i + 1}`,
+  name: `文書${7 - i}`,
+  modifiedTime: `2026-10-0${7 - i}T00:00:00.000Z`
+}));
+
+const requests = [];
+
+/**
+ * テスト用の Drive の files.list（orderBy の順に並べ、pageToken は読み飛ばす件数）
+ */
+async function mockListFiles(request) {
+  requests.push(request);
+  
+  const sorted = request.orderBy === 'name'
+    ? [...files].sort((a, b) => a.name.localeCompare(b.name))
+    : files;
+  const start = Number(request.pageToken || 0);
+  const end = start + request.pageSize;
+  
+  return {
+    data: {
+      files: sorted.slice(start, end),
+      nextPageToken: end < sorted.length ? String(end) : undefined
+    }
+  };
+}
+
+jest.mock('googleapis', () => ({
+  google: { drive: () => ({ files: { list: request => mockListFiles(request) } }) }
+}));
+
+jest.mock('google-auth-library', () => ({
+  JWT: function JWT() {}
+}));
+
+process.env.FIREBASE_PRIVATE_KEY = 'test';
+
+const textProcessor = require('../text-processor');
+
+/**
+ * スニペットなしで検索
+ */
+function search(options, keyword = '選挙', period = null) {
+  return textProcessor.searchDrive(keyword, [], period, { snippets: false, ...options });
+}
+
+/**
+ * カーソルの中身を書き換える
+ */
+function rewriteCursor(cursor, update) {
+  const data = JSON.parse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+  
+  return Buffer.from(JSON.stringify({ ...data, ...update }), 'utf8').toString('base64');
+}
+
+afterEach(() => {
+  requests.length = 0;
+});
+
+describe('カーソルによるページ送り', () => {
+  test('nextCursor を指定すると続きのページを返し、最後のページでは nextCursor が null', async () => {
+    const pages = [];
+    let cursor = null;
+    let result;
+    
+    do {
+      result = await search({ pageSize: 3, cursor });
+      pages.push(result.items.map(item => item.id));
+      cursor = result.nextCursor;
+    } while (cursor && pages.length < 10);
+    
+    expect(pages).toEqual([['f1', 'f2', 'f3'], ['f4', 'f5', 'f6'], ['f7']]);
+    expect(result).toMatchObject({ hasMore: false, nextCursor: null, pageSize: 3, orderBy: 'modifiedTime' });
+  });
+  
+  test('カーソルは URL にそのまま含められる文字だけで表す', async () => {
+    const { nextCursor } = await search({ pageSize: 1 });
+    
+    expect(nextCursor).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+  
+  test('続きのページでは最初のページと同じ期間で検索する', async () => {
+    const first = await search({ pageSize: 3, dateFrom: '2026-10-01', dateTo: '2026-10-07' });
+    await search({ pageSize: 3, cursor: first.nextCursor });
+    
+    expect(requests[1].q).toBe(requests[0].q);
+    expect(requests[1].q).toContain("modifiedTime >= '2026-09-30T15:00:00.000Z'");
+    expect(requests[1].pageToken).toBe('3');
+  });
+  
+  test('並び順を指定した場合も続きのページは同じ並び順で返す', async () => {
+    const first = await search({ pageSize: 4, orderBy: 'name' });
+    const second = await search({ pageSize: 4, orderBy: 'name', cursor: first.nextCursor });
+    
+    expect(first.items.concat(second.items).map(item => item.title))
+      .toEqual(['文書1', '文書2', '文書3', '文書4', '文書5', '文書6', '文書7']);
+  });
+});
+
+describe('カーソルの検証', () => {
+  test.each([
+    ['カーソルとして読めない文字列', () => 'これはカーソルではない'],
+    ['位置が負の数', cursor => rewriteCursor(cursor, { positions: [{ pageToken: null, skip: -1 }] })],
+    ['期間が ISO 形式でない', cursor => rewriteCursor(cursor, { since: "2026-10-01' or name contains 'x" })],
+    ['検索条件のハッシュがない', cursor => rewriteCursor(cursor, { query: 1 })]
+  ])('%s は400のエラーにする', async (label, createCursor) => {
+    const { nextCursor } = await search({ pageSize: 1 });
+    
+    await expect(search({ pageSize: 1, cursor: createCursor(nextCursor) }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'カーソルが不正です' });
+  });
+  
+  test.each([
+    ['キーワード', { keyword: '台風' }],
+    ['並び順', { orderBy: 'name' }]
+  ])('%sが異なる検索のカーソルは400のエラーにする', async (label, changes) => {
+    const { nextCursor } = await search({ pageSize: 1 });
+    const { keyword, ...options } = changes;
+    
+    await expect(search({ pageSize: 1, cursor: nextCursor, ...options }, keyword))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('検索条件と一致しません') });
+  });
+});
+
+describe('検索条件の検証', () => {
+  test.each([
+    ['pageSize が範囲外', { pageSize: 0 }],
+    ['pageSize が上限を超える', { pageSize: textProcessor.SEARCH_CONFIG.MAX_PAGE_SIZE + 1 }],
+    ['不明な並び順', { orderBy: 'size' }],
+    ['存在しない日付', { dateFrom: '2026-02-30' }],
+    ['開始日が終了日より後', { dateFrom: '2026-10-08', dateTo: '2026-10-01' }]
+  ])('%s の場合は400のエラーにする', async (label, options) => {
+    await expect(search(options)).rejects.toMatchObject({ statusCode: 400 });
+    expect(requests).toHaveLength(0);
+  });
+  
+  test('period と dateFrom は同時に指定できない', () => {
+    expect(() => textProcessor.getDateRange('1w', '2026-10-01')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
\ No newline at end of file
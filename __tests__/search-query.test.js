@@ -0,0 +1,93 @@
+/**
+ * search-query のテスト
+ */
+
+const searchQuery = require('../search-query');
+
+/**
+ * 検索語の節点
+ */
+function term(value, options = {}) {
+  return { type: 'term', value, phrase: false, negated: false, field: null, ...options };
+}
+
+describe('parseSearchQuery', () => {
+  test('空白で区切った検索語は AND でまとめる', () => {
+    expect(searchQuery.parseSearchQuery('選挙 投票率')).toEqual({
+      type: 'and',
+      children: [term('選挙'), term('投票率')]
+    });
+  });
+  
+  test('引用符で囲んだ語はフレーズとして扱う', () => {
+    expect(searchQuery.parseSearchQuery('"記者会見 全文"')).toEqual(term('記者会見 全文', { phrase: true }));
+  });
+  
+  test('OR より AND を優先し、括弧でまとめた条件を先に結合する', () => {
+    expect(searchQuery.parseSearchQuery('(選挙 OR 投票) 速報')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'or', children: [term('選挙'), term('投票')] },
+        term('速報')
+      ]
+    });
+  });
+  
+  test('除外とフィールドの指定を解析する', () => {
+    expect(searchQuery.parseSearchQuery('選挙 -補欠')).toEqual({
+      type: 'and',
+      children: [term('選挙'), term('補欠', { negated: true })]
+    });
+    expect(searchQuery.parseSearchQuery('title:議事録')).toEqual(term('議事録', { field: 'title' }));
+    expect(searchQuery.parseSearchQuery('owner:desk@example.com')).toEqual(term('desk@example.com', { field: 'owner' }));
+  });
+  
+  test.each([
+    ['空のクエリ', '', '検索キーワードが指定されていません'],
+    ['括弧でまとめた条件の除外', 'a -(b)', '除外（-）は検索語にのみ指定できます'],
+    ['空の括弧', 'a ()', '括弧の中に検索語がありません'],
+    ['閉じていない括弧', '(a', '括弧が閉じられていません'],
+    ['対応のない閉じ括弧', 'a)', '対応する開き括弧がありません'],
+    ['除外だけのクエリ', '-補欠', '除外以外の検索語を1つ以上指定してください'],
+    ['演算子で終わるクエリ', 'a OR', '演算子（AND / OR）の後に検索語がありません'],
+    ['500文字を超えるクエリ', 'あ'.repeat(501), '検索キーワードは500文字以内で指定してください'],
+    ['21個の検索語', Array.from({ length: 21 }, (_, i) => `語${i}`).join(' '), '検索語は20個以内で指定してください']
+  ])('%s は400のエラーにする', (label, input, message) => {
+    expect.assertions(2);
+    
+    try {
+      searchQuery.parseSearchQuery(input);
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+      expect(error.message).toBe(message);
+    }
+  });
+});
+
+describe('toDriveQuery', () => {
+  test('構文木を Drive の q 文字列に変換する', () => {
+    const parsed = searchQuery.parseSearchQuery('(選挙 OR 投票) -補欠 title:速報');
+    
+    expect(searchQuery.toDriveQuery(parsed)).toBe(
+      "((fullText contains '選挙' or fullText contains '投票') and not fullText contains '補欠' and name contains '速報')"
+    );
+  });
+  
+  test('フレーズは引用符付きで検索し、所有者は owners で検索する', () => {
+    expect(searchQuery.toDriveQuery(searchQuery.parseSearchQuery('"記者会見 全文"'))).toBe("fullText contains '\"記者会見 全文\"'");
+    expect(searchQuery.toDriveQuery(searchQuery.parseSearchQuery('owner:desk@example.com'))).toBe("'desk@example.com' in owners");
+  });
+  
+  test('引用符とバックスラッシュをエスケープする', () => {
+    expect(searchQuery.quote("it's \\")).toBe("'it\\'s \\\\'");
+    expect(searchQuery.toDriveQuery(searchQuery.parseSearchQuery("it's"))).toBe("fullText contains 'it\\'s'");
+  });
+});
+
+describe('getSnippetTerms', () => {
+  test('本文を対象とする、除外していない検索語だけを返す', () => {
+    const parsed = searchQuery.parseSearchQuery('(選挙 OR 投票) -補欠 title:速報 "記者会見 全文"');
+    
+    expect(searchQuery.getSnippetTerms(parsed)).toEqual(['選挙', '投票', '記者会見 全文']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * 検索範囲（search-scope-manager と text-processor の Drive 検索）のテスト
+ * Drive はフォルダの階層とファイルの親フォルダだけを扱うテスト用の実装に置き換える
+ */
+
+const FOLDER = 'application/vnd.google-apps.folder';
+
+// フォルダの階層: root → sub1 → sub1a、root → sub2 → sub2a
+const folders = [
+  { id: 'sub1', parents: ['root'] },
+  { id: 'sub2', parents: ['root'] },
+  { id: 'sub1a', parents: ['sub1'] },
+  { id: 'sub2a', parents: ['sub2'] },
+  { id: 'otherSub', parents: ['other'] }
+];
+
+const files = [
+  { id: 'f1', name: '一', modifiedTime: '2026-10-06T00:00:00.000Z', parents: ['root'] },
+  { id: 'f2', name: '二', modifiedTime: '2026-10-05T00:00:00.000Z', parents: ['sub2a'] },
+  { id: 'f3', name: '三', modifiedTime: '2026-10-04T00:00:00.000Z', parents: ['sub2a', 'sub1'] },
+  { id: 'f4', name: '四', modifiedTime: '2026-10-03T00:00:00.000Z', parents: ['sub1'] },
+  { id: 'f5', name: '五', modifiedTime: '2026-10-02T00:00:00.000Z', parents: ['sub2'] },
+  { id: 'f6', name: '六', modifiedTime: '2026-10-01T00:00:00.000Z', parents: ['otherSub'] }
+];
+
+const requests = [];
+
+/**
+ * テスト用の Drive の files.list（q の「in parents」の条件だけを評価し、pageToken は読み飛ばす件数）
+ */
+async function mockListFiles(request) {
+  requests.push(request);
+  
+  const parents = [];
+  const pattern = /'([^']+)' in parents/g;
+  let match;
+  
+  while ((match = pattern.exec(request.q)) !== null) {
+    parents.push(match[1]);
+  }
+  
+  const candidates = request.q.includes(`mimeType='${FOLDER}'`) ? folders : files;
+  const matched = candidates
+    .filter(item => parents.length === 0 || item.parents.some(parent => parents.includes(parent)))
+    .sort((a, b) => String(b.modifiedTime).localeCompare(String(a.modifiedTime)));
+  const start = Number(request.pageToken || 0);
+  const end = start + request.pageSize;
+  
+  return {
+    data: {
+      files: matched.slice(start, end),
+      nextPageToken: end < matched.length ? String(end) : undefined
+    }
+  };
+}
+
+jest.mock('googleapis', () => ({
+  google: { drive: () => ({ files: { list: request => mockListFiles(request) } }) }
+}));
+
+jest.mock('google-auth-library', () => ({
+  JWT: function JWT() {}
+}));
+
+process.env.FIREBASE_PRIVATE_KEY = 'test';
+
+const textProcessor = require('../text-processor');
+const searchScopeManager = require('../search-scope-manager');
+
+/**
+ * テスト用の Firestore（collection().doc().get のみ）
+ */
+function createFakeDb(scopes) {
+  return {
+    collection: () => ({
+      doc: id => ({
+        get: async () => ({ exists: !!scopes[id], data: () => scopes[id] })
+      })
+    })
+  };
+}
+
+/**
+ * 検索結果のファイルIDの一覧
+ */
+async function searchIds(options) {
+  const result = await textProcessor.searchDrive('選挙', [], null, { snippets: false, ...options });
+  return { ids: result.items.map(item => item.id), result };
+}
+
+describe('validateSearchScope', () => {
+  test('保存する項目だけを取り出し、既存の内容に変更をマージする', () => {
+    const scope = searchScopeManager.validateSearchScope(
+      { period: '1m', createdBy: 'someone' },
+      { name: '政治部アーカイブ', desk: '政治部', folderIds: ['root'], id: 'x' }
+    );
+    
+    expect(scope).toEqual({ name: '政治部アーカイブ', desk: '政治部', folderIds: ['root'], period: '1m' });
+  });
+  
+  test('不正な項目はまとめて400のエラーにする', () => {
+    expect.assertions(2);
+    
+    try {
+      searchScopeManager.validateSearchScope({ name: ' ', fileTypes: ['xls'], period: '2y', folderIds: ['a/b'] });
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+      expect(error.details).toEqual([
+        'name は必須です',
+        'desk は必須です',
+        'fileTypes は docs / pdf / text の配列で指定してください',
+        'folderIds はフォルダIDの配列で指定してください',
+        'period は 1w / 1m / 3m / all のいずれかを指定してください'
+      ]);
+    }
+  });
+  
+  test('フォルダ・共有ドライブのいずれも指定しない検索範囲は拒否する', () => {
+    expect(() => searchScopeManager.validateSearchScope({ name: '全体', desk: '政治部' }))
+      .toThrow(expect.objectContaining({ details: ['folderIds・driveId・allDrives のいずれかを指定してください'] }));
+  });
+});
+
+describe('applySearchScope', () => {
+  const db = createFakeDb({
+    s1: { name: '政治部アーカイブ', desk: '政治部', folderIds: ['root'], fileTypes: ['docs'], period: '3m', driveId: null }
+  });
+  
+  test('保存した検索範囲を検索条件にし、リクエストで指定した項目を優先する', async () => {
+    expect(await searchScopeManager.applySearchScope(db, 's1', { fileTypes: ['pdf'] })).toEqual({
+      folderIds: ['root'],
+      fileTypes: ['pdf'],
+      period: '3m'
+    });
+  });
+  
+  test('期間の項目をどれか指定した場合は、保存した期間をまとめて置き換える', async () => {
+    expect(await searchScopeManager.applySearchScope(db, 's1', { dateFrom: '2026-10-01' })).toEqual({
+      folderIds: ['root'],
+      fileTypes: ['docs'],
+      dateFrom: '2026-10-01'
+    });
+  });
+  
+  test('存在しない検索範囲は404のエラーにする', async () => {
+    await expect(searchScopeManager.applySearchScope(db, 'none', {})).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('フォルダを指定した Drive 検索', () => {
+  const parentsPerQuery = textProcessor.SEARCH_CONFIG.PARENTS_PER_QUERY;
+  
+  afterEach(() => {
+    textProcessor.SEARCH_CONFIG.PARENTS_PER_QUERY = parentsPerQuery;
+    requests.length = 0;
+  });
+  
+  test('サブフォルダを辿り、指定したフォルダの配下のファイルだけを返す', async () => {
+    const { ids } = await searchIds({ folderIds: ['root'] });
+    
+    expect(ids).toEqual(['f1', 'f2', 'f3', 'f4', 'f5']);
+    expect(requests.filter(request => request.q.includes(FOLDER))).toHaveLength(3);
+    expect(requests[requests.length - 1]).toMatchObject({ corpora: 'allDrives', includeItemsFromAllDrives: true });
+  });
+  
+  test('サブフォルダの一覧はキャッシュし、ページ送りのたびに辿り直さない', async () => {
+    await searchIds({ folderIds: ['root'] });
+    
+    expect(requests.filter(request => request.q.includes(FOLDER))).toHaveLength(0);
+  });
+  
+  test('フォルダを複数のクエリに分けても更新日順にまとめ、複数のフォルダにあるファイルは1回だけ返す', async () => {
+    textProcessor.SEARCH_CONFIG.PARENTS_PER_QUERY = 2;
+    
+    const { ids } = await searchIds({ folderIds: ['root'] });
+    const queries = new Set(requests.map(request => request.q));
+    
+    expect(queries.size).toBe(3);
+    expect(ids).toEqual(['f1', 'f2', 'f3', 'f4', 'f5']);
+  });
+  
+  test('分けたクエリの結果をカーソルでページ送りし、すべてのファイルを重複なく返す', async () => {
+    textProcessor.SEARCH_CONFIG.PARENTS_PER_QUERY = 2;
+    
+    const pages = [];
+    let cursor = null;
+    
+    do {
+      const { ids, result } = await searchIds({ folderIds: ['root'], pageSize: 2, cursor });
+      pages.push(ids);
+      cursor = result.nextCursor;
+    } while (cursor && pages.length < 10);
+    
+    expect([].concat(...pages)).toEqual(['f1', 'f2', 'f3', 'f4', 'f5']);
+    expect(pages.every(page => page.length <= 2)).toBe(true);
+  });
+  
+  test('フォルダを指定してもしなくても、ファイル形式と期間の条件を検索のクエリに含める', async () => {
+    textProcessor.SEARCH_CONFIG.PARENTS_PER_QUERY = 2;
+    
+    for (const folderIds of [[], ['root']]) {
+      requests.length = 0;
+      await textProcessor.searchDrive('選挙', ['pdf'], null, { snippets: false, folderIds, dateFrom: '2026-10-01' });
+      
+      const fileQueries = requests.filter(request => !request.q.includes(FOLDER)).map(request => request.q);
+      expect(fileQueries.length).toBeGreaterThan(0);
+      fileQueries.forEach(q => {
+        expect(q).toContain('mimeType="application/pdf"');
+        expect(q).toContain("modifiedTime >= '2026-09-30T15:00:00.000Z'");
+      });
+    }
+  });
+  
+  test('フォルダの分け方が変わったカーソルは拒否する', async () => {
+    const { result } = await searchIds({ folderIds: ['root'], pageSize: 1 });
+    
+    textProcessor.SEARCH_CONFIG.PARENTS_PER_QUERY = 2;
+    
+    await expect(searchIds({ folderIds: ['root'], pageSize: 1, cursor: result.nextCursor }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
\ No newline at end of file
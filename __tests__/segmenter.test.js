@@ -0,0 +1,77 @@
+/**
+ * segmenter のテスト
+ */
+
+const { SPAN_KINDS, segmentText, maskText, kindAt } = require('../segmenter');
+
+/**
+ * 区間を [種類, テキスト] の一覧にする
+ */
+function describeSegments(text) {
+  return segmentText(text).map(segment => [segment.kind, text.slice(segment.start, segment.end)]);
+}
+
+describe('segmentText', () => {
+  test('引用・見出し・URL・コードを区間に分け、残りを本文とする', () => {
+    const text = '■速報\n首相は「検討する」と述べた。詳細は https://example.com/a と `code` を参照。';
+    
+    expect(describeSegments(text)).toEqual([
+      ['heading', '■速報'],
+      ['body', '\n首相は'],
+      ['quotation', '「検討する」'],
+      ['body', 'と述べた。詳細は '],
+      ['url', 'https://example.com/a'],
+      ['body', ' と '],
+      ['code', '`code`'],
+      ['body', ' を参照。']
+    ]);
+  });
+  
+  test('入れ子の引用は外側の括弧でまとめる', () => {
+    expect(describeSegments('彼は「『白書』を読んだ」と話した。')).toEqual([
+      ['body', '彼は'],
+      ['quotation', '「『白書』を読んだ」'],
+      ['body', 'と話した。']
+    ]);
+  });
+  
+  test('閉じられていない括弧があっても、次の段落の引用を検出する', () => {
+    expect(describeSegments('首相は「検討すると述べた。\n知事は「反対だ」と話した。')).toEqual([
+      ['body', '首相は「検討すると述べた。\n知事は'],
+      ['quotation', '「反対だ」'],
+      ['body', 'と話した。']
+    ]);
+  });
+  
+  test('内側の括弧が閉じられていなくても、外側の閉じ括弧で引用を閉じる', () => {
+    expect(describeSegments('「『白書を読んだ」と話し、「次も読む」と述べた。')).toEqual([
+      ['quotation', '「『白書を読んだ」'],
+      ['body', 'と話し、'],
+      ['quotation', '「次も読む」'],
+      ['body', 'と述べた。']
+    ]);
+  });
+  
+  test('句点で終わる行は見出しとみなさない', () => {
+    expect(describeSegments('【解説】記事の本文です。')).toEqual([['body', '【解説】記事の本文です。']]);
+  });
+});
+
+describe('maskText と kindAt', () => {
+  const text = '首相は「たくさん」と述べた。\nたくさんある。';
+  const segments = segmentText(text);
+  
+  test('指定した種類以外を空白に置き換え、文字数と改行の位置は変えない', () => {
+    const masked = maskText(text, segments, [SPAN_KINDS.BODY]);
+    
+    expect(masked).toBe('首相は      と述べた。\nたくさんある。');
+    expect(masked.length).toBe(text.length);
+    expect(maskText(text, segments, Object.values(SPAN_KINDS))).toBe(text);
+  });
+  
+  test('文字オフセットが属する区間の種類を返す', () => {
+    expect(kindAt(segments, text.indexOf('たくさん'))).toBe(SPAN_KINDS.QUOTATION);
+    expect(kindAt(segments, text.lastIndexOf('たくさん'))).toBe(SPAN_KINDS.BODY);
+    expect(kindAt(segments, text.length + 10)).toBe(SPAN_KINDS.BODY);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * similar-articles のテスト
+ */
+
+const { compareTexts, refreshFingerprints, findSimilarArticles } = require('../similar-articles');
+
+const DOCS = 'application/vnd.google-apps.document';
+
+/**
+ * 決まった種から作る、繰り返しのない文章（長いアーカイブ文書の本文用）
+ */
+function generateText(seed, length) {
+  const chars = '政治経済社会国際文化科学技術環境教育医療地域産業金融市場選挙議会内閣予算法案改正制度行政企業雇用物価';
+  let state = seed;
+  let text = '';
+  
+  while (text.length < length) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    text += chars[(state >>> 8) % chars.length];
+    if (text.length % 40 === 39) text += '。';
+  }
+  
+  return text;
+}
+
+/**
+ * テスト用の Firestore（articleFingerprints の get・doc().set・batch のみ）
+ */
+function createFakeDb() {
+  const store = new Map();
+  
+  return {
+    store,
+    collection: () => ({
+      get: async () => ({ forEach: callback => store.forEach((data, id) => callback({ id, data: () => data })) }),
+      doc: id => ({
+        id,
+        set: async data => {
+          store.set(id, data);
+        }
+      })
+    }),
+    batch: () => ({
+      delete: ref => store.delete(ref.id),
+      commit: async () => {}
+    })
+  };
+}
+
+/**
+ * テスト用の Drive（files.list・files.export のみ）
+ */
+function createFakeDrive(files) {
+  return {
+    files: {
+      list: async () => ({ data: { files: files.map(({ content, ...file }) => file) } }),
+      export: async request => ({ data: files.find(file => file.id === request.fileId).content })
+    }
+  };
+}
+
+describe('compareTexts', () => {
+  const sentence = '衆議院は本日の本会議で補正予算案を可決した。';
+  
+  test('一致箇所を原稿とアーカイブ文書の両方の位置で返す', () => {
+    const draft = `速報 ${sentence}以上。`;
+    const archive = `参議院では別の法案を審議した。${sentence}`;
+    const result = compareTexts(draft, archive);
+    
+    expect(result.passages).toEqual([
+      {
+        length: sentence.length,
+        draft: { start: draft.indexOf(sentence), end: draft.indexOf(sentence) + sentence.length, text: sentence },
+        archive: { start: archive.indexOf(sentence), end: archive.length, text: sentence }
+      }
+    ]);
+    expect(result.jaccard).toBeGreaterThan(0);
+    // 割合は空白を除いた文字数で求める
+    expect(result.draftCoverage).toBeCloseTo(sentence.length / draft.replace(/\s/g, '').length, 3);
+  });
+  
+  test('同じ書き出しがアーカイブ文書に複数ある場合は最も長く一致する位置を採る', () => {
+    const archive = `衆議院は本日の午後に散会した。${sentence}`;
+    const result = compareTexts(sentence, archive);
+    
+    expect(result.passages).toHaveLength(1);
+    expect(result.passages[0].archive.start).toBe(archive.indexOf(sentence));
+    expect(result.passages[0].archive.text).toBe(sentence);
+    expect(result.draftCoverage).toBe(1);
+  });
+  
+  test('全角・半角、大文字・小文字、空白の違いは無視し、位置は正規化前のテキストで返す', () => {
+    const draft = 'ＡＢＣ　社長は 本日の記者会見で辞任を表明した。後任は未定。';
+    const archive = 'abc社長は本日の記者会見で辞任を表明した。';
+    const result = compareTexts(draft, archive);
+    
+    expect(result.passages).toHaveLength(1);
+    expect(result.passages[0].draft.text).toBe('ＡＢＣ　社長は 本日の記者会見で辞任を表明した。');
+    expect(result.passages[0].archive.text).toBe(archive);
+    expect(result.archiveCoverage).toBe(1);
+  });
+  
+  test('短い一致は一致箇所として返さず、似ていない文書の類似度は0', () => {
+    expect(compareTexts('本会議で可決した。', `昨日の${sentence}`).passages).toEqual([]);
+    expect(compareTexts('全く関係のない文章です。天気は晴れ。', sentence)).toEqual({
+      jaccard: 0,
+      draftCoverage: 0,
+      archiveCoverage: 0,
+      passages: []
+    });
+  });
+});
+
+describe('findSimilarArticles', () => {
+  const borrowed = '首相は記者会見で来年度の予算編成の方針を説明した。';
+  const longArchive = generateText(1, 4000);
+  const files = [
+    {
+      id: 'long',
+      name: '長い過去記事',
+      mimeType: DOCS,
+      modifiedTime: '2026-10-01T00:00:00.000Z',
+      content: longArchive.slice(0, 2000) + borrowed + longArchive.slice(2000)
+    },
+    { id: 'other', name: '関係のない記事', mimeType: DOCS, modifiedTime: '2026-09-01T00:00:00.000Z', content: generateText(2, 3000) }
+  ];
+  const draft = `${generateText(3, 200)}${borrowed}${generateText(4, 200)}`;
+  
+  test('長い過去記事の一部を流用した短い箇所も候補にして一致箇所を返す', async () => {
+    const db = createFakeDb();
+    const drive = createFakeDrive(files);
+    
+    expect(await refreshFingerprints(db, drive)).toMatchObject({ updated: 2, remaining: 0 });
+    
+    const result = await findSimilarArticles(db, drive, draft);
+    
+    expect(result.items.map(item => item.id)).toEqual(['long']);
+    expect(result.items[0].passages).toHaveLength(1);
+    expect(result.items[0].passages[0].draft.text).toContain(borrowed);
+    // Jaccard 係数の推定値はほぼ0でも候補に含める
+    expect(result.items[0].estimatedSimilarity).toBeLessThan(0.03);
+    expect(result.items[0].estimatedContainment).toBeGreaterThan(0);
+  });
+});
\ No newline at end of file
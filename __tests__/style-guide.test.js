@@ -0,0 +1,134 @@
+/**
+ * style-guide のテスト
+ */
+
+const styleGuide = require('../style-guide');
+
+/**
+ * テスト用の Firestore（styleRules の where・get・doc・batch のみ）
+ */
+function createFakeDb(rules) {
+  const store = new Map(rules.map(({ id, ...data }) => [id, data]));
+  let nextId = 0;
+  
+  const query = filters => ({
+    where: (field, op, value) => query([...filters, { field, op, value }]),
+    get: async () => {
+      const docs = [...store.entries()]
+        .filter(([, data]) => filters.every(({ field, op, value }) =>
+          op === 'array-contains' ? (data[field] || []).includes(value) : data[field] === value))
+        .map(([id, data]) => ({ id, data: () => data }));
+      
+      return { forEach: callback => docs.forEach(callback) };
+    }
+  });
+  
+  return {
+    store,
+    collection: () => ({
+      ...query([]),
+      doc: id => ({ id: id || `new${++nextId}` })
+    }),
+    batch: () => {
+      const operations = [];
+      
+      return {
+        set: (ref, data) => operations.push([ref.id, data]),
+        commit: async () => operations.forEach(([id, data]) => store.set(id, data))
+      };
+    }
+  };
+}
+
+/**
+ * 既存のルール（新聞・雑誌・放送の各デスクのルール）
+ */
+function createRules() {
+  return [
+    {
+      id: 'r1',
+      key: 'tokusoku',
+      type: 'ambiguousPhrase',
+      mediaTypes: ['新聞'],
+      text: 'たくさん',
+      suggestion: '多数',
+      severity: 'major',
+      isActive: true
+    },
+    {
+      id: 'r2',
+      type: 'mediaSpecific',
+      mediaTypes: ['新聞', '雑誌'],
+      pattern: '下さい',
+      replacement: 'ください',
+      description: '補助動詞はひらがな',
+      examples: { shouldMatch: [], shouldNotMatch: [] },
+      isActive: true
+    },
+    {
+      id: 'r3',
+      type: 'ambiguousPhrase',
+      mediaTypes: ['放送'],
+      text: 'いろいろ',
+      suggestion: '具体的に',
+      isActive: true
+    }
+  ];
+}
+
+describe('スタイルガイドのエクスポートとインポート', () => {
+  test.each([['csv'], ['yaml']])('%s で出力したガイドを同じメディア種別に取り込むと差分がない', async format => {
+    const db = createFakeDb(createRules());
+    const exported = await styleGuide.exportStyleGuide(db, { format, mediaType: '新聞' });
+    
+    expect(exported.count).toBe(2);
+    
+    const report = await styleGuide.importStyleGuide(db, exported.content, { format, mediaType: '新聞', dryRun: false });
+    
+    expect(report).toMatchObject({ added: [], changed: [], removed: [], unchanged: 2, errors: [], written: 0 });
+  });
+  
+  test('他のメディア種別のルールと一致した行は、インポート先のメディア種別を重複させずに追加する', async () => {
+    const db = createFakeDb(createRules());
+    const content = 'rules:\n  - type: ambiguousPhrase\n    text: いろいろ\n    suggestion: 具体的に\n' +
+      '  - key: tokusoku\n    type: ambiguousPhrase\n    mediaTypes: [新聞, 放送]\n    text: たくさん\n    suggestion: 多数\n    severity: major\n';
+    const report = await styleGuide.importStyleGuide(db, content, { format: 'yaml', mediaType: '放送', dryRun: false });
+    
+    expect(report.changed.map(change => [change.id, change.changes.mediaTypes.after])).toEqual([['r1', ['新聞', '放送']]]);
+    expect(report.unchanged).toBe(1);
+    expect(db.store.get('r1').mediaTypes).toEqual(['新聞', '放送']);
+    expect(db.store.get('r3').mediaTypes).toEqual(['放送']);
+    
+    // 一致した他のデスクのルールにメディア種別を追加する
+    const attached = await styleGuide.importStyleGuide(db, 'type,text,suggestion\nambiguousPhrase,いろいろ,具体的に\n', {
+      format: 'csv',
+      mediaType: '雑誌',
+      dryRun: false
+    });
+    
+    expect(attached.changed).toEqual([
+      { key: 'ambiguousPhrase:いろいろ', id: 'r3', row: 2, changes: { mediaTypes: { before: ['放送'], after: ['放送', '雑誌'] } } }
+    ]);
+    expect(db.store.get('r3').mediaTypes).toEqual(['放送', '雑誌']);
+    
+    // ガイドにない r2 は雑誌から外れる
+    expect(attached.removed).toEqual([{ key: 'mediaSpecific:下さい', id: 'r2', action: 'detach' }]);
+    expect(db.store.get('r2').mediaTypes).toEqual(['新聞']);
+  });
+  
+  test('既定のドライランでは差分だけを返し、メディア種別を指定しないインポートではルールを外さない', async () => {
+    const db = createFakeDb(createRules());
+    const content = 'type,mediaTypes,text,suggestion\nambiguousPhrase,一般,非常に,具体的に\n';
+    
+    const dryRun = await styleGuide.importStyleGuide(db, content, { format: 'csv' });
+    
+    expect(dryRun.added.map(added => added.key)).toEqual(['ambiguousPhrase:非常に']);
+    expect(dryRun.removed).toEqual([]);
+    expect(db.store.size).toBe(3);
+    
+    await styleGuide.importStyleGuide(db, content, { format: 'csv', dryRun: false });
+    
+    expect(db.store.size).toBe(4);
+    expect([...db.store.values()].every(rule => rule.isActive)).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * suggestion-applier のテスト
+ */
+
+const suggestionApplier = require('../suggestion-applier');
+
+/**
+ * テキスト中の文字列の位置に指摘を作成
+ */
+function issueAt(text, target, replacement, rule = target) {
+  const start = text.indexOf(target);
+  const issue = { type: 'notationInconsistency', rule, start, end: start + target.length, text: target };
+  
+  if (replacement !== undefined) {
+    issue.replacement = replacement;
+  }
+  
+  return issue;
+}
+
+describe('expandReplacement', () => {
+  test.each([
+    ['一致全体', '[$&]', '[2024年]'],
+    ['番号付きグループ', '$2/$1', '年/2024'],
+    ['名前付きグループ', '$<year>', '2024'],
+    ['ドル記号', '$$1', '$1'],
+    ['存在しないグループ', '$9', '']
+  ])('%s を展開する', (label, template, expected) => {
+    const match = /(?<year>\d+)(年)/.exec('2024年');
+    
+    expect(suggestionApplier.expandReplacement(template, match)).toBe(expected);
+  });
+});
+
+describe('diffChars', () => {
+  test('文字単位の差分を返す', () => {
+    expect(suggestionApplier.diffChars('子供たち', '子どもたち')).toEqual([
+      { type: 'equal', text: '子' },
+      { type: 'delete', text: '供' },
+      { type: 'insert', text: 'ども' },
+      { type: 'equal', text: 'たち' }
+    ]);
+  });
+  
+  test('長い区間は削除と挿入として扱う', () => {
+    const before = 'あ'.repeat(501);
+    
+    expect(suggestionApplier.diffChars(before, 'い')).toEqual([
+      { type: 'delete', text: before },
+      { type: 'insert', text: 'い' }
+    ]);
+  });
+});
+
+describe('applySuggestions', () => {
+  const text = '子供が全て食べた。';
+  
+  test('採用した指摘を適用し、修正後のテキストと差分を返す', () => {
+    const issues = [issueAt(text, '子供', '子ども'), issueAt(text, '全て', 'すべて')];
+    
+    const result = suggestionApplier.applySuggestions(text, issues, { findings: [issues[0]] });
+    
+    expect(result.text).toBe('子どもが全て食べた。');
+    expect(result.applied).toEqual([{ type: 'notationInconsistency', rule: '子供', start: 0, end: 2, text: '子供', replacement: '子ども' }]);
+    expect(result.diff.map(op => op.type)).toEqual(['equal', 'delete', 'insert', 'equal']);
+    expect(result.diff.filter(op => op.type !== 'insert').map(op => op.text).join('')).toBe(text);
+    expect(result.diff.filter(op => op.type !== 'delete').map(op => op.text).join('')).toBe(result.text);
+  });
+  
+  test('applyAllSafe は置換内容が確定している指摘をすべて適用する', () => {
+    const issues = [issueAt(text, '子供', '子ども'), issueAt(text, '全て', 'すべて'), issueAt(text, '食べ')];
+    
+    const result = suggestionApplier.applySuggestions(text, issues, { applyAllSafe: true });
+    
+    expect(result.text).toBe('子どもがすべて食べた。');
+    expect(result.skipped).toEqual([]);
+  });
+  
+  test('利用者が指定した置換後の文字列を優先する', () => {
+    const issues = [issueAt(text, '子供', '子ども')];
+    
+    const result = suggestionApplier.applySuggestions(text, issues, {
+      findings: [{ ...issues[0], replacement: 'こども' }],
+      applyAllSafe: true
+    });
+    
+    expect(result.text).toBe('こどもが全て食べた。');
+  });
+  
+  test.each([
+    ['現在のテキストにない指摘', [], [{ type: 'notationInconsistency', rule: '子供', start: 3, end: 5 }], 'notFound'],
+    ['置換後の文字列がない指摘', [issueAt(text, '食べ')], [issueAt(text, '食べ')], 'noReplacement'],
+    ['同じ範囲で置換後の文字列が異なる指摘', [issueAt(text, '子供', '子ども', 'a'), issueAt(text, '子供', 'こども', 'b')], [issueAt(text, '子供', undefined, 'a'), issueAt(text, '子供', undefined, 'b')], 'ambiguous'],
+    ['先に適用した修正と重なる指摘', [issueAt(text, '子供が', 'こどもが'), issueAt(text, '供が全', '共が全')], [issueAt(text, '子供が'), issueAt(text, '供が全')], 'overlap']
+  ])('%s は適用せずに理由を返す', (label, issues, findings, reason) => {
+    const result = suggestionApplier.applySuggestions(text, issues, { findings });
+    
+    expect(result.skipped.map(entry => entry.reason)).toContain(reason);
+    expect(result.applied.length + result.skipped.length).toBe(findings.length);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * suppression のテスト
+ */
+
+const suppression = require('../suppression');
+
+/**
+ * 「。」で区切った文の一覧
+ */
+function splitSentences(text) {
+  const sentences = [];
+  const pattern = /[^。]+。?/g;
+  let match;
+  
+  while ((match = pattern.exec(text)) !== null) {
+    sentences.push({ start: match.index, end: match.index + match[0].length });
+  }
+  
+  return sentences;
+}
+
+/**
+ * テスト用の Firestore（collection().doc() の get / set と、順に実行するトランザクションのみ）
+ */
+function createFakeDb() {
+  const store = new Map();
+  let queue = Promise.resolve();
+  
+  return {
+    store,
+    collection: name => ({
+      doc: id => ({
+        get: async () => ({ exists: store.has(`${name}/${id}`), data: () => store.get(`${name}/${id}`) }),
+        set: async data => {
+          store.set(`${name}/${id}`, data);
+        }
+      })
+    }),
+    runTransaction: callback => {
+      const result = queue.then(() => callback({ get: ref => ref.get(), set: (ref, data) => ref.set(data) }));
+      queue = result.catch(() => {});
+      return result;
+    }
+  };
+}
+
+describe('stripMarkers', () => {
+  test('マーカーを取り除き、除去後の位置を元の位置に変換できる', () => {
+    const input = 'たくさんある。<!-- ts-ignore たくさん -->たくさん食べた。';
+    const stripped = suppression.stripMarkers(input);
+    
+    expect(stripped.text).toBe('たくさんある。たくさん食べた。');
+    expect(stripped.markers).toEqual([
+      { kind: 'ignore', rules: ['たくさん'], start: 7, end: 30, offset: 7 }
+    ]);
+    
+    // マーカーの位置は、開始位置ならマーカーの直後、終了位置ならマーカーの直前に対応する
+    expect(stripped.toOriginal(7, false)).toBe(30);
+    expect(stripped.toOriginal(7, true)).toBe(7);
+    expect(stripped.toOriginal(9, false)).toBe(input.indexOf('さん食べ'));
+  });
+  
+  test('ルールはカンマや読点でも区切れる', () => {
+    const stripped = suppression.stripMarkers('<!-- ts-disable ambiguousPhrase,properNoun、たくさん -->本文');
+    
+    expect(stripped.markers[0].rules).toEqual(['ambiguousPhrase', 'properNoun', 'たくさん']);
+  });
+});
+
+describe('createMarkerScopes', () => {
+  const input = 'たくさんある。<!-- ts-ignore たくさん -->たくさん食べた。' +
+    '<!-- ts-disable ambiguousPhrase -->曖昧だ。<!-- ts-enable -->終わり。<!-- ts-disable -->末尾。';
+  const stripped = suppression.stripMarkers(input);
+  const scopes = suppression.createMarkerScopes(stripped, splitSentences(stripped.text));
+  
+  test('ts-ignore はマーカーの直後の文、ts-disable は ts-enable までを抑制する', () => {
+    expect(scopes).toEqual([
+      {
+        spec: 'たくさん',
+        start: input.indexOf('たくさん食べ'),
+        end: input.indexOf('<!-- ts-disable ambiguousPhrase'),
+        marker: { kind: 'ignore', start: 7, end: input.indexOf('たくさん食べ') }
+      },
+      {
+        spec: 'ambiguousPhrase',
+        start: input.indexOf('曖昧'),
+        end: input.indexOf('<!-- ts-enable'),
+        marker: { kind: 'disable', start: input.indexOf('<!-- ts-disable ambiguousPhrase'), end: input.indexOf('曖昧') }
+      },
+      {
+        spec: '*',
+        start: input.indexOf('末尾'),
+        end: Infinity,
+        marker: { kind: 'disable', start: input.indexOf('<!-- ts-disable -->'), end: input.indexOf('末尾') }
+      }
+    ]);
+  });
+  
+  test('抑制の範囲と指摘の種類・ルールが一致する指摘だけを抑制する', () => {
+    const suppress = suppression.createSuppressor(scopes);
+    const at = text => input.indexOf(text);
+    
+    expect(suppress({ type: 'ambiguousPhrase', rule: 'たくさん', start: at('たくさん食べ') })).toEqual({
+      source: 'marker',
+      rule: 'たくさん',
+      marker: { kind: 'ignore', start: 7, end: at('たくさん食べ') }
+    });
+    expect(suppress({ type: 'ambiguousPhrase', rule: 'たくさん', start: 0 })).toBeNull();
+    expect(suppress({ type: 'ambiguousPhrase', rule: '曖昧', start: at('曖昧') })).not.toBeNull();
+    expect(suppress({ type: 'properNoun', rule: '曖昧', start: at('曖昧') })).toBeNull();
+    expect(suppress({ type: 'ambiguousPhrase', rule: '終わり', start: at('終わり') })).toBeNull();
+    expect(suppress({ type: 'properNoun', rule: '末尾', start: at('末尾') })).not.toBeNull();
+  });
+});
+
+describe('createSuppressor', () => {
+  test('無視リストの項目は type・rule・text のすべてが一致する指摘を抑制する', () => {
+    const suppress = suppression.createSuppressor([], [
+      { scope: 'user', scopeId: 'u1', type: 'ambiguousPhrase', rule: 'たくさん' },
+      { scope: 'document', scopeId: 'd1', text: '弊社' }
+    ]);
+    
+    expect(suppress({ type: 'ambiguousPhrase', rule: 'たくさん', text: 'たくさん', start: 0 })).toEqual({
+      source: 'user',
+      id: 'u1',
+      entry: { type: 'ambiguousPhrase', rule: 'たくさん', text: undefined }
+    });
+    expect(suppress({ type: 'mediaSpecific', rule: 'たくさん', text: 'たくさん', start: 0 })).toBeNull();
+    expect(suppress({ type: 'properNoun', rule: '社名', text: '弊社', start: 0 }).source).toBe('document');
+  });
+});
+
+describe('無視リスト', () => {
+  test('項目を追加・削除し、ユーザーと文書の両方の項目を分析に適用する', async () => {
+    const db = createFakeDb();
+    
+    await suppression.addIgnoreEntry(db, 'user', 'u1', { type: 'ambiguousPhrase', rule: 'たくさん', extra: 'x' });
+    await suppression.addIgnoreEntry(db, 'document', 'd1', { text: '弊社' });
+    
+    // 同じ項目は重複して登録しない
+    const { entries } = await suppression.addIgnoreEntry(db, 'user', 'u1', { type: 'ambiguousPhrase', rule: 'たくさん' });
+    
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toEqual({ type: 'ambiguousPhrase', rule: 'たくさん', createdAt: expect.any(Number) });
+    
+    const applied = await suppression.getIgnoreEntries(db, { userId: 'u1', documentId: 'd1' });
+    
+    expect(applied.map(entry => [entry.scope, entry.scopeId, entry.rule || entry.text])).toEqual([
+      ['user', 'u1', 'たくさん'],
+      ['document', 'd1', '弊社']
+    ]);
+    
+    await suppression.removeIgnoreEntry(db, 'user', 'u1', { type: 'ambiguousPhrase', rule: 'たくさん' });
+    
+    expect(await suppression.getIgnoreList(db, 'user', 'u1')).toEqual([]);
+  });
+  
+  test('同時に追加した項目はどちらも登録する', async () => {
+    const db = createFakeDb();
+    
+    await Promise.all([
+      suppression.addIgnoreEntry(db, 'user', 'u1', { rule: 'たくさん' }),
+      suppression.addIgnoreEntry(db, 'user', 'u1', { text: '弊社' })
+    ]);
+    
+    expect((await suppression.getIgnoreList(db, 'user', 'u1')).map(entry => entry.rule || entry.text)).toEqual(['たくさん', '弊社']);
+  });
+  
+  test('分析に適用する項目は、数値のIDを文字列として扱い、不正なIDや取得の失敗を項目なしとする', async () => {
+    const db = createFakeDb();
+    
+    await suppression.addIgnoreEntry(db, 'user', '42', { rule: 'たくさん' });
+    await suppression.addIgnoreEntry(db, 'document', 'd1', { text: '弊社' });
+    
+    expect((await suppression.getIgnoreEntries(db, { userId: 42, documentId: { id: 'd1' } })).map(entry => entry.scopeId)).toEqual(['42']);
+    expect(await suppression.getIgnoreEntries(db, { userId: 'a/b' })).toEqual([]);
+    
+    const failing = {
+      collection: () => ({
+        doc: () => ({
+          get: async () => {
+            throw new Error('unavailable');
+          }
+        })
+      })
+    };
+    
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    expect(await suppression.getIgnoreEntries(failing, { userId: 'u1', documentId: 'd1' })).toEqual([]);
+    
+    console.error.mockRestore();
+  });
+  
+  test('不正な指定は400のエラーにする', async () => {
+    const db = createFakeDb();
+    
+    await expect(suppression.addIgnoreEntry(db, 'team', 'u1', { rule: 'たくさん' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(suppression.addIgnoreEntry(db, 'user', 'a/b', { rule: 'たくさん' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(suppression.addIgnoreEntry(db, 'user', 'u1', { note: 'メモのみ' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+  
+  test(`1つの無視リストには${suppression.CONFIG.MAX_ENTRIES}件まで登録できる`, async () => {
+    const db = createFakeDb();
+    const entries = Array.from({ length: suppression.CONFIG.MAX_ENTRIES }, (_, i) => ({ rule: `ルール${i}` }));
+    
+    await db.collection(suppression.CONFIG.COLLECTION).doc('user:u1').set({ entries });
+    
+    await expect(suppression.addIgnoreEntry(db, 'user', 'u1', { rule: '追加' }))
+      .rejects.toThrow(`無視リストに登録できるのは${suppression.CONFIG.MAX_ENTRIES}件までです`);
+  });
+});
\ No newline at end of file
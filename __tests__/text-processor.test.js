@@ -0,0 +1,202 @@
+/**
+ * text-processor のテスト
+ */
+
+const textProcessor = require('../text-processor');
+const suggestionApplier = require('../suggestion-applier');
+
+/**
+ * テスト用のルール（曖昧語とメディア固有ルール）
+ */
+function createRules() {
+  const rules = textProcessor.createEmptyRules('一般');
+  
+  textProcessor.addStyleRule(rules, { type: 'ambiguousPhrase', text: 'など', suggestion: '具体的に列挙してください' });
+  textProcessor.addStyleRule(rules, { type: 'mediaSpecific', pattern: '今日', description: '日付で書いてください' });
+  
+  return rules;
+}
+
+describe('analyzeText の位置情報', () => {
+  test('すべての指摘に元のテキストでの開始・終了位置・行番号・文番号を付ける', async () => {
+    const text = '果物などを買った。\n今日は晴れた。野菜なども買った。';
+    
+    const result = await textProcessor.analyzeText(text, createRules(), false);
+    const issues = result.issues.filter(issue => issue.type !== 'repetitiveEnding');
+    
+    expect(issues.map(issue => [issue.type, issue.start, issue.end, issue.line, issue.sentenceIndex])).toEqual([
+      ['ambiguousPhrase', 2, 4, 0, 0],
+      ['mediaSpecific', 10, 12, 1, 1],
+      ['ambiguousPhrase', 19, 21, 1, 2]
+    ]);
+    
+    result.issues.forEach(issue => {
+      expect(text.slice(issue.start, issue.end)).toBe(issue.text);
+    });
+  });
+  
+  test('指摘は位置順に並び、区間の種類を持つ', async () => {
+    const result = await textProcessor.analyzeText('「今日など」と話した。今日など。', createRules(), false);
+    
+    const starts = result.issues.map(issue => issue.start);
+    expect(starts).toEqual([...starts].sort((a, b) => a - b));
+    
+    const quoted = result.issues.find(issue => issue.type === 'mediaSpecific' && issue.start === 1);
+    expect(quoted.spanKind).toBe('quotation');
+  });
+  
+  test('抑制マーカーを含むテキストでは、マーカーを含む元のテキストでの位置を返す', async () => {
+    const marker = '<!-- ts-ignore mediaSpecific -->';
+    const text = `${marker}今日は晴れ。果物などを買った。`;
+    
+    const result = await textProcessor.analyzeText(text, createRules(), false);
+    const phrase = result.issues.find(issue => issue.type === 'ambiguousPhrase');
+    
+    expect(text.slice(phrase.start, phrase.end)).toBe('など');
+    expect(phrase.start).toBe(marker.length + 8);
+    expect(result.suppressed.map(entry => entry.type)).toContain('mediaSpecific');
+  });
+  
+  test('空のテキストは指摘のない結果を返す', async () => {
+    const result = await textProcessor.analyzeText('   ', createRules(), false);
+    
+    expect(result.issues).toEqual([]);
+  });
+});
+describe('analyzeText の置換候補', () => {
+  test('置換テンプレートを一致ごとに展開し、適用すると修正後のテキストになる', async () => {
+    const rules = textProcessor.createEmptyRules('一般');
+    textProcessor.addStyleRule(rules, { type: 'mediaSpecific', pattern: '(\\d+)パーセント', replacement: '$1%', description: '記号で書いてください' });
+    const text = '支持率は30パーセントで、前回は25パーセントだった。';
+    
+    const result = await textProcessor.analyzeText(text, rules, false);
+    const issues = result.issues.filter(issue => issue.type === 'mediaSpecific');
+    
+    expect(issues.map(issue => issue.replacement)).toEqual(['30%', '25%']);
+    expect(suggestionApplier.applySuggestions(text, result.issues, { applyAllSafe: true }).text)
+      .toBe('支持率は30%で、前回は25%だった。');
+  });
+});
+describe('analyzeText の進捗通知', () => {
+  test('段階ごとに進捗とその段階で見つかった指摘を通知する', async () => {
+    const progress = [];
+    
+    const result = await textProcessor.analyzeText('果物などを買った。今日は晴れた。', createRules(), true, {
+      onProgress: entry => progress.push(entry)
+    });
+    
+    expect(progress.map(entry => entry.phase)).toEqual(textProcessor.ANALYSIS_PHASES.map(entry => entry.phase));
+    expect(progress.map(entry => entry.index)).toEqual(progress.map((entry, i) => i + 1));
+    progress.forEach(entry => expect(entry.total).toBe(textProcessor.ANALYSIS_PHASES.length));
+    
+    const phraseFindings = progress.find(entry => entry.phase === 'ambiguousPhrase').findings;
+    expect(phraseFindings.map(issue => issue.rule)).toEqual(['など']);
+    
+    const reported = [].concat(...progress.map(entry => entry.findings));
+    expect(reported).toHaveLength(result.issues.length);
+  });
+  
+  test('詳細分析でない場合は読みやすさの段階を通知しない', async () => {
+    const phases = [];
+    
+    await textProcessor.analyzeText('今日は晴れた。', createRules(), false, {
+      onProgress: entry => phases.push(entry.phase)
+    });
+    
+    expect(phases).not.toContain('readability');
+    expect(phases[phases.length - 1]).toBe('score');
+  });
+  
+  test('キャンセルされた場合は次の段階に進まず、cancelled を付けたエラーを送出する', async () => {
+    const phases = [];
+    
+    const error = await textProcessor.analyzeText('今日は晴れた。', createRules(), false, {
+      onProgress: entry => phases.push(entry.phase),
+      isCancelled: () => phases.includes('ambiguousPhrase')
+    }).catch(caught => caught);
+    
+    expect(error.cancelled).toBe(true);
+    expect(phases).toEqual(['prepare', 'ambiguousPhrase']);
+  });
+});
+describe('fetchFileText', () => {
+  const drive = {
+    files: {
+      export: async () => ({ data: 'ドキュメントの本文' }),
+      get: async () => {
+        const buffer = Buffer.from('テキストファイルの本文', 'utf8');
+        return { data: buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length) };
+      }
+    }
+  };
+  
+  test.each([
+    ['Googleドキュメント', 'application/vnd.google-apps.document', 'ドキュメントの本文'],
+    ['テキストファイル', 'text/plain', 'テキストファイルの本文'],
+    ['本文を抽出できない形式', 'image/png', null]
+  ])('%s', async (label, mimeType, expected) => {
+    expect(await textProcessor.fetchFileText(drive, { id: 'f1', mimeType })).toBe(expected);
+  });
+});
+describe('extractSnippet', () => {
+  /**
+   * コンテキストのハイライト部分の文字列
+   */
+  const highlighted = context => context.highlights.map(range => context.text.slice(range.start, range.end));
+  
+  test('一致箇所ごとに文を単位としたコンテキストを返し、同じ文の一致はまとめてハイライトする', () => {
+    const text = '選挙が行われた。天気は晴れ。選挙の結果、選挙区で当選した。';
+    
+    const result = textProcessor.extractSnippet(text, ['選挙']);
+    
+    expect(result.matchCount).toBe(3);
+    expect(result.contexts.map(context => context.text)).toEqual(['選挙が行われた。', '選挙の結果、選挙区で当選した。']);
+    expect(result.contexts.map(highlighted)).toEqual([['選挙'], ['選挙', '選挙']]);
+    expect(result.contexts[1].position).toBe(text.indexOf('選挙の結果'));
+    expect(result.snippet).toBe(result.contexts[0].text);
+  });
+  
+  test('コンテキスト数は maxContexts までとし、一致の総数は matchCount で返す', () => {
+    const text = 'Aの話。Bの話。Cの話。Dの話。';
+    
+    const result = textProcessor.extractSnippet(text, ['の話'], 2);
+    
+    expect(result.contexts).toHaveLength(2);
+    expect(result.matchCount).toBe(4);
+  });
+  
+  test('大文字・小文字を区別せず、複数の検索語の重なる一致はまとめる', () => {
+    const result = textProcessor.extractSnippet('TextStation の新機能。', ['textstation', 'station']);
+    
+    expect(result.matchCount).toBe(1);
+    expect(highlighted(result.contexts[0])).toEqual(['TextStation']);
+  });
+  
+  test('長い文は一致箇所を中心に切り詰め、省略記号を付ける', () => {
+    const text = `${'あ'.repeat(300)}選挙${'い'.repeat(300)}。`;
+    
+    const [context] = textProcessor.extractSnippet(text, ['選挙']).contexts;
+    
+    expect(context.text.startsWith('...')).toBe(true);
+    expect(context.text.endsWith('...')).toBe(true);
+    expect(context.text.length).toBeLessThanOrEqual(textProcessor.SEARCH_CONFIG.MAX_CONTEXT_LENGTH + 6);
+    expect(highlighted(context)).toEqual(['選挙']);
+  });
+  
+  test('一致箇所がない場合はメッセージのみを返す', () => {
+    expect(textProcessor.extractSnippet('天気は晴れ。', ['選挙'])).toMatchObject({ contexts: [], matchCount: null });
+  });
+});
+
+describe('parseMaxContexts', () => {
+  test.each([
+    [undefined, textProcessor.SEARCH_CONFIG.DEFAULT_CONTEXTS],
+    ['5', 5]
+  ])('%s は %s になる', (value, expected) => {
+    expect(textProcessor.parseMaxContexts(value)).toBe(expected);
+  });
+  
+  test.each([[0], [textProcessor.SEARCH_CONFIG.MAX_CONTEXTS + 1], ['多い']])('%s は400のエラーにする', value => {
+    expect(() => textProcessor.parseMaxContexts(value)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,270 @@
+/**
+ * TextStation Pro - 分析履歴
+ * /api/analyze の結果の要約を保存し、週ごとの推移・よく指摘されるルール・ユーザーごとの平均を集計
+ * 本文は保存しない（storeText を指定した場合のみ保存）
+ */
+
+const { CATEGORY_LABELS } = require('./scoring');
+
+// 設定
+const CONFIG = {
+  COLLECTION: 'analysisHistory',
+  MAX_AGE_DAYS: 180,     // 履歴の最大保持期間（日数）
+  DEFAULT_WEEKS: 12,     // 集計する期間の既定値（週数）
+  MAX_WEEKS: 52,         // 集計できる最大の期間（週数）
+  TOP_RULES: 20,         // よく指摘されるルールの表示件数
+  BATCH_SIZE: 500        // Firestoreの1バッチあたりの書き込み上限
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+/**
+ * 分析結果から履歴に保存する要約を作成
+ */
+function summarizeAnalysis(result, { userId, documentId, mediaType, text, storeText } = {}) {
+  const counts = new Map();
+  
+  result.issues.forEach(issue => {
+    const key = `${issue.type}\u0000${issue.rule}`;
+    const entry = counts.get(key) || { type: issue.type, rule: String(issue.rule), count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+  
+  const issuesByType = {};
+  result.issues.forEach(issue => {
+    issuesByType[issue.type] = (issuesByType[issue.type] || 0) + 1;
+  });
+  
+  const summary = {
+    userId: userId || null,
+    documentId: documentId || null,
+    mediaType: mediaType || '一般',
+    score: result.mediaScore,
+    textLength: (text || '').length,
+    issueCount: result.issues.length,
+    issuesByType,
+    issueCounts: Array.from(counts.values()),
+    suppressedCount: (result.suppressed || []).length,
+    timestamp: Date.now()
+  };
+  
+  if (storeText && typeof text === 'string') {
+    summary.text = text;
+  }
+  
+  return summary;
+}
+
+/**
+ * 分析結果の要約を保存
+ */
+async function saveAnalysisSummary(db, result, context = {}) {
+  try {
+    const historyRef = db.collection(CONFIG.COLLECTION).doc();
+    
+    await historyRef.set({
+      ...summarizeAnalysis(result, context),
+      createdAt: Date.now()
+    });
+    
+    return { success: true, id: historyRef.id };
+  } catch (error) {
+    console.error('分析履歴保存エラー:', error);
+    throw new Error('分析履歴の保存中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * タイムスタンプが属する週の開始日（日本時間の月曜日、YYYY-MM-DD）
+ */
+function weekStartOf(timestamp) {
+  const date = new Date(timestamp + JST_OFFSET_MS);
+  const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+  
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * 平均値（小数第1位まで）
+ */
+function average(sum, count) {
+  return count > 0 ? Math.round(sum / count * 10) / 10 : null;
+}
+
+/**
+ * 分析履歴を集計
+ * 週ごとの推移、よく指摘されるルール、ユーザーごとの平均と最初の週・最新の週の比較を返す
+ */
+async function getAnalysisStats(db, filters = {}) {
+  const weeks = Math.min(Math.max(parseInt(filters.weeks, 10) || CONFIG.DEFAULT_WEEKS, 1), CONFIG.MAX_WEEKS);
+  const to = Date.now();
+  const from = to - weeks * 7 * DAY_MS;
+  
+  try {
+    // ユーザー・メディア種別の絞り込みはクエリで行う（firestore.indexes.json の複合インデックスを使用）
+    let query = db.collection(CONFIG.COLLECTION);
+    
+    if (filters.userId) {
+      query = query.where('userId', '==', filters.userId);
+    }
+    
+    if (filters.mediaType) {
+      query = query.where('mediaType', '==', filters.mediaType);
+    }
+    
+    const snapshot = await query
+      .where('timestamp', '>=', from)
+      .get();
+    
+    const weekly = new Map();
+    const rules = new Map();
+    const users = new Map();
+    let analyses = 0;
+    let scoreSum = 0;
+    let issueSum = 0;
+    
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      const week = weekStartOf(data.timestamp);
+      
+      analyses++;
+      scoreSum += data.score;
+      issueSum += data.issueCount;
+      
+      // 週ごとの推移
+      const weekEntry = weekly.get(week) || { week, analyses: 0, scoreSum: 0, issueSum: 0 };
+      weekEntry.analyses++;
+      weekEntry.scoreSum += data.score;
+      weekEntry.issueSum += data.issueCount;
+      weekly.set(week, weekEntry);
+      
+      // ルールごとの指摘回数
+      (data.issueCounts || []).forEach(entry => {
+        const key = `${entry.type}\u0000${entry.rule}`;
+        const ruleEntry = rules.get(key) || { type: entry.type, rule: entry.rule, count: 0, analyses: 0 };
+        ruleEntry.count += entry.count;
+        ruleEntry.analyses++;
+        rules.set(key, ruleEntry);
+      });
+      
+      // ユーザーごとの平均（ユーザー未指定の分析は含めない）
+      if (data.userId) {
+        const userEntry = users.get(data.userId) || { userId: data.userId, analyses: 0, scoreSum: 0, issueSum: 0, weeks: new Map() };
+        userEntry.analyses++;
+        userEntry.scoreSum += data.score;
+        userEntry.issueSum += data.issueCount;
+        
+        const userWeek = userEntry.weeks.get(week) || { count: 0, scoreSum: 0 };
+        userWeek.count++;
+        userWeek.scoreSum += data.score;
+        userEntry.weeks.set(week, userWeek);
+        
+        users.set(data.userId, userEntry);
+      }
+    });
+    
+    const weeklyTrends = Array.from(weekly.values())
+      .sort((a, b) => a.week.localeCompare(b.week))
+      .map(entry => ({
+        week: entry.week,
+        analyses: entry.analyses,
+        averageScore: average(entry.scoreSum, entry.analyses),
+        averageIssueCount: average(entry.issueSum, entry.analyses)
+      }));
+    
+    const topRules = Array.from(rules.values())
+      .sort((a, b) => b.count - a.count || b.analyses - a.analyses)
+      .slice(0, CONFIG.TOP_RULES)
+      .map(entry => ({ ...entry, label: CATEGORY_LABELS[entry.type] || entry.type }));
+    
+    const perUser = Array.from(users.values())
+      .map(entry => {
+        const userWeeks = Array.from(entry.weeks.keys()).sort();
+        const first = entry.weeks.get(userWeeks[0]);
+        const latest = entry.weeks.get(userWeeks[userWeeks.length - 1]);
+        const firstWeekAverage = average(first.scoreSum, first.count);
+        const latestWeekAverage = average(latest.scoreSum, latest.count);
+        
+        return {
+          userId: entry.userId,
+          analyses: entry.analyses,
+          averageScore: average(entry.scoreSum, entry.analyses),
+          averageIssueCount: average(entry.issueSum, entry.analyses),
+          activeWeeks: userWeeks.length,
+          firstWeekAverage,
+          latestWeekAverage,
+          // 最初の週から最新の週までのスコアの変化（1週のみの場合は null）
+          scoreChange: userWeeks.length > 1 ? Math.round((latestWeekAverage - firstWeekAverage) * 10) / 10 : null
+        };
+      })
+      .sort((a, b) => b.analyses - a.analyses);
+    
+    return {
+      period: { from, to, weeks },
+      totals: {
+        analyses,
+        averageScore: average(scoreSum, analyses),
+        averageIssueCount: average(issueSum, analyses)
+      },
+      weeklyTrends,
+      topRules,
+      users: perUser
+    };
+  } catch (error) {
+    console.error('分析履歴集計エラー:', error);
+    throw new Error('分析履歴の集計中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 古い分析履歴を削除
+ */
+async function cleanupOldAnalyses(db) {
+  try {
+    const thresholdDate = new Date();
+    thresholdDate.setDate(thresholdDate.getDate() - CONFIG.MAX_AGE_DAYS);
+    
+    const oldHistoryRef = db.collection(CONFIG.COLLECTION)
+      .where('timestamp', '<', thresholdDate.getTime());
+    
+    const snapshot = await oldHistoryRef.get();
+    
+    // バッチ削除（Firestoreの制限により一度に最大500件まで）
+    const refs = [];
+    
+    snapshot.forEach(doc => {
+      refs.push(doc.ref);
+    });
+    
+    for (let i = 0; i < refs.length; i += CONFIG.BATCH_SIZE) {
+      const batch = db.batch();
+      
+      refs.slice(i, i + CONFIG.BATCH_SIZE).forEach(ref => {
+        batch.delete(ref);
+      });
+      
+      await batch.commit();
+    }
+    
+    const count = refs.length;
+    
+    if (count > 0) {
+      console.log(`${count}件の古い分析履歴を削除しました`);
+    }
+    
+    return { success: true, count };
+  } catch (error) {
+    console.error('分析履歴削除エラー:', error);
+    throw new Error('古い分析履歴の削除中にエラーが発生しました: ' + error.message);
+  }
+}
+
+module.exports = {
+  CONFIG,
+  summarizeAnalysis,
+  saveAnalysisSummary,
+  getAnalysisStats,
+  cleanupOldAnalyses
+};
\ No newline at end of file
@@ -0,0 +1,792 @@
+/**
+ * TextStation Pro - アーカイブの全文索引
+ * Driveのアーカイブ文書（Googleドキュメント・PDF・テキスト）の本文から2文字単位（バイグラム）の転置索引を作成し、ローカルディスクに保存
+ * メモリには転置索引と文書の情報だけを置き、本文は文書ごとのファイルに保存して照合とスニペットの作成時に読み込む
+ * 構築後は Drive の変更フィード（changes.list）で追加・更新・削除された文書だけを反映する
+ * Drive クライアントは引数で受け取る（既定の検索と同じ textProcessor.getDriveClient() を渡す）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const textProcessor = require('./text-processor');
+const searchQuery = require('./search-query');
+const { mapWithConcurrency } = require('./utils');
+
+// 設定
+const CONFIG = {
+  STORAGE_DIR: process.env.ARCHIVE_INDEX_DIR || path.join(os.homedir(), '.textstation', 'archive-index'),   // 索引の保存先（索引ファイルと文書ごとの本文ファイル）
+  VERSION: 2,                 // 索引の形式（異なる形式のファイルは読み込まない）
+  MAX_DOCUMENTS: 5000,        // 索引に登録する最大文書数
+  MAX_TEXT_LENGTH: 200000,    // 1文書あたり索引に登録する最大文字数
+  LIST_PAGE_SIZE: 100,        // Driveの変更フィードの1回の取得件数
+  FETCH_CONCURRENCY: 4,       // 本文を同時に取得するファイル数
+  READ_CONCURRENCY: 8,        // 検索時に本文ファイルを同時に読み込む数
+  SYNC_INTERVAL_MS: 5 * 60 * 1000,   // 検索時に変更フィードを確認する間隔（ミリ秒）
+  BM25_K1: 1.2,               // 出現回数による加点の飽和の度合い
+  BM25_B: 0.75,               // 文書の長さによる補正の度合い
+  TITLE_WEIGHT: 2             // ファイル名に検索語を含む場合の加点の倍率
+};
+
+// 読み込み済みの索引（未構築の場合は null）
+let index = null;
+
+// ディスクからの読み込み中のPromise
+let loading = null;
+
+// 実行中の構築・同期（同時に1つだけ実行する）
+let running = null;
+
+// 構築・同期の状態
+const status = {
+  state: 'idle',       // idle / building / syncing
+  processed: 0,
+  total: 0,
+  failed: 0,
+  startedAt: null,
+  lastError: null
+};
+
+/**
+ * 索引の入力エラーを生成
+ */
+function createIndexError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * 照合用に正規化（全角英数字・半角カナの統一と小文字化）
+ */
+function normalizeText(text) {
+  return String(text).normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 正規化済みテキストのバイグラムの集合（空白をまたぐものは除く）
+ */
+function extractBigrams(normalized) {
+  const bigrams = new Set();
+  
+  for (let i = 0; i < normalized.length - 1; i++) {
+    const bigram = normalized.slice(i, i + 2);
+    
+    if (!/\s/.test(bigram)) {
+      bigrams.add(bigram);
+    }
+  }
+  
+  return bigrams;
+}
+
+/**
+ * 索引ファイルのパス
+ */
+function getIndexPath() {
+  return path.join(CONFIG.STORAGE_DIR, 'index.jsonl');
+}
+
+/**
+ * 本文ファイルを保存するディレクトリ
+ */
+function getTextDir() {
+  return path.join(CONFIG.STORAGE_DIR, 'texts');
+}
+
+/**
+ * 文書の本文を保存
+ */
+async function writeText(docNum, content) {
+  await fs.promises.writeFile(path.join(getTextDir(), `${docNum}.txt`), content, 'utf8');
+}
+
+/**
+ * 文書の本文を読み込み（検索中に同期で削除された文書は空として扱う）
+ */
+async function readText(docNum) {
+  try {
+    return await fs.promises.readFile(path.join(getTextDir(), `${docNum}.txt`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  }
+}
+
+/**
+ * 空の索引を作成
+ * documents は文書番号ごとの文書、postings はバイグラムごとの文書番号の一覧
+ * fileIds はファイルIDごとの最新の文書番号（同期中に置き換えた古い文書は fileIds から参照されない）
+ */
+function createEmptyIndex() {
+  return {
+    version: CONFIG.VERSION,
+    builtAt: null,
+    syncedAt: null,
+    startPageToken: null,
+    nextDocNum: 1,
+    documents: {},
+    postings: {},
+    fileIds: new Map()
+  };
+}
+
+/**
+ * 文書をまとめて索引から削除（本文を読み直さずに済むよう、postings を1回だけ走査する）
+ */
+function removeDocuments(target, docNums) {
+  if (docNums.size === 0) return;
+  
+  Object.keys(target.postings).forEach(bigram => {
+    const remaining = target.postings[bigram].filter(num => !docNums.has(num));
+    
+    if (remaining.length > 0) {
+      target.postings[bigram] = remaining;
+    } else {
+      delete target.postings[bigram];
+    }
+  });
+  
+  docNums.forEach(docNum => {
+    const doc = target.documents[docNum];
+    
+    if (doc && target.fileIds.get(doc.id) === docNum) {
+      target.fileIds.delete(doc.id);
+    }
+    
+    delete target.documents[docNum];
+  });
+}
+
+/**
+ * 文書を索引に登録（登録済みの場合は fileIds を新しい文書番号に切り替え、古い文書は removeDocuments で削除する）
+ */
+function addDocument(target, docNum, file, content) {
+  const normalized = normalizeText(content);
+  
+  target.documents[docNum] = {
+    id: file.id,
+    title: file.name,
+    mimeType: file.mimeType,
+    webViewLink: file.webViewLink,
+    modifiedTime: file.modifiedTime,
+    owners: (file.owners || []).map(owner => String(owner.emailAddress || '').toLowerCase()),
+    length: normalized.length
+  };
+  target.fileIds.set(file.id, docNum);
+  
+  extractBigrams(normalized).forEach(bigram => {
+    (target.postings[bigram] = target.postings[bigram] || []).push(docNum);
+  });
+}
+
+/**
+ * 索引をディスクに保存（書き込み途中のファイルを読まないよう、一時ファイルに書いてから置き換える）
+ * 索引全体を1つの文字列にすると文字列長の上限を超えるため、1行に1件ずつ（先頭行は索引の情報、続いて文書、バイグラム）書き込む
+ */
+async function saveIndex(target) {
+  const { fileIds, documents, postings, ...header } = target;
+  const tempPath = `${getIndexPath()}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tempPath, 'w');
+  let lines = [];
+  
+  const write = async line => {
+    lines.push(line);
+    
+    if (lines.length >= 1000) {
+      await handle.write(lines.join(''));
+      lines = [];
+    }
+  };
+  
+  try {
+    await write(JSON.stringify(header) + '\n');
+    
+    for (const docNum of Object.keys(documents)) {
+      await write(JSON.stringify({ docNum: Number(docNum), ...documents[docNum] }) + '\n');
+    }
+    
+    for (const bigram of Object.keys(postings)) {
+      await write(JSON.stringify([bigram, postings[bigram]]) + '\n');
+    }
+    
+    await handle.write(lines.join(''));
+  } finally {
+    await handle.close();
+  }
+  
+  await fs.promises.rename(tempPath, getIndexPath());
+}
+
+/**
+ * 索引から参照されなくなった本文ファイルを削除
+ */
+async function removeUnusedTexts(target) {
+  const names = await fs.promises.readdir(getTextDir());
+  const unused = names.filter(name => !target.documents[parseInt(name, 10)]);
+  
+  await mapWithConcurrency(unused, CONFIG.READ_CONCURRENCY, name =>
+    fs.promises.unlink(path.join(getTextDir(), name)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    })
+  );
+}
+
+/**
+ * 保存済みの索引を読み込み（未構築・形式が異なる場合は null）
+ */
+async function readIndex() {
+  try {
+    const lines = readline.createInterface({ input: fs.createReadStream(getIndexPath(), 'utf8'), crlfDelay: Infinity });
+    let data = null;
+    
+    for await (const line of lines) {
+      if (line === '') continue;
+      
+      const entry = JSON.parse(line);
+      
+      if (!data) {
+        if (entry.version !== CONFIG.VERSION) {
+          console.log('アーカイブ索引の形式が異なるため読み込みませんでした。再構築してください');
+          return null;
+        }
+        
+        data = { ...createEmptyIndex(), ...entry };
+      } else if (Array.isArray(entry)) {
+        data.postings[entry[0]] = entry[1];
+      } else {
+        const { docNum, ...doc } = entry;
+        data.documents[docNum] = doc;
+        data.fileIds.set(doc.id, docNum);
+      }
+    }
+    
+    return data;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    
+    console.error('アーカイブ索引読み込みエラー:', error);
+    return null;
+  }
+}
+
+/**
+ * 索引を読み込み済みにする（読み込みは1回だけ）
+ */
+async function ensureLoaded() {
+  if (index) return index;
+  
+  if (!loading) {
+    loading = readIndex().then(loaded => {
+      // 読み込み中に構築が終わっていればそちらを使う
+      if (!index) {
+        index = loaded;
+      }
+      
+      return index;
+    });
+  }
+  
+  return loading;
+}
+
+/**
+ * 索引の対象となるファイル形式かどうか
+ */
+function isIndexable(file) {
+  return Object.values(textProcessor.SEARCH_CONFIG.FILE_TYPES).includes(file.mimeType);
+}
+
+/**
+ * ファイルの本文を取得して索引に登録（取得できなかった場合は false）
+ * 本文ファイルを書き終えてから索引に加えるため、検索中に書き込み途中の本文を読むことはない
+ */
+async function indexFile(drive, target, file) {
+  try {
+    const text = await textProcessor.fetchFileText(drive, file);
+    
+    if (text === null) return false;
+    
+    const content = String(text).slice(0, CONFIG.MAX_TEXT_LENGTH);
+    const docNum = target.nextDocNum++;
+    
+    await writeText(docNum, content);
+    addDocument(target, docNum, file, content);
+    return true;
+  } catch (error) {
+    console.error(`アーカイブ索引登録エラー（${file.id}）:`, error.message);
+    status.failed++;
+    return false;
+  } finally {
+    status.processed++;
+  }
+}
+
+/**
+ * 索引を最初から構築
+ * 一覧の取得前に変更フィードの開始位置を記録し、構築中の変更は次回の同期で反映する
+ */
+async function buildIndex(drive) {
+  const previous = await ensureLoaded();
+  const tokenResponse = await drive.changes.getStartPageToken({});
+  const files = await textProcessor.listArchiveFiles(drive, CONFIG.MAX_DOCUMENTS);
+  const next = createEmptyIndex();
+  
+  // 構築中も検索できるよう、現在の索引の本文ファイルと重ならない文書番号から振る
+  next.nextDocNum = previous ? previous.nextDocNum : 1;
+  
+  await fs.promises.mkdir(getTextDir(), { recursive: true });
+  
+  status.total = files.length;
+  
+  await mapWithConcurrency(files, CONFIG.FETCH_CONCURRENCY, file => indexFile(drive, next, file));
+  
+  next.startPageToken = tokenResponse.data.startPageToken;
+  next.builtAt = Date.now();
+  next.syncedAt = next.builtAt;
+  
+  await saveIndex(next);
+  index = next;
+  await removeUnusedTexts(next);
+  
+  console.log(`アーカイブ索引を構築しました（${next.fileIds.size}件）`);
+}
+
+/**
+ * 前回の同期以降の変更を変更フィードから取得して索引に反映
+ */
+async function syncChanges(drive) {
+  const current = await ensureLoaded();
+  
+  if (!current || !current.startPageToken) {
+    throw createIndexError('アーカイブ索引が作成されていません。/api/index/rebuild で作成してください', 409);
+  }
+  
+  // 同じファイルの変更が複数ある場合は最後の変更だけを反映
+  const changes = new Map();
+  let pageToken = current.startPageToken;
+  let newStartPageToken = null;
+  
+  while (pageToken) {
+    const response = await drive.changes.list({
+      pageToken,
+      pageSize: CONFIG.LIST_PAGE_SIZE,
+      includeRemoved: true,
+      fields: `nextPageToken, newStartPageToken, changes(fileId, removed, file(${textProcessor.ARCHIVE_FILE_FIELDS}))`
+    });
+    
+    (response.data.changes || []).forEach(change => {
+      changes.delete(change.fileId);
+      changes.set(change.fileId, change);
+    });
+    
+    newStartPageToken = response.data.newStartPageToken || newStartPageToken;
+    pageToken = response.data.nextPageToken;
+  }
+  
+  const updates = [];
+  const stale = new Set();
+  let removed = 0;
+  
+  changes.forEach(change => {
+    const file = change.file;
+    
+    if (change.removed || !file || file.trashed || !isIndexable(file)) {
+      const docNum = current.fileIds.get(change.fileId);
+      
+      if (docNum !== undefined) {
+        current.fileIds.delete(change.fileId);
+        stale.add(docNum);
+        removed++;
+      }
+      return;
+    }
+    
+    const docNum = current.fileIds.get(file.id);
+    
+    if (docNum !== undefined && current.documents[docNum].modifiedTime === file.modifiedTime) {
+      // 名前・所有者の変更は本文を取得し直さずに反映
+      current.documents[docNum].title = file.name;
+      current.documents[docNum].webViewLink = file.webViewLink;
+      current.documents[docNum].owners = (file.owners || []).map(owner => String(owner.emailAddress || '').toLowerCase());
+      return;
+    }
+    
+    if (docNum === undefined && current.fileIds.size + updates.length >= CONFIG.MAX_DOCUMENTS) return;
+    
+    updates.push(file);
+  });
+  
+  status.total = updates.length;
+  
+  await fs.promises.mkdir(getTextDir(), { recursive: true });
+  
+  // 本文を取得できなかった文書は古い内容のまま残す
+  await mapWithConcurrency(updates, CONFIG.FETCH_CONCURRENCY, async file => {
+    const previous = current.fileIds.get(file.id);
+    
+    if (await indexFile(drive, current, file) && previous !== undefined) {
+      stale.add(previous);
+    }
+  });
+  
+  removeDocuments(current, stale);
+  
+  current.startPageToken = newStartPageToken || current.startPageToken;
+  current.syncedAt = Date.now();
+  
+  await saveIndex(current);
+  await removeUnusedTexts(current);
+  
+  if (updates.length > 0 || removed > 0) {
+    console.log(`アーカイブ索引を同期しました（更新${updates.length}件、削除${removed}件）`);
+  }
+}
+
+/**
+ * 構築・同期をバックグラウンドで開始（実行中の場合は開始しない）
+ */
+function startTask(state, task) {
+  if (running) return false;
+  
+  Object.assign(status, {
+    state,
+    processed: 0,
+    total: 0,
+    failed: 0,
+    startedAt: Date.now(),
+    lastError: null
+  });
+  
+  running = task()
+    .catch(error => {
+      console.error(state === 'building' ? 'アーカイブ索引構築エラー:' : 'アーカイブ索引同期エラー:', error);
+      status.lastError = error.message;
+    })
+    .finally(() => {
+      status.state = 'idle';
+      running = null;
+    });
+  
+  return true;
+}
+
+/**
+ * 索引の再構築を開始
+ */
+async function rebuildIndex(drive) {
+  const started = startTask('building', () => buildIndex(drive));
+  
+  return { started, status: await getIndexStatus() };
+}
+
+/**
+ * 索引を変更フィードと同期（実行中の構築・同期があれば完了を待つ）
+ */
+async function syncIndex(drive) {
+  if (!startTask('syncing', () => syncChanges(drive))) {
+    await running;
+    return getIndexStatus();
+  }
+  
+  const task = running;
+  await task;
+  
+  if (status.lastError) {
+    throw new Error('アーカイブ索引の同期中にエラーが発生しました: ' + status.lastError);
+  }
+  
+  return getIndexStatus();
+}
+
+/**
+ * 前回の同期から SYNC_INTERVAL_MS 以上経過していれば同期を開始（完了は待たない）
+ */
+function syncIfStale(drive) {
+  if (!drive || !index || !index.startPageToken || running) return;
+  
+  if (Date.now() - index.syncedAt >= CONFIG.SYNC_INTERVAL_MS) {
+    startTask('syncing', () => syncChanges(drive));
+  }
+}
+
+/**
+ * 索引の状態を取得
+ */
+async function getIndexStatus() {
+  const current = await ensureLoaded();
+  
+  return {
+    ...status,
+    built: !!current,
+    documentCount: current ? current.fileIds.size : 0,
+    bigramCount: current ? Object.keys(current.postings).length : 0,
+    builtAt: current ? current.builtAt : null,
+    syncedAt: current ? current.syncedAt : null,
+    storageDir: CONFIG.STORAGE_DIR
+  };
+}
+
+/**
+ * 続きのページを取得するためのカーソルを作成（検索条件のハッシュと次の位置）
+ */
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data), 'utf8').toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * カーソルを復元（不正な場合は入力エラー）
+ */
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    
+    if (!data || !(data.offset >= 0) || typeof data.query !== 'string') {
+      throw new Error('invalid cursor');
+    }
+    
+    if (['since', 'until'].some(key => data[key] !== undefined && data[key] !== null && !textProcessor.isIsoTimestamp(data[key]))) {
+      throw new Error('invalid cursor');
+    }
+    
+    return data;
+  } catch (error) {
+    throw createIndexError('カーソルが不正です');
+  }
+}
+
+/**
+ * 検索語に一致する文書の集合（本文の検索語は出現回数も記録）
+ * バイグラムで候補を絞り込んだ後、候補の本文ファイルを読み込んで語順どおり含まれるかを確認する
+ */
+async function matchTerm(term, context) {
+  const value = normalizeText(term.value);
+  const matched = new Set();
+  
+  if (term.field === 'title' || term.field === 'owner') {
+    context.universe.forEach(docNum => {
+      const doc = context.index.documents[docNum];
+      const found = term.field === 'title'
+        ? normalizeText(doc.title).includes(value)
+        : doc.owners.includes(value);
+      
+      if (found) matched.add(docNum);
+    });
+    
+    return matched;
+  }
+  
+  // 出現頻度の低いバイグラムから絞り込む（1文字の検索語は全文書を確認）
+  const postings = Array.from(extractBigrams(value))
+    .map(bigram => context.index.postings[bigram] || [])
+    .sort((a, b) => a.length - b.length);
+  
+  let candidates = Array.from(context.universe);
+  postings.forEach(posting => {
+    const members = new Set(posting);
+    candidates = candidates.filter(docNum => members.has(docNum));
+  });
+  
+  const frequencies = context.frequencies.get(value) || new Map();
+  
+  await mapWithConcurrency(candidates, CONFIG.READ_CONCURRENCY, async docNum => {
+    const text = normalizeText(await readText(docNum));
+    let count = 0;
+    let position = text.indexOf(value);
+    
+    while (position !== -1) {
+      count++;
+      position = text.indexOf(value, position + value.length);
+    }
+    
+    if (count > 0) {
+      matched.add(docNum);
+      frequencies.set(docNum, count);
+    }
+  });
+  
+  context.frequencies.set(value, frequencies);
+  return matched;
+}
+
+/**
+ * 構文木を評価して一致する文書の集合を取得
+ */
+async function evaluate(node, context) {
+  if (node.type === 'term') {
+    const matched = await matchTerm(node, context);
+    return node.negated
+      ? new Set(Array.from(context.universe).filter(docNum => !matched.has(docNum)))
+      : matched;
+  }
+  
+  const sets = [];
+  
+  for (const child of node.children) {
+    sets.push(await evaluate(child, context));
+  }
+  
+  if (node.type === 'or') {
+    return new Set([].concat(...sets.map(set => Array.from(set))));
+  }
+  
+  return sets.reduce((result, set) => new Set(Array.from(result).filter(docNum => set.has(docNum))));
+}
+
+/**
+ * 一致した文書のスコア（BM25、ファイル名に検索語を含む場合は加点）
+ */
+function scoreDocument(docNum, terms, context) {
+  const doc = context.index.documents[docNum];
+  const totalDocs = context.index.fileIds.size;
+  let score = 0;
+  
+  terms.forEach(term => {
+    const value = normalizeText(term);
+    const frequencies = context.frequencies.get(value) || new Map();
+    const documentFrequency = Math.max(frequencies.size, 1);
+    const idf = Math.log(1 + (totalDocs - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    const tf = frequencies.get(docNum) || 0;
+    
+    if (tf > 0) {
+      const lengthRatio = doc.length / (context.averageLength || 1);
+      score += idf * tf * (CONFIG.BM25_K1 + 1) /
+        (tf + CONFIG.BM25_K1 * (1 - CONFIG.BM25_B + CONFIG.BM25_B * lengthRatio));
+    }
+    
+    if (normalizeText(doc.title).includes(value)) {
+      score += idf * CONFIG.TITLE_WEIGHT;
+    }
+  });
+  
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * 索引を使って検索（結果は一致度の高い順）
+ * 書式と fileTypes / period / dateFrom / dateTo / pageSize / maxContexts は searchDrive と同じ
+ * options.orderBy は relevance（既定）/ modifiedTime / name
+ * options.drive を指定した場合、前回の同期から時間が経っていればバックグラウンドで変更フィードと同期する
+ */
+async function searchIndex(keyword, fileTypes, period, options = {}) {
+  const pageSize = options.pageSize === undefined ? textProcessor.SEARCH_CONFIG.DEFAULT_PAGE_SIZE : parseInt(options.pageSize, 10);
+  const order = options.orderBy || 'relevance';
+  const maxContexts = textProcessor.parseMaxContexts(options.maxContexts);
+  
+  if (!(pageSize >= 1 && pageSize <= textProcessor.SEARCH_CONFIG.MAX_PAGE_SIZE)) {
+    throw createIndexError(`pageSize は1〜${textProcessor.SEARCH_CONFIG.MAX_PAGE_SIZE}の範囲で指定してください`);
+  }
+  
+  if (!Object.prototype.hasOwnProperty.call(textProcessor.SEARCH_CONFIG.ORDER_BY, order)) {
+    throw createIndexError(`orderBy は ${Object.keys(textProcessor.SEARCH_CONFIG.ORDER_BY).join(' / ')} のいずれかを指定してください`);
+  }
+  
+  const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+  const parsedQuery = searchQuery.parseSearchQuery(keyword);
+  const terms = searchQuery.getSnippetTerms(parsedQuery);
+  
+  // 続きのページでは最初のページと同じ期間を使う
+  const { since, until } = cursor
+    ? { since: cursor.since || null, until: cursor.until || null }
+    : textProcessor.getDateRange(period, options.dateFrom, options.dateTo);
+  
+  try {
+    const current = await ensureLoaded();
+    
+    if (!current) {
+      throw createIndexError('アーカイブ索引が作成されていません。/api/index/rebuild で作成してください', 409);
+    }
+    
+    syncIfStale(options.drive);
+    
+    const mimeTypes = textProcessor.getSearchMimeTypes(fileTypes);
+    const queryHash = crypto.createHash('sha1')
+      .update(JSON.stringify([keyword, mimeTypes, since, until, order]))
+      .digest('hex')
+      .slice(0, 16);
+    
+    if (cursor && cursor.query !== queryHash) {
+      throw createIndexError('カーソルが検索条件と一致しません。最初のページから検索し直してください');
+    }
+    
+    // ファイル形式と期間で対象を絞り込む（同期中に置き換えた古い文書は除く）
+    const universe = new Set();
+    let totalLength = 0;
+    
+    Object.keys(current.documents).forEach(key => {
+      const doc = current.documents[key];
+      if (current.fileIds.get(doc.id) !== Number(key)) return;
+      
+      totalLength += doc.length;
+      
+      if (mimeTypes.length > 0 && !mimeTypes.includes(doc.mimeType)) return;
+      if (since && !(doc.modifiedTime >= since)) return;
+      if (until && !(doc.modifiedTime < until)) return;
+      
+      universe.add(Number(key));
+    });
+    
+    const context = {
+      index: current,
+      universe,
+      frequencies: new Map(),
+      averageLength: current.fileIds.size > 0 ? totalLength / current.fileIds.size : 0
+    };
+    
+    const results = Array.from(await evaluate(parsedQuery, context))
+      .map(docNum => ({ docNum, doc: current.documents[docNum], score: scoreDocument(docNum, terms, context) }));
+    
+    results.sort((a, b) => {
+      if (order === 'name') return a.doc.title.localeCompare(b.doc.title);
+      if (order === 'modifiedTime') return String(b.doc.modifiedTime).localeCompare(String(a.doc.modifiedTime));
+      return b.score - a.score || String(b.doc.modifiedTime).localeCompare(String(a.doc.modifiedTime));
+    });
+    
+    const offset = cursor ? cursor.offset : 0;
+    const page = results.slice(offset, offset + pageSize);
+    const hasMore = offset + pageSize < results.length;
+    
+    const items = await mapWithConcurrency(page, CONFIG.READ_CONCURRENCY, async ({ docNum, doc, score }) => ({
+      id: doc.id,
+      title: doc.title,
+      mimeType: doc.mimeType,
+      webViewLink: doc.webViewLink,
+      modifiedTime: doc.modifiedTime,
+      score,
+      ...(options.snippets === false
+        ? { snippet: null, contexts: null, matchCount: null }
+        : textProcessor.extractSnippet(await readText(docNum), terms, maxContexts))
+    }));
+    
+    return {
+      items,
+      total: results.length,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor({ offset: offset + pageSize, query: queryHash, since, until })
+        : null,
+      pageSize,
+      orderBy: order,
+      mode: 'index',
+      syncedAt: current.syncedAt
+    };
+  } catch (error) {
+    if (error.statusCode) throw error;
+    
+    console.error('アーカイブ索引検索エラー:', error);
+    throw new Error('アーカイブ索引の検索中にエラーが発生しました: ' + error.message);
+  }
+}
+
+module.exports = {
+  CONFIG,
+  normalizeText,
+  extractBigrams,
+  rebuildIndex,
+  syncIndex,
+  getIndexStatus,
+  searchIndex
+};
\ No newline at end of file
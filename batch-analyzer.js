@@ -0,0 +1,127 @@
+/**
+ * TextStation Pro - 一括分析
+ * シートの複数セルなど多数のテキストを1回のリクエストでまとめて分析
+ */
+
+const factChecker = require('./fact-checker');
+const utils = require('./utils');
+
+// 設定
+const CONFIG = {
+  MAX_ITEMS: 500,    // 1回のリクエストで分析できる最大件数
+  CONCURRENCY: 4     // 同時に分析する件数
+};
+
+/**
+ * 分析結果を集計
+ */
+function summarize(results, startedAt) {
+  const succeeded = results.filter(item => item.success);
+  const scores = succeeded.map(item => item.result.mediaScore);
+  const issuesByType = {};
+  const byMediaType = {};
+  
+  succeeded.forEach(item => {
+    item.result.issues.forEach(issue => {
+      issuesByType[issue.type] = (issuesByType[issue.type] || 0) + 1;
+    });
+    
+    if (!byMediaType[item.mediaType]) {
+      byMediaType[item.mediaType] = { count: 0, totalScore: 0 };
+    }
+    
+    byMediaType[item.mediaType].count++;
+    byMediaType[item.mediaType].totalScore += item.result.mediaScore;
+  });
+  
+  Object.values(byMediaType).forEach(group => {
+    group.averageScore = Math.round(group.totalScore / group.count * 10) / 10;
+    delete group.totalScore;
+  });
+  
+  return {
+    total: results.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    averageScore: scores.length > 0
+      ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 10) / 10
+      : null,
+    minScore: scores.length > 0 ? Math.min(...scores) : null,
+    maxScore: scores.length > 0 ? Math.max(...scores) : null,
+    issueCount: Object.values(issuesByType).reduce((sum, count) => sum + count, 0),
+    issuesByType,
+    byMediaType,
+    durationMs: Date.now() - startedAt
+  };
+}
+
+/**
+ * 複数のテキストをまとめて分析
+ * items は { id, text, mediaType, documentId, userId, referenceDate, storeText } の一覧、
+ * getRules はメディア種別ごとのルールを返す関数、analyze は (item, rules) を受け取り1件を分析する関数
+ * （/api/analyze と同じ手順で無視リスト・基準日・履歴の保存を扱う）
+ * options.defaults の userId・referenceDate・storeText は項目で指定がない場合に使う
+ * ルールはメディア種別ごとに1回だけ取得し、失敗した項目は項目ごとにエラーとして返す
+ */
+async function analyzeBatch(items, getRules, analyze, options = {}) {
+  const startedAt = Date.now();
+  const concurrency = options.concurrency || CONFIG.CONCURRENCY;
+  const defaults = options.defaults || {};
+  
+  // メディア種別ごとにルールを取得
+  const mediaTypes = Array.from(new Set(items.map(item => (item && item.mediaType) || '一般')));
+  const rulesByMediaType = new Map();
+  
+  await Promise.all(mediaTypes.map(async mediaType => {
+    try {
+      rulesByMediaType.set(mediaType, { rules: await getRules(mediaType) });
+    } catch (error) {
+      console.error('一括分析ルール取得エラー:', error);
+      rulesByMediaType.set(mediaType, { error: 'ルールの取得中にエラーが発生しました: ' + error.message });
+    }
+  }));
+  
+  const results = await utils.mapWithConcurrency(items, concurrency, async (item, index) => {
+    const id = item && item.id !== undefined ? item.id : index;
+    const mediaType = (item && item.mediaType) || '一般';
+    
+    try {
+      if (!item || typeof item.text !== 'string' || item.text.trim() === '') {
+        throw new Error('分析するテキストが指定されていません');
+      }
+      
+      const request = {
+        ...item,
+        mediaType,
+        userId: item.userId !== undefined ? item.userId : defaults.userId,
+        referenceDate: item.referenceDate !== undefined ? item.referenceDate : defaults.referenceDate,
+        storeText: item.storeText !== undefined ? item.storeText : defaults.storeText
+      };
+      
+      if (request.referenceDate && !factChecker.parseReferenceDate(request.referenceDate)) {
+        throw new Error('基準日は YYYY-MM-DD 形式で指定してください');
+      }
+      
+      const loaded = rulesByMediaType.get(mediaType);
+      if (loaded.error) {
+        throw new Error(loaded.error);
+      }
+      
+      const result = await analyze(request, loaded.rules);
+      
+      return { id, index, mediaType, success: true, result };
+    } catch (error) {
+      return { id, index, mediaType, success: false, error: error.message };
+    }
+  });
+  
+  return {
+    results,
+    stats: summarize(results, startedAt)
+  };
+}
+
+module.exports = {
+  CONFIG,
+  analyzeBatch
+};
\ No newline at end of file
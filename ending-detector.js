@@ -0,0 +1,139 @@
+/**
+ * TextStation Pro - 語尾検出
+ * 形態素解析結果から文末表現を正規化し、語尾の重複・連続を検出
+ */
+
+const { tokenize } = require('./tokenizer');
+
+// 設定
+const CONFIG = {
+  MIN_TOTAL_COUNT: 3,        // 文書全体でこの回数以上使われた語尾を指摘
+  MIN_CONSECUTIVE_COUNT: 3   // この文数以上連続した同じ語尾を指摘
+};
+
+// 語尾パターンの分類名
+const ENDING_LABELS = {
+  NOUN: '体言止め',
+  VERB: '動詞終止形',
+  ADJECTIVE: '形容詞終止形',
+  OTHER: 'その他'
+};
+
+// 「〜と思います」のように引用の「と」と組み合わせて語尾とみなす動詞
+const QUOTATIVE_VERBS = ['思う', '考える', '言う', '感じる', '見られる'];
+
+/**
+ * 語尾の一部として扱う形態素かどうか
+ */
+function isEndingToken(token) {
+  if (token.pos === '助動詞' || token.pos === '助詞') return true;
+  
+  // 「〜ている」「〜てしまう」などの補助動詞・補助形容詞
+  return (token.pos === '動詞' || token.pos === '形容詞') && token.posDetail === '非自立';
+}
+
+/**
+ * 1文分の形態素から語尾パターンと語尾の位置を求める
+ */
+function classifyEnding(tokens) {
+  // 文末の記号（閉じ括弧など）は語尾に含めない
+  let last = tokens.length - 1;
+  while (last >= 0 && tokens[last].pos === '記号') {
+    last--;
+  }
+  
+  if (last < 0) return null;
+  
+  // 文末から助動詞・助詞・補助動詞を語尾としてさかのぼる
+  let first = last + 1;
+  while (first - 1 >= 0 && isEndingToken(tokens[first - 1])) {
+    first--;
+  }
+  
+  // 「と思います」「と考えられます」は引用の「と」＋動詞までを語尾とする
+  const verb = tokens[first - 1];
+  const quote = tokens[first - 2];
+  if (verb && quote && verb.pos === '動詞' && QUOTATIVE_VERBS.includes(verb.basicForm) &&
+      quote.pos === '助詞' && quote.surface === 'と') {
+    first -= 2;
+  }
+  
+  let pattern;
+  
+  if (first <= last) {
+    pattern = '〜' + tokens.slice(first, last + 1).map(token => token.surface).join('');
+  } else {
+    // 助動詞などで終わらない文は最後の語の品詞で分類
+    first = last;
+    
+    if (tokens[last].pos === '名詞') {
+      pattern = ENDING_LABELS.NOUN;
+    } else if (tokens[last].pos === '動詞') {
+      pattern = ENDING_LABELS.VERB;
+    } else if (tokens[last].pos === '形容詞') {
+      pattern = ENDING_LABELS.ADJECTIVE;
+    } else {
+      pattern = ENDING_LABELS.OTHER;
+    }
+  }
+  
+  return {
+    pattern,
+    start: tokens[first].start,
+    end: tokens[last].end
+  };
+}
+
+/**
+ * 各文の語尾を分類し、多用されている語尾と連続している語尾を検出
+ */
+async function analyzeEndings(sentences) {
+  const endings = [];
+  
+  for (const sentence of sentences) {
+    const tokens = await tokenize(sentence.text, sentence.start);
+    const ending = classifyEnding(tokens);
+    
+    if (ending) {
+      endings.push({ ...ending, sentenceIndex: sentence.index });
+    }
+  }
+  
+  // 語尾パターンごとの集計
+  const counts = {};
+  endings.forEach(ending => {
+    counts[ending.pattern] = (counts[ending.pattern] || 0) + 1;
+  });
+  
+  // 隣り合う文で同じ語尾が続く区間を検出
+  const runs = [];
+  let runStart = 0;
+  
+  for (let i = 1; i <= endings.length; i++) {
+    const continues = i < endings.length &&
+      endings[i].pattern === endings[runStart].pattern &&
+      endings[i].sentenceIndex === endings[i - 1].sentenceIndex + 1;
+    
+    if (continues) continue;
+    
+    const length = i - runStart;
+    if (length >= CONFIG.MIN_CONSECUTIVE_COUNT && endings[runStart].pattern !== ENDING_LABELS.OTHER) {
+      runs.push({
+        pattern: endings[runStart].pattern,
+        length,
+        endings: endings.slice(runStart, i)
+      });
+    }
+    
+    runStart = i;
+  }
+  
+  return { endings, counts, runs };
+}
+
+module.exports = {
+  CONFIG,
+  ENDING_LABELS,
+  classifyEnding,
+  analyzeEndings
+};
\ No newline at end of file
@@ -0,0 +1,447 @@
+/**
+ * TextStation Pro - 日付・曜日・数値の整合性チェック
+ * 和暦を含む日付の解析と曜日の検証、基準日との前後関係、数値表記の混在を検出
+ */
+
+// 設定
+const CONFIG = {
+  SEVERITIES: {
+    weekday: 'major',          // 日付と曜日の不一致
+    invalidDate: 'major',      // 存在しない日付
+    era: 'major',              // 元号の範囲外の年
+    dateRelation: 'info',      // 基準日より前・後の日付
+    numberNotation: 'minor'    // 数値表記の混在
+  },
+  PAST_DAYS: 7,     // 基準日より前でも指摘しない日数（mediaProfiles の factCheck で上書き可能。記事中の「先週」程度の日付は指摘しない）
+  FUTURE_DAYS: 7    // 基準日より後でも指摘しない日数
+};
+
+// 元号と開始日（新しい順）
+const ERAS = [
+  { name: '令和', start: [2019, 5, 1] },
+  { name: '平成', start: [1989, 1, 8] },
+  { name: '昭和', start: [1926, 12, 25] },
+  { name: '大正', start: [1912, 7, 30] },
+  { name: '明治', start: [1868, 1, 25] }
+];
+
+const WEEKDAYS = '日月火水木金土';
+
+const ERA_NAMES = ERAS.map(era => era.name).join('|');
+
+// 年月日（年は西暦・和暦・省略可）と曜日（曜日の位置を求めるため、曜日の部分全体も取り出す）
+const DATE_PATTERN = new RegExp(
+  `(?:(?:(${ERA_NAMES})(元|[0-9]{1,2})|([0-9]{4}))年)?([0-9]{1,2})月([0-9]{1,2})日` +
+  '([（(]([日月火水木金土])(?:曜日?)?[）)]|([日月火水木金土])曜日?)?', 'g');
+
+// 2026/10/19 形式
+const SLASH_DATE_PATTERN = /([0-9]{4})[/／]([0-9]{1,2})[/／]([0-9]{1,2})([（(]([日月火水木金土])(?:曜日?)?[）)])?/g;
+
+// 和暦の年のみ
+const ERA_YEAR_PATTERN = new RegExp(`(${ERA_NAMES})(元|[0-9]{1,2})年`, 'g');
+
+// 万・億・兆を使った数値と、数字のみの数値（4桁以上）
+const NUMBER_PATTERN = /(?:[0-9][0-9,]*(?:\.[0-9]+)?[兆億万])+[0-9,]*|[0-9]{1,3}(?:,[0-9]{3})+|[0-9]{4,}/g;
+
+// 数値の単位
+const NUMBER_UNITS = [
+  { name: '兆', value: 1e12 },
+  { name: '億', value: 1e8 },
+  { name: '万', value: 1e4 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 全角数字を半角に変換（文字数は変わらない）
+ */
+function normalizeDigits(text) {
+  return text.replace(/[０-９]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0)).replace(/，/g, ',');
+}
+
+/**
+ * 年月日をUTCの日付として扱う値に変換
+ */
+function toDayValue(year, month, day) {
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * 日付が存在するかどうか
+ */
+function isValidDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  return new Date(toDayValue(year, month, day)).getUTCDate() === day;
+}
+
+/**
+ * 日付の元号を求める
+ */
+function findEra(year, month, day) {
+  const value = toDayValue(year, month, day);
+  return ERAS.find(era => value >= toDayValue(...era.start)) || null;
+}
+
+/**
+ * 和暦を西暦に変換
+ */
+function eraToYear(eraName, eraYear) {
+  const era = ERAS.find(candidate => candidate.name === eraName);
+  return era.start[0] + (eraYear === '元' ? 1 : Number(eraYear)) - 1;
+}
+
+/**
+ * 和暦の年の表記
+ */
+function formatEraYear(eraName, year) {
+  const era = ERAS.find(candidate => candidate.name === eraName);
+  const eraYear = year - era.start[0] + 1;
+  return `${eraName}${eraYear === 1 ? '元' : eraYear}年`;
+}
+
+/**
+ * 基準日を解析（YYYY-MM-DD、時刻付きの場合は日付部分のみ使用）
+ */
+function parseReferenceDate(value) {
+  const match = /^([0-9]{4})-([0-9]{2})-([0-9]{2})/.exec(String(value || ''));
+  if (!match) return null;
+  
+  const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  if (!isValidDate(year, month, day)) return null;
+  
+  return { year, month, day };
+}
+
+/**
+ * 日本時間の今日の日付
+ */
+function today() {
+  const now = new Date(Date.now() + 9 * 60 * 60 * 1000);
+  return { year: now.getUTCFullYear(), month: now.getUTCMonth() + 1, day: now.getUTCDate() };
+}
+
+/**
+ * 日付の表記を解析して検証
+ * 修正案は元の文章（input）の表記から作り、全角数字などは書き換えない
+ */
+function checkDate(date, input, reference, settings, issues) {
+  const { year, month, day } = date;
+  const source = input.slice(date.start, date.end);
+  const label = `${year}年${month}月${day}日`;
+  
+  if (!isValidDate(year, month, day)) {
+    issues.push({
+      rule: 'invalidDate',
+      start: date.start,
+      end: date.end,
+      description: `${date.yearInferred ? `${month}月${day}日` : label}は存在しない日付です。`
+    });
+    return;
+  }
+  
+  // 元号の範囲（平成31年5月1日 → 令和元年5月1日）
+  if (date.eraName) {
+    const era = findEra(year, month, day);
+    
+    if (era && era.name !== date.eraName) {
+      const corrected = formatEraYear(era.name, year);
+      issues.push({
+        rule: 'era',
+        start: date.start,
+        end: date.end,
+        description: `${date.text.slice(0, date.yearLength)}${month}月${day}日は${corrected}${month}月${day}日です。`,
+        replacement: corrected + source.slice(date.yearLength)
+      });
+    }
+  }
+  
+  // 曜日の検証
+  const weekday = WEEKDAYS[new Date(toDayValue(year, month, day)).getUTCDay()];
+  
+  if (date.weekday && date.weekday !== weekday) {
+    issues.push({
+      rule: 'weekday',
+      start: date.start,
+      end: date.end,
+      description: `${date.yearInferred ? `${month}月${day}日（${year}年として計算）` : label}は${weekday}曜日です（「${date.weekday}」と記載）。`,
+      replacement: source.slice(0, date.weekdayOffset) + weekday + source.slice(date.weekdayOffset + 1)
+    });
+  }
+  
+  date.actualWeekday = weekday;
+  
+  // 基準日との前後関係
+  if (reference) {
+    const days = Math.round((toDayValue(year, month, day) - toDayValue(reference.year, reference.month, reference.day)) / DAY_MS);
+    date.daysFromReference = days;
+    
+    if (days < -settings.pastDays || days > settings.futureDays) {
+      const referenceLabel = `${reference.year}年${reference.month}月${reference.day}日`;
+      issues.push({
+        rule: 'dateRelation',
+        start: date.start,
+        end: date.end,
+        relation: days < 0 ? 'past' : 'future',
+        description: days < 0
+          ? `基準日（${referenceLabel}）より${-days}日前の日付です。`
+          : `基準日（${referenceLabel}）より${days}日後の日付です。`
+      });
+    }
+  }
+}
+
+/**
+ * 日付の表記を抽出
+ */
+function findDates(text, reference) {
+  const dates = [];
+  const fallbackYear = (reference || today()).year;
+  let match;
+  
+  DATE_PATTERN.lastIndex = 0;
+  
+  while ((match = DATE_PATTERN.exec(text)) !== null) {
+    const [whole, eraName, eraYear, westernYear, month, day, weekdayPart, weekdayInParens, weekdayWord] = match;
+    const weekday = weekdayInParens || weekdayWord;
+    let year = fallbackYear;
+    
+    if (eraName) {
+      year = eraToYear(eraName, eraYear);
+    } else if (westernYear) {
+      year = Number(westernYear);
+    }
+    
+    dates.push({
+      text: whole,
+      start: match.index,
+      end: match.index + whole.length,
+      year,
+      month: Number(month),
+      day: Number(day),
+      yearInferred: !eraName && !westernYear,
+      eraName,
+      yearLength: eraName || westernYear ? whole.indexOf('年') + 1 : 0,
+      weekday,
+      // 曜日の部分は末尾にあり、括弧付きの場合は括弧の次の文字が曜日（「日曜日」の「日」を取り違えないよう位置から求める）
+      weekdayOffset: weekday ? whole.length - weekdayPart.length + (weekdayInParens ? 1 : 0) : -1
+    });
+  }
+  
+  SLASH_DATE_PATTERN.lastIndex = 0;
+  
+  while ((match = SLASH_DATE_PATTERN.exec(text)) !== null) {
+    const [whole, year, month, day, weekdayPart, weekday] = match;
+    
+    dates.push({
+      text: whole,
+      start: match.index,
+      end: match.index + whole.length,
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      yearInferred: false,
+      weekday,
+      weekdayOffset: weekday ? whole.length - weekdayPart.length + 1 : -1
+    });
+  }
+  
+  return dates.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 日付に含まれない和暦の年が元号の範囲内かを検証（平成32年など）
+ */
+function checkEraYears(text, dates, issues) {
+  let match;
+  
+  ERA_YEAR_PATTERN.lastIndex = 0;
+  
+  while ((match = ERA_YEAR_PATTERN.exec(text)) !== null) {
+    const start = match.index;
+    if (dates.some(date => start >= date.start && start < date.end)) continue;
+    
+    const index = ERAS.findIndex(era => era.name === match[1]);
+    const year = eraToYear(match[1], match[2]);
+    const next = ERAS[index - 1];
+    
+    // 次の元号の開始年より後は範囲外（開始年は改元前後のどちらもありうる）
+    if (next && year > next.start[0]) {
+      const corrected = formatEraYear(next.name, year);
+      issues.push({
+        rule: 'era',
+        start,
+        end: start + match[0].length,
+        description: `${match[0]}は存在しません（${year}年は${corrected}）。`,
+        replacement: corrected
+      });
+    }
+  }
+}
+
+/**
+ * 数値の表記を解析
+ */
+function parseNumber(raw) {
+  const compact = raw.replace(/,/g, '');
+  
+  if (!/[兆億万]/.test(compact)) {
+    return { style: raw.includes(',') ? 'comma' : 'plain', value: Number(compact) };
+  }
+  
+  let value = 0;
+  let rest = compact;
+  
+  NUMBER_UNITS.forEach(unit => {
+    const index = rest.indexOf(unit.name);
+    if (index < 0) return;
+    
+    value += Number(rest.slice(0, index)) * unit.value;
+    rest = rest.slice(index + 1);
+  });
+  
+  return { style: 'unit', value: value + (rest ? Number(rest) : 0) };
+}
+
+/**
+ * 数値を万・億・兆を使った表記に変換（例: 12500 → 1万2500）
+ */
+function formatWithUnits(value) {
+  let rest = value;
+  let formatted = '';
+  
+  NUMBER_UNITS.forEach(unit => {
+    const count = Math.floor(rest / unit.value);
+    if (count > 0) {
+      formatted += count + unit.name;
+      rest -= count * unit.value;
+    }
+  });
+  
+  return formatted + (rest > 0 ? String(rest) : '');
+}
+
+/**
+ * 数値を数字のみの表記に変換
+ */
+function formatDigits(value, withComma) {
+  const digits = String(value);
+  return withComma ? digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',') : digits;
+}
+
+/**
+ * 数値表記の混在を検出
+ * 1万以上の数値は「万・億・兆を使う表記」と「数字のみの表記」、4桁以上の数字は桁区切りの有無を比較し、少ない方を指摘
+ */
+function checkNumberNotation(text, dates, issues) {
+  const numbers = [];
+  let match;
+  
+  NUMBER_PATTERN.lastIndex = 0;
+  
+  while ((match = NUMBER_PATTERN.exec(text)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const before = text[start - 1] || '';
+    const after = text[end] || '';
+    
+    // 小数・時刻・電話番号の一部、年、日付は対象外
+    if (/[0-9.:/\-]/.test(before) || /[0-9.:/\-]/.test(after) || /^[年]/.test(text.slice(end))) continue;
+    if (dates.some(date => start < date.end && end > date.start)) continue;
+    
+    const parsed = parseNumber(match[0]);
+    if (!Number.isFinite(parsed.value)) continue;
+    
+    numbers.push({ text: match[0], start, end, ...parsed });
+  }
+  
+  const flagMinority = (candidates, styleOf, preferred, convert) => {
+    const groups = {};
+    candidates.forEach(number => {
+      const style = styleOf(number);
+      (groups[style] = groups[style] || []).push(number);
+    });
+    
+    const styles = Object.keys(groups);
+    if (styles.length < 2) return;
+    
+    // 多い方に揃える（同数の場合は preferred）
+    const majority = styles.sort((a, b) => groups[b].length - groups[a].length ||
+      (a === preferred ? -1 : b === preferred ? 1 : 0))[0];
+    
+    styles.filter(style => style !== majority).forEach(style => {
+      groups[style].forEach(number => {
+        const replacement = convert(number, majority);
+        issues.push({
+          rule: 'numberNotation',
+          start: number.start,
+          end: number.end,
+          description: `数値の表記が混在しています。「${groups[majority][0].text}」の表記に揃えてください。`,
+          replacement: Number.isInteger(number.value) ? replacement : undefined
+        });
+      });
+    });
+  };
+  
+  const digitsUseComma = numbers.filter(number => number.style === 'comma').length >=
+    numbers.filter(number => number.style === 'plain' && number.value >= 1000).length;
+  
+  // 万・億・兆を使うかどうか（1万以上）
+  flagMinority(
+    numbers.filter(number => number.value >= 10000),
+    number => (number.style === 'unit' ? 'unit' : 'digits'),
+    'unit',
+    (number, style) => (style === 'unit' ? formatWithUnits(number.value) : formatDigits(number.value, digitsUseComma))
+  );
+  
+  // 桁区切りのカンマの有無（4桁以上の数字のみの表記）
+  flagMinority(
+    numbers.filter(number => number.style !== 'unit' && number.value >= 1000),
+    number => number.style,
+    'comma',
+    (number, style) => formatDigits(number.value, style === 'comma')
+  );
+}
+
+/**
+ * 日付・曜日・数値の整合性をチェック
+ * options.referenceDate（YYYY-MM-DD）を指定した場合は基準日との前後関係も検証する
+ */
+function checkFacts(input, options = {}) {
+  const text = normalizeDigits(input);
+  const reference = options.referenceDate ? parseReferenceDate(options.referenceDate) : null;
+  const settings = {
+    pastDays: typeof options.pastDays === 'number' ? options.pastDays : CONFIG.PAST_DAYS,
+    futureDays: typeof options.futureDays === 'number' ? options.futureDays : CONFIG.FUTURE_DAYS
+  };
+  
+  const issues = [];
+  const dates = findDates(text, reference);
+  
+  dates.forEach(date => checkDate(date, input, reference, settings, issues));
+  checkEraYears(text, dates, issues);
+  checkNumberNotation(text, dates, issues);
+  
+  issues.forEach(issue => {
+    issue.severity = CONFIG.SEVERITIES[issue.rule];
+  });
+  
+  return {
+    referenceDate: reference ? `${reference.year}-${String(reference.month).padStart(2, '0')}-${String(reference.day).padStart(2, '0')}` : null,
+    dates: dates.map(date => ({
+      text: input.slice(date.start, date.end),
+      start: date.start,
+      end: date.end,
+      date: `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`,
+      yearInferred: date.yearInferred,
+      weekday: date.actualWeekday || null,
+      daysFromReference: date.daysFromReference !== undefined ? date.daysFromReference : null
+    })),
+    issues
+  };
+}
+
+module.exports = {
+  CONFIG,
+  parseReferenceDate,
+  checkFacts
+};
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * TextStation Pro - Driveファイルのテキスト抽出
+ * 検索結果のPDF・テキストファイルをダウンロードして本文を取り出す（古いテキストファイルのShift_JISにも対応）
+ * 1つの大きなファイルで検索全体が止まらないよう、サイズと処理時間に上限を設ける
+ */
+
+const pdfParse = require('pdf-parse');
+const iconv = require('iconv-lite');
+
+// 設定
+const CONFIG = {
+  MAX_BYTES: 10 * 1024 * 1024,   // ダウンロードする最大サイズ（バイト）
+  DOWNLOAD_TIMEOUT_MS: 10000,    // ダウンロードの制限時間（ミリ秒）
+  EXTRACT_TIMEOUT_MS: 10000,     // PDFのテキスト抽出の制限時間（ミリ秒）
+  MAX_PDF_PAGES: 50,             // テキストを抽出するPDFの最大ページ数
+  MIME_TYPES: ['application/pdf', 'text/plain']   // テキストを抽出できるファイル形式
+};
+
+/**
+ * 抽出できない理由を付けたエラーを生成
+ */
+function createExtractionError(message, reason) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * 制限時間を過ぎたら失敗させる
+ * 元の処理は止まらないが、検索結果の返却は待たせない
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createExtractionError(message, 'timeout')), ms);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * テキストファイルの文字コードを判定して文字列に変換
+ * BOM がなく UTF-8 として不正なバイト列を含む場合は Shift_JIS（CP932）とみなす
+ */
+function decodeText(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: buffer.slice(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  
+  if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: iconv.decode(buffer.slice(2), 'utf-16le'), encoding: 'utf-16le' };
+  }
+  
+  if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: iconv.decode(buffer.slice(2), 'utf-16be'), encoding: 'utf-16be' };
+  }
+  
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: iconv.decode(buffer, 'cp932'), encoding: 'shift_jis' };
+  }
+}
+
+/**
+ * PDFからテキストを抽出（先頭の MAX_PDF_PAGES ページまで）
+ */
+async function extractPdfText(buffer) {
+  const data = await withTimeout(
+    pdfParse(buffer, { max: CONFIG.MAX_PDF_PAGES }),
+    CONFIG.EXTRACT_TIMEOUT_MS,
+    'PDFのテキスト抽出が制限時間を超えました'
+  );
+  
+  return {
+    text: data.text,
+    pages: data.numpages,
+    truncated: data.numpages > CONFIG.MAX_PDF_PAGES
+  };
+}
+
+/**
+ * Driveからファイルをダウンロード
+ */
+async function downloadFile(drive, file) {
+  if (Number(file.size) > CONFIG.MAX_BYTES) {
+    throw createExtractionError('ファイルサイズが上限を超えています', 'tooLarge');
+  }
+  
+  const response = await withTimeout(
+    drive.files.get(
+      { fileId: file.id, alt: 'media', supportsAllDrives: true },
+      { responseType: 'arraybuffer', timeout: CONFIG.DOWNLOAD_TIMEOUT_MS }
+    ),
+    CONFIG.DOWNLOAD_TIMEOUT_MS,
+    'ファイルのダウンロードが制限時間を超えました'
+  );
+  
+  const buffer = Buffer.from(response.data);
+  
+  // サイズが取得できなかった場合もダウンロード後に確認
+  if (buffer.length > CONFIG.MAX_BYTES) {
+    throw createExtractionError('ファイルサイズが上限を超えています', 'tooLarge');
+  }
+  
+  return buffer;
+}
+
+/**
+ * テキストを抽出できるファイル形式かどうか
+ */
+function canExtract(mimeType) {
+  return CONFIG.MIME_TYPES.includes(mimeType);
+}
+
+/**
+ * PDF・テキストファイルの本文を取得
+ * 失敗した場合は reason（tooLarge / timeout / unsupported / failed）を付けたエラーを送出
+ */
+async function extractFileText(drive, file) {
+  if (!canExtract(file.mimeType)) {
+    throw createExtractionError('テキストを抽出できないファイル形式です', 'unsupported');
+  }
+  
+  try {
+    const buffer = await downloadFile(drive, file);
+    
+    if (file.mimeType === 'application/pdf') {
+      return { ...(await extractPdfText(buffer)), encoding: null };
+    }
+    
+    return { ...decodeText(buffer), pages: null, truncated: false };
+  } catch (error) {
+    if (error.reason) throw error;
+    
+    console.error('テキスト抽出エラー:', error);
+    throw createExtractionError('テキストの抽出中にエラーが発生しました: ' + error.message, 'failed');
+  }
+}
+
+module.exports = {
+  CONFIG,
+  decodeText,
+  canExtract,
+  extractFileText
+};
\ No newline at end of file
@@ -0,0 +1,465 @@
+/**
+ * TextStation Pro - メディア別の分量測定
+ * 放送原稿の読み上げ時間（モーラ数から算出）と新聞の字詰め・禁則処理を適用した行数を測定
+ */
+
+const { tokenize } = require('./tokenizer');
+
+// メディア種別ごとの既定の設定（mediaProfiles の readTime / lineFit で上書き、他のメディア種別でも有効化可能）
+// maxSeconds / maxLines を指定した場合、超過すると指摘を出す
+const DEFAULT_SETTINGS = {
+  '放送': {
+    readTime: {
+      moraePerSecond: 7.5,   // 1秒あたりに読み上げるモーラ数
+      commaPause: 0.3,       // 読点での間（秒）
+      periodPause: 0.6,      // 句点での間（秒）
+      maxSeconds: null
+    }
+  },
+  '新聞': {
+    lineFit: {
+      charsPerLine: 12,      // 字詰め（1行の文字数）
+      indent: 1,             // 段落冒頭の字下げ
+      hanging: true,         // 句読点のぶら下げを許可
+      maxLines: null
+    }
+  }
+};
+
+// 超過時の指摘の既定の重要度
+const DEFAULT_SEVERITY = 'major';
+
+// 数字の読み
+const DIGIT_READINGS = ['ゼロ', 'イチ', 'ニ', 'サン', 'ヨン', 'ゴ', 'ロク', 'ナナ', 'ハチ', 'キュウ'];
+
+// 4桁ごとの単位
+const LARGE_UNITS = ['', 'マン', 'オク', 'チョウ', 'ケイ'];
+
+// アルファベットの読み（略語は1文字ずつ読む）
+const ALPHABET_READINGS = {
+  A: 'エー', B: 'ビー', C: 'シー', D: 'ディー', E: 'イー', F: 'エフ', G: 'ジー',
+  H: 'エイチ', I: 'アイ', J: 'ジェー', K: 'ケー', L: 'エル', M: 'エム', N: 'エヌ',
+  O: 'オー', P: 'ピー', Q: 'キュー', R: 'アール', S: 'エス', T: 'ティー', U: 'ユー',
+  V: 'ブイ', W: 'ダブリュー', X: 'エックス', Y: 'ワイ', Z: 'ゼット'
+};
+
+// 記号の読み
+const SYMBOL_READINGS = {
+  '%': 'パーセント',
+  '&': 'アンド',
+  '+': 'プラス',
+  '$': 'ドル',
+  '¥': 'エン',
+  '℃': 'ド',
+  '〜': 'カラ',
+  '~': 'カラ'
+};
+
+// 読み上げ時の間
+const COMMA_CHARS = '、，,';
+const PERIOD_CHARS = '。．！？!?';
+
+// 直前の仮名と合わせて1モーラになる小書きの仮名
+const SMALL_KANA = 'ャュョァィゥェォヮ';
+
+// 行頭禁則文字（行の先頭に置けない文字）
+const LINE_START_PROHIBITED = '、。，．,.・：；:;？！?!）)」』】〕〉》］｝ーぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ々ゝゞヽヾ';
+
+// 行末禁則文字（行の末尾に置けない文字）
+const LINE_END_PROHIBITED = '（(「『【〔〈《［｛';
+
+// ぶら下げを許可する文字
+const HANGING_CHARS = '、。，．';
+
+// 数字とアルファベット（形態素解析の前に読みを決める）
+const NUMBER_PATTERN = /[0-9０-９]+(?:[,，][0-9０-９]{3})*(?:[.．][0-9０-９]+)?/g;
+const ALPHABET_PATTERN = /[A-Za-zＡ-Ｚａ-ｚ]+/g;
+
+/**
+ * ひらがなをカタカナに変換
+ */
+function toKatakana(text) {
+  return text.replace(/[ぁ-ゖ]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60));
+}
+
+/**
+ * カタカナの読みのモーラ数を数える（拗音は前の文字と合わせて1モーラ、促音・撥音・長音は1モーラ）
+ */
+function countMorae(reading) {
+  let count = 0;
+  
+  for (const char of reading) {
+    if (/[゠-ヿ]/.test(char) && !SMALL_KANA.includes(char)) {
+      count++;
+    }
+  }
+  
+  return count;
+}
+
+/**
+ * 1〜9999の読み
+ */
+function readUnderTenThousand(value) {
+  const thousands = Math.floor(value / 1000);
+  const hundreds = Math.floor(value / 100) % 10;
+  const tens = Math.floor(value / 10) % 10;
+  const ones = value % 10;
+  let reading = '';
+  
+  if (thousands > 0) {
+    reading += { 1: 'セン', 3: 'サンゼン', 8: 'ハッセン' }[thousands] || DIGIT_READINGS[thousands] + 'セン';
+  }
+  
+  if (hundreds > 0) {
+    reading += { 1: 'ヒャク', 3: 'サンビャク', 6: 'ロッピャク', 8: 'ハッピャク' }[hundreds] || DIGIT_READINGS[hundreds] + 'ヒャク';
+  }
+  
+  if (tens > 0) {
+    reading += (tens === 1 ? '' : DIGIT_READINGS[tens]) + 'ジュウ';
+  }
+  
+  if (ones > 0) {
+    reading += DIGIT_READINGS[ones];
+  }
+  
+  return reading;
+}
+
+/**
+ * 整数の読み（例: 2026 → ニセンニジュウロク）
+ */
+function readInteger(digits) {
+  const trimmed = digits.replace(/^0+/, '');
+  
+  if (trimmed === '') return DIGIT_READINGS[0];
+  
+  // 単位で読めない桁数は1桁ずつ読む
+  if (trimmed.length > LARGE_UNITS.length * 4) {
+    return trimmed.split('').map(digit => DIGIT_READINGS[digit]).join('');
+  }
+  
+  const groups = [];
+  for (let end = trimmed.length; end > 0; end -= 4) {
+    groups.unshift(Number(trimmed.slice(Math.max(0, end - 4), end)));
+  }
+  
+  return groups.map((value, index) => {
+    if (value === 0) return '';
+    
+    const unit = LARGE_UNITS[groups.length - 1 - index];
+    let reading = readUnderTenThousand(value);
+    
+    // 「一兆（いっちょう）」「八京（はっけい）」「十兆（じゅっちょう）」などの促音化
+    if (unit === 'チョウ' || unit === 'ケイ') {
+      reading = reading.replace(/(イチ|ハチ|ジュウ)$/, match => ({ 'イチ': 'イッ', 'ハチ': 'ハッ', 'ジュウ': 'ジュッ' })[match]);
+    }
+    
+    return reading + unit;
+  }).join('');
+}
+
+/**
+ * 数字の読み（小数点以下は1桁ずつ読む）
+ */
+function readNumber(text) {
+  const normalized = text.normalize('NFKC').replace(/,/g, '');
+  const [integer, decimal] = normalized.split('.');
+  let reading = readInteger(integer);
+  
+  if (decimal) {
+    reading += 'テン' + decimal.split('').map(digit => DIGIT_READINGS[digit]).join('');
+  }
+  
+  return reading;
+}
+
+/**
+ * アルファベットの読み
+ */
+function readAlphabet(text) {
+  return text.normalize('NFKC').toUpperCase().split('').map(char => ALPHABET_READINGS[char] || '').join('');
+}
+
+/**
+ * 形態素の読み（辞書にない語は表記から推定）
+ */
+function readToken(token) {
+  if (token.reading && token.reading !== '*') {
+    return { reading: token.reading, estimated: false };
+  }
+  
+  const normalized = token.surface.normalize('NFKC');
+  
+  if (SYMBOL_READINGS[normalized]) {
+    return { reading: SYMBOL_READINGS[normalized], estimated: false };
+  }
+  
+  if (/^[ぁ-ゖ゠-ヿ]+$/.test(normalized)) {
+    return { reading: toKatakana(normalized), estimated: false };
+  }
+  
+  return { reading: null, estimated: true };
+}
+
+/**
+ * 読み上げの単位（開始・終了位置、モーラ数、間）に分割
+ */
+async function readingUnits(text) {
+  const units = [];
+  const pieces = [];
+  const pattern = new RegExp(`${NUMBER_PATTERN.source}|${ALPHABET_PATTERN.source}`, 'g');
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      pieces.push({ start: lastIndex, text: text.slice(lastIndex, match.index) });
+    }
+    
+    pieces.push({ start: match.index, text: match[0], literal: true });
+    lastIndex = match.index + match[0].length;
+  }
+  
+  if (lastIndex < text.length) {
+    pieces.push({ start: lastIndex, text: text.slice(lastIndex) });
+  }
+  
+  for (const piece of pieces) {
+    if (piece.literal) {
+      const reading = /^[0-9０-９]/.test(piece.text) ? readNumber(piece.text) : readAlphabet(piece.text);
+      units.push({ start: piece.start, end: piece.start + piece.text.length, morae: countMorae(reading), pause: 0 });
+      continue;
+    }
+    
+    const tokens = await tokenize(piece.text, piece.start);
+    
+    tokens.forEach(token => {
+      const unit = { start: token.start, end: token.end, morae: 0, pause: 0 };
+      
+      if (COMMA_CHARS.includes(token.surface)) {
+        unit.pause = 'comma';
+      } else if (PERIOD_CHARS.includes(token.surface)) {
+        unit.pause = 'period';
+      } else if (!/^\s+$/.test(token.surface)) {
+        const { reading, estimated } = readToken(token);
+        
+        if (reading) {
+          unit.morae = countMorae(reading);
+        } else if (token.pos !== '記号') {
+          // 読みが分からない語は漢字2モーラ、その他1モーラとして推定
+          unit.morae = Array.from(token.surface).reduce((sum, char) => sum + (/[一-鿿々]/.test(char) ? 2 : 1), 0);
+          unit.estimated = estimated;
+        }
+      }
+      
+      units.push(unit);
+    });
+  }
+  
+  return units;
+}
+
+/**
+ * 読み上げ時間を推定
+ */
+async function estimateReadTime(text, settings) {
+  const units = await readingUnits(text);
+  const pauses = { comma: settings.commaPause || 0, period: settings.periodPause || 0 };
+  
+  let morae = 0;
+  let seconds = 0;
+  let pauseSeconds = 0;
+  let estimatedCharacters = 0;
+  let overflowStart = null;
+  
+  units.forEach(unit => {
+    const pause = unit.pause ? pauses[unit.pause] : 0;
+    
+    morae += unit.morae;
+    pauseSeconds += pause;
+    seconds += unit.morae / settings.moraePerSecond + pause;
+    
+    if (unit.estimated) {
+      estimatedCharacters += unit.end - unit.start;
+    }
+    
+    if (settings.maxSeconds && overflowStart === null && seconds > settings.maxSeconds) {
+      overflowStart = unit.start;
+    }
+  });
+  
+  return {
+    morae,
+    seconds: Math.round(seconds * 10) / 10,
+    pauseSeconds: Math.round(pauseSeconds * 10) / 10,
+    moraePerSecond: settings.moraePerSecond,
+    estimatedCharacters,
+    maxSeconds: settings.maxSeconds || null,
+    exceeded: overflowStart !== null,
+    overflowStart
+  };
+}
+
+/**
+ * 1段落を字詰めと禁則処理に従って行に分割
+ * 字詰めが字下げや1文字の幅より小さい設定でも、各行には少なくとも1文字を置く
+ */
+function layoutParagraph(chars, settings) {
+  const lines = [];
+  let line = [];
+  let width = settings.indent || 0;
+  
+  const widthOf = items => items.reduce((sum, item) => sum + item.width, 0);
+  
+  chars.forEach(item => {
+    if (line.length === 0 || width + item.width <= settings.charsPerLine) {
+      line.push(item);
+      width += item.width;
+      return;
+    }
+    
+    // ぶら下げ: 句読点は行末からはみ出して置く
+    if (settings.hanging !== false && HANGING_CHARS.includes(item.char) && line.length > 0) {
+      line.push(item);
+      lines.push(line);
+      line = [];
+      width = 0;
+      return;
+    }
+    
+    // 追い出し: 行頭禁則文字が行頭に来ないよう、前の行の末尾の文字を次の行へ送る
+    const carried = [];
+    
+    if (LINE_START_PROHIBITED.includes(item.char)) {
+      while (line.length > 1 && LINE_START_PROHIBITED.includes(line[line.length - 1].char)) {
+        carried.unshift(line.pop());
+      }
+      
+      if (line.length > 1) {
+        carried.unshift(line.pop());
+      }
+    }
+    
+    // 行末禁則文字（開き括弧など）は次の行へ送る
+    while (line.length > 1 && LINE_END_PROHIBITED.includes(line[line.length - 1].char)) {
+      carried.unshift(line.pop());
+    }
+    
+    lines.push(line);
+    line = [...carried, item];
+    width = widthOf(line);
+  });
+  
+  if (line.length > 0) {
+    lines.push(line);
+  }
+  
+  return lines;
+}
+
+/**
+ * 字詰めと禁則処理を適用した行数を算出（半角文字は0.5字として数える）
+ */
+function fitLines(text, settings) {
+  const lines = [];
+  const paragraphPattern = /[^\n]+/g;
+  let match;
+  
+  while ((match = paragraphPattern.exec(text)) !== null) {
+    const paragraph = match[0].replace(/\s+$/, '');
+    const leading = paragraph.length - paragraph.trimStart().length;
+    
+    if (paragraph.trim() === '') continue;
+    
+    const chars = [];
+    let offset = match.index + leading;
+    
+    for (const char of paragraph.slice(leading)) {
+      chars.push({ char, offset, width: /[\x20-\x7e｡-ﾟ]/.test(char) ? 0.5 : 1 });
+      offset += char.length;
+    }
+    
+    layoutParagraph(chars, settings).filter(line => line.length > 0).forEach(line => {
+      const last = line[line.length - 1];
+      lines.push({
+        start: line[0].offset,
+        end: last.offset + last.char.length,
+        text: line.map(item => item.char).join('')
+      });
+    });
+  }
+  
+  const exceeded = !!settings.maxLines && lines.length > settings.maxLines;
+  
+  return {
+    charsPerLine: settings.charsPerLine,
+    lineCount: lines.length,
+    maxLines: settings.maxLines || null,
+    exceeded,
+    overflowStart: exceeded ? lines[settings.maxLines].start : null,
+    lines
+  };
+}
+
+/**
+ * メディア種別の測定設定を取得（Firestoreの設定で項目ごとに上書き）
+ */
+function getSettings(mediaType, profile = {}) {
+  const defaults = DEFAULT_SETTINGS[mediaType] || {};
+  const settings = {};
+  
+  ['readTime', 'lineFit'].forEach(measurement => {
+    if (defaults[measurement] || profile[measurement]) {
+      settings[measurement] = { ...(defaults[measurement] || {}), ...(profile[measurement] || {}) };
+    }
+  });
+  
+  return settings;
+}
+
+/**
+ * メディア種別に応じた分量を測定し、上限を超えた場合は指摘を返す
+ */
+async function measureText(text, mediaType, profile) {
+  const settings = getSettings(mediaType, profile);
+  const measurements = {};
+  const violations = [];
+  
+  if (settings.readTime && settings.readTime.moraePerSecond > 0) {
+    const readTime = await estimateReadTime(text, settings.readTime);
+    measurements.readTime = readTime;
+    
+    if (readTime.exceeded) {
+      violations.push({
+        rule: 'readTime',
+        start: readTime.overflowStart,
+        severity: settings.readTime.severity || DEFAULT_SEVERITY,
+        description: `読み上げ時間が約${readTime.seconds}秒で、上限の${readTime.maxSeconds}秒を超えています。この位置以降が超過分です。`
+      });
+    }
+  }
+  
+  if (settings.lineFit && settings.lineFit.charsPerLine > 0) {
+    const lineFit = fitLines(text, settings.lineFit);
+    measurements.lineFit = lineFit;
+    
+    if (lineFit.exceeded) {
+      violations.push({
+        rule: 'lineCount',
+        start: lineFit.overflowStart,
+        severity: settings.lineFit.severity || DEFAULT_SEVERITY,
+        description: `${lineFit.charsPerLine}字詰めで${lineFit.lineCount}行あり、上限の${lineFit.maxLines}行を超えています。この位置以降が超過分です。`
+      });
+    }
+  }
+  
+  return { measurements, violations };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  readNumber,
+  getSettings,
+  measureText
+};
\ No newline at end of file
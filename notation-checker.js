@@ -0,0 +1,242 @@
+/**
+ * TextStation Pro - 表記ゆれ検出
+ * 同じ語の異なる表記（子供/子ども、全角/半角数字など）が混在していないかを検出
+ */
+
+const { escapeRegExp } = require('./utils');
+const { checkPatternSafety } = require('./regex-safety');
+
+// 組み込みの表記ゆれ辞書（先頭の表記を推奨表記とする）
+// variants は文字列、または { form, pattern } で活用形などを正規表現で指定
+const BUILTIN_VARIANTS = [
+  { reading: 'こども', variants: ['子ども', '子供', 'こども'] },
+  { reading: 'おこなう', variants: [
+    { form: '行う', pattern: '行(?:わ|う|え|お)' },
+    { form: '行なう', pattern: '行な(?:わ|い|う|え|お|っ)' },
+    { form: 'おこなう', pattern: 'おこな(?:わ|い|う|え|お|っ)' }
+  ] },
+  { reading: 'できる', variants: [
+    { form: 'できる', pattern: 'でき(?:る|ない|ます|た)' },
+    { form: '出来る', pattern: '出来(?:る|ない|ます|た)' }
+  ] },
+  { reading: 'すべて', variants: ['すべて', '全て'] },
+  { reading: 'ください', variants: ['ください', '下さい'] },
+  { reading: 'いただく', variants: [
+    { form: 'いただく', pattern: 'いただ(?:か|き|く|け|こ|い)' },
+    { form: '頂く', pattern: '頂(?:か|き|く|け|こ|い)' }
+  ] },
+  { reading: 'ひとびと', variants: ['人々', '人びと'] },
+  { reading: 'たとえば', variants: ['例えば', 'たとえば'] },
+  { reading: 'および', variants: ['および', '及び'] }
+];
+
+/**
+ * 表記ゆれ辞書の項目を { form, regex } の一覧に正規化
+ */
+function compileVariants(entry) {
+  return entry.variants.map(variant => {
+    if (typeof variant === 'string') {
+      return { form: variant, literal: true, regex: new RegExp(escapeRegExp(variant), 'g') };
+    }
+    
+    return {
+      form: variant.form,
+      literal: !variant.pattern,
+      regex: new RegExp(variant.pattern || escapeRegExp(variant.form), 'g')
+    };
+  });
+}
+
+/**
+ * 辞書の1項目について、表記ごとの出現位置を収集
+ */
+function collectDictionaryCluster(text, entry) {
+  // 長い表記から順に照合し、同じ範囲を二重に数えないようにする
+  const variants = compileVariants(entry).sort((a, b) => b.form.length - a.form.length);
+  const claimed = [];
+  const forms = {};
+  
+  variants.forEach(variant => {
+    let match;
+    
+    while ((match = variant.regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        variant.regex.lastIndex++;
+        continue;
+      }
+      
+      const start = match.index;
+      const end = start + match[0].length;
+      
+      if (claimed.some(range => start < range.end && range.start < end)) continue;
+      
+      claimed.push({ start, end });
+      (forms[variant.form] = forms[variant.form] || []).push({ start, end });
+    }
+  });
+  
+  // 推奨表記の判定用に辞書の並び順を保持
+  const order = compileVariants(entry).map(variant => variant.form);
+  
+  // 活用形を正規表現で指定した表記は機械的に置換できない
+  const literalForms = new Set(variants.filter(variant => variant.literal).map(variant => variant.form));
+  const replace = (form, matched, target) =>
+    literalForms.has(form) && literalForms.has(target) ? target : null;
+  
+  return { reading: entry.reading, severity: entry.severity, forms, order, replace };
+}
+
+/**
+ * 全角・半角の英数字の混在を収集
+ */
+function collectWidthCluster(text) {
+  const forms = {};
+  const regex = /[0-9０-９]+|[A-Za-zＡ-Ｚａ-ｚ]+/g;
+  let match;
+  
+  while ((match = regex.exec(text)) !== null) {
+    const isFullWidth = /[０-９Ａ-Ｚａ-ｚ]/.test(match[0]);
+    const isDigit = /[0-9０-９]/.test(match[0]);
+    const form = (isFullWidth ? '全角' : '半角') + (isDigit ? '数字' : '英字');
+    
+    (forms[form] = forms[form] || []).push({ start: match.index, end: match.index + match[0].length });
+  }
+  
+  // 数字と英字はそれぞれ別の表記ゆれとして扱う
+  return ['数字', '英字'].map(kind => {
+    const kindForms = {};
+    
+    ['半角', '全角'].forEach(width => {
+      if (forms[width + kind]) {
+        kindForms[width + kind] = forms[width + kind];
+      }
+    });
+    
+    return {
+      reading: `${kind}の全角/半角`,
+      forms: kindForms,
+      order: ['半角' + kind, '全角' + kind],
+      replace: (form, matched, target) => convertWidth(matched, target.startsWith('全角'))
+    };
+  });
+}
+
+/**
+ * 英数字を全角または半角に変換
+ */
+function convertWidth(value, toFullWidth) {
+  return value.replace(toFullWidth ? /[0-9A-Za-z]/g : /[０-９Ａ-Ｚａ-ｚ]/g, char =>
+    String.fromCharCode(char.charCodeAt(0) + (toFullWidth ? 0xFEE0 : -0xFEE0)));
+}
+
+/**
+ * カタカナ語の長音符（サーバー/サーバ）の有無のゆれを収集
+ */
+function collectLongVowelClusters(text) {
+  const clusters = {};
+  const regex = /[ァ-ヴ][ァ-ヴー]*/g;
+  let match;
+  
+  while ((match = regex.exec(text)) !== null) {
+    const word = match[0];
+    const key = word.replace(/ー$/, '');
+    
+    if (key.length < 2) continue;
+    
+    if (!clusters[key]) {
+      clusters[key] = {
+        reading: key,
+        forms: {},
+        order: [key + 'ー', key],
+        replace: (form, matched, target) => target
+      };
+    }
+    
+    (clusters[key].forms[word] = clusters[key].forms[word] || []).push({
+      start: match.index,
+      end: match.index + word.length
+    });
+  }
+  
+  return Object.values(clusters);
+}
+
+/**
+ * 表記ゆれを検出し、{ clusters, errors } を返す
+ * customVariants は styleRules の notationVariant（同じ読みの組み込み項目を上書き）
+ */
+function detectNotationInconsistencies(text, customVariants = []) {
+  const customReadings = new Set(customVariants.map(entry => entry.reading));
+  const dictionary = BUILTIN_VARIANTS
+    .filter(entry => !customReadings.has(entry.reading))
+    .concat(customVariants);
+  
+  // 不正な項目（正規表現の誤りなど）は除外して報告
+  const errors = [];
+  const dictionaryClusters = [];
+  
+  dictionary.forEach(entry => {
+    try {
+      const safety = (entry.variants || [])
+        .filter(variant => variant && variant.pattern)
+        .map(variant => checkPatternSafety(variant.pattern))
+        .find(result => !result.safe);
+      
+      if (safety) {
+        throw new Error(safety.reason);
+      }
+      
+      dictionaryClusters.push(collectDictionaryCluster(text, entry));
+    } catch (error) {
+      errors.push({ reading: entry.reading, message: error.message });
+    }
+  });
+  
+  const clusters = [
+    ...dictionaryClusters,
+    ...collectWidthCluster(text),
+    ...collectLongVowelClusters(text)
+  ];
+  
+  const inconsistencies = clusters
+    .filter(cluster => Object.keys(cluster.forms).length > 1)
+    .map(cluster => {
+      const variants = Object.entries(cluster.forms).map(([form, occurrences]) => ({
+        form,
+        count: occurrences.length,
+        occurrences: occurrences.map(occurrence => ({ ...occurrence, text: text.slice(occurrence.start, occurrence.end) }))
+      }));
+      
+      // 最も多く使われている表記を推奨（同数の場合は辞書の並び順を優先）
+      const rank = form => {
+        const index = cluster.order.indexOf(form);
+        return index === -1 ? cluster.order.length : index;
+      };
+      variants.sort((a, b) => b.count - a.count || rank(a.form) - rank(b.form));
+      
+      // 推奨表記への置換内容を確定できる箇所には置換後の文字列を付与
+      const suggestion = variants[0].form;
+      variants.slice(1).forEach(variant => {
+        variant.occurrences.forEach(occurrence => {
+          const replacement = cluster.replace(variant.form, occurrence.text, suggestion);
+          if (replacement !== null) {
+            occurrence.replacement = replacement;
+          }
+        });
+      });
+      
+      return {
+        reading: cluster.reading,
+        severity: cluster.severity,
+        suggestion,
+        variants
+      };
+    });
+  
+  return { clusters: inconsistencies, errors };
+}
+
+module.exports = {
+  BUILTIN_VARIANTS,
+  detectNotationInconsistencies
+};
\ No newline at end of file
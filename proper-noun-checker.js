@@ -0,0 +1,120 @@
+/**
+ * TextStation Pro - 固有名詞チェック
+ * 固有名詞辞書（properNouns）に登録した誤表記と、初出時の正式名称の有無を検出
+ */
+
+// 設定
+const CONFIG = {
+  DEFAULT_SEVERITY: 'major'   // 辞書に重要度の指定がない場合
+};
+
+/**
+ * 誤表記の正しい表記（省略時は正式名称）
+ */
+function correctFormOf(entry, variant) {
+  return typeof variant === 'string' ? entry.canonical : (variant.correct || entry.canonical);
+}
+
+/**
+ * 辞書の項目から照合する表記の一覧を作成
+ */
+function collectForms(entry, index) {
+  const forms = [{ entryIndex: index, form: entry.canonical, kind: 'canonical' }];
+  
+  (entry.shortForms || []).forEach(form => {
+    forms.push({ entryIndex: index, form, kind: 'shortForm' });
+  });
+  
+  (entry.variants || []).forEach(variant => {
+    forms.push({
+      entryIndex: index,
+      form: typeof variant === 'string' ? variant : variant.form,
+      kind: 'variant',
+      correct: correctFormOf(entry, variant)
+    });
+  });
+  
+  return forms.filter(form => typeof form.form === 'string' && form.form !== '');
+}
+
+/**
+ * 表記の出現箇所を検索（重なる場合は先に始まる長い表記を優先）
+ * 「株式会社テキストステーション」の中の「テキストステーション」は別の出現として数えない
+ */
+function findOccurrences(text, forms) {
+  const found = [];
+  
+  forms.forEach(form => {
+    let index = text.indexOf(form.form);
+    
+    while (index !== -1) {
+      found.push({ ...form, start: index, end: index + form.form.length });
+      index = text.indexOf(form.form, index + 1);
+    }
+  });
+  
+  found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  
+  const occurrences = [];
+  let lastEnd = -1;
+  
+  found.forEach(occurrence => {
+    if (occurrence.start < lastEnd) return;
+    
+    occurrences.push(occurrence);
+    lastEnd = occurrence.end;
+  });
+  
+  return occurrences;
+}
+
+/**
+ * 固有名詞の誤表記と、初出時に正式名称が使われていない箇所を検出
+ * entries は properNouns の有効な項目の一覧
+ */
+function checkProperNouns(text, entries) {
+  const forms = [].concat(...entries.map(collectForms));
+  const occurrences = findOccurrences(text, forms);
+  const findings = [];
+  const mentioned = new Set();
+  
+  occurrences.forEach(occurrence => {
+    const entry = entries[occurrence.entryIndex];
+    const isFirst = !mentioned.has(occurrence.entryIndex);
+    const severity = entry.severity || CONFIG.DEFAULT_SEVERITY;
+    
+    mentioned.add(occurrence.entryIndex);
+    
+    if (occurrence.kind === 'variant') {
+      // 初出で正式名称が必要な場合は、誤表記も正式名称に直す
+      const replacement = isFirst && entry.fullNameOnFirstMention ? entry.canonical : occurrence.correct;
+      
+      findings.push({
+        check: 'misspelling',
+        canonical: entry.canonical,
+        start: occurrence.start,
+        end: occurrence.end,
+        severity,
+        replacement,
+        description: `「${occurrence.form}」は誤表記です。「${replacement}」と表記してください。`
+      });
+    } else if (occurrence.kind === 'shortForm' && isFirst && entry.fullNameOnFirstMention) {
+      findings.push({
+        check: 'fullNameRequired',
+        canonical: entry.canonical,
+        start: occurrence.start,
+        end: occurrence.end,
+        severity,
+        replacement: entry.canonical,
+        description: `初出は正式名称の「${entry.canonical}」と表記してください。`
+      });
+    }
+  });
+  
+  return findings;
+}
+
+module.exports = {
+  CONFIG,
+  checkProperNouns
+};
\ No newline at end of file
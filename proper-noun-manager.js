@@ -0,0 +1,251 @@
+/**
+ * TextStation Pro - 固有名詞辞書の管理
+ * properNouns の一覧・作成・更新・無効化と、登録内容の検証を提供
+ *
+ * ドキュメントの形式
+ *   canonical               正式名称（例: 株式会社テキストステーション）
+ *   shortForms              2回目以降に使ってよい略称（例: テキストステーション）
+ *   variants                誤表記。文字列（正式名称に直す）または { form, correct }（略称に直す場合）
+ *   fullNameOnFirstMention  初出は正式名称で表記する必要があるか
+ *   mediaTypes              対象のメディア種別（省略時はすべて）
+ */
+
+const { MEDIA_TYPES } = require('./text-processor');
+const { SEVERITY_LEVELS } = require('./scoring');
+const { createValidationError } = require('./rule-manager');
+
+// 設定
+const CONFIG = {
+  COLLECTION: 'properNouns',
+  CATEGORIES: ['company', 'organization', 'person', 'title', 'product', 'place']   // 分類
+};
+
+/**
+ * 空でない文字列かどうか
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * 辞書の項目を検証し、保存用のデータを返す
+ * existing を指定した場合は既存の内容に変更をマージしてから検証
+ */
+function validateProperNoun(data, existing = {}) {
+  const entry = { ...existing, ...data };
+  const errors = [];
+  
+  if (!isNonEmptyString(entry.canonical)) {
+    errors.push('canonical は必須です');
+  }
+  
+  entry.shortForms = entry.shortForms || [];
+  entry.variants = entry.variants || [];
+  
+  if (!Array.isArray(entry.shortForms) || !entry.shortForms.every(isNonEmptyString)) {
+    errors.push('shortForms は空でない文字列の配列で指定してください');
+  } else if (entry.shortForms.includes(entry.canonical)) {
+    errors.push('shortForms に正式名称と同じ表記は指定できません');
+  }
+  
+  if (!Array.isArray(entry.variants)) {
+    errors.push('variants は配列で指定してください');
+  } else {
+    const correctForms = [entry.canonical].concat(Array.isArray(entry.shortForms) ? entry.shortForms : []);
+    
+    entry.variants.forEach((variant, index) => {
+      const form = typeof variant === 'string' ? variant : variant && variant.form;
+      
+      if (!isNonEmptyString(form)) {
+        errors.push(`variants[${index}] は文字列または { form, correct } で指定してください`);
+      } else if (correctForms.includes(form)) {
+        errors.push(`variants[${index}] に正式名称・略称と同じ表記は指定できません`);
+      } else if (typeof variant !== 'string' && variant.correct !== undefined && !correctForms.includes(variant.correct)) {
+        errors.push(`variants[${index}].correct には正式名称または略称を指定してください`);
+      }
+    });
+  }
+  
+  if (entry.fullNameOnFirstMention !== undefined && typeof entry.fullNameOnFirstMention !== 'boolean') {
+    errors.push('fullNameOnFirstMention は true または false で指定してください');
+  }
+  
+  if (entry.fullNameOnFirstMention && entry.shortForms.length === 0) {
+    errors.push('初出の正式名称を検証するには shortForms を指定してください');
+  } else if (!entry.fullNameOnFirstMention && entry.variants.length === 0) {
+    errors.push('variants または fullNameOnFirstMention のいずれかを指定してください');
+  }
+  
+  if (entry.mediaTypes !== undefined && entry.mediaTypes !== null) {
+    if (!Array.isArray(entry.mediaTypes)) {
+      errors.push('mediaTypes は配列で指定してください');
+    } else {
+      const unknown = entry.mediaTypes.filter(mediaType => !MEDIA_TYPES.includes(mediaType));
+      if (unknown.length > 0) {
+        errors.push(`不明なメディア種別です: ${unknown.join(', ')}`);
+      }
+    }
+  }
+  
+  if (entry.category !== undefined && !CONFIG.CATEGORIES.includes(entry.category)) {
+    errors.push(`category は ${CONFIG.CATEGORIES.join(' / ')} のいずれかを指定してください`);
+  }
+  
+  if (entry.severity !== undefined && !SEVERITY_LEVELS.includes(entry.severity)) {
+    errors.push(`severity は ${SEVERITY_LEVELS.join(' / ')} のいずれかを指定してください`);
+  }
+  
+  if (errors.length > 0) {
+    throw createValidationError('固有名詞の内容が不正です', errors);
+  }
+  
+  return entry;
+}
+
+/**
+ * 固有名詞の一覧を取得
+ */
+async function listProperNouns(db, filters = {}) {
+  try {
+    let query = db.collection(CONFIG.COLLECTION);
+    
+    if (!filters.includeInactive) {
+      query = query.where('isActive', '==', true);
+    }
+    
+    const snapshot = await query.get();
+    
+    const entries = [];
+    
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      
+      if (filters.category && data.category !== filters.category) return;
+      if (filters.mediaType && Array.isArray(data.mediaTypes) && data.mediaTypes.length > 0 &&
+          !data.mediaTypes.includes(filters.mediaType)) return;
+      
+      entries.push({ id: doc.id, ...data });
+    });
+    
+    return entries;
+  } catch (error) {
+    console.error('固有名詞一覧取得エラー:', error);
+    throw new Error('固有名詞一覧の取得中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 同じ正式名称の有効な項目がすでにあるかどうか
+ */
+async function findDuplicate(db, canonical, excludeId) {
+  const snapshot = await db.collection(CONFIG.COLLECTION)
+    .where('canonical', '==', canonical)
+    .where('isActive', '==', true)
+    .get();
+  
+  let duplicate = null;
+  
+  snapshot.forEach(doc => {
+    if (doc.id !== excludeId) {
+      duplicate = doc.id;
+    }
+  });
+  
+  return duplicate;
+}
+
+/**
+ * 固有名詞を登録
+ */
+async function createProperNoun(db, data) {
+  const entry = validateProperNoun(data);
+  
+  if (await findDuplicate(db, entry.canonical)) {
+    throw createValidationError(`「${entry.canonical}」はすでに登録されています`);
+  }
+  
+  try {
+    const entryRef = db.collection(CONFIG.COLLECTION).doc();
+    
+    await entryRef.set({
+      ...entry,
+      fullNameOnFirstMention: !!entry.fullNameOnFirstMention,
+      isActive: entry.isActive !== false,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+    
+    return { id: entryRef.id };
+  } catch (error) {
+    console.error('固有名詞登録エラー:', error);
+    throw new Error('固有名詞の登録中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 登録済みの項目を取得（存在しない場合は404）
+ */
+async function getExisting(db, id) {
+  const entryRef = db.collection(CONFIG.COLLECTION).doc(id);
+  const snapshot = await entryRef.get();
+  
+  if (!snapshot.exists) {
+    const error = new Error('固有名詞が見つかりません');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return { entryRef, data: snapshot.data() };
+}
+
+/**
+ * 固有名詞を更新（既存の内容とマージしたうえで検証）
+ */
+async function updateProperNoun(db, id, changes) {
+  const { entryRef, data } = await getExisting(db, id);
+  const entry = validateProperNoun(changes, data);
+  
+  if (entry.isActive !== false && await findDuplicate(db, entry.canonical, id)) {
+    throw createValidationError(`「${entry.canonical}」はすでに登録されています`);
+  }
+  
+  try {
+    await entryRef.update({
+      ...entry,
+      updatedAt: Date.now()
+    });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('固有名詞更新エラー:', error);
+    throw new Error('固有名詞の更新中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 固有名詞を無効化（履歴を残すため削除はしない）
+ */
+async function deactivateProperNoun(db, id) {
+  const { entryRef } = await getExisting(db, id);
+  
+  try {
+    await entryRef.update({
+      isActive: false,
+      updatedAt: Date.now()
+    });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('固有名詞無効化エラー:', error);
+    throw new Error('固有名詞の無効化中にエラーが発生しました: ' + error.message);
+  }
+}
+
+module.exports = {
+  CONFIG,
+  validateProperNoun,
+  listProperNouns,
+  createProperNoun,
+  updateProperNoun,
+  deactivateProperNoun
+};
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * TextStation Pro - 読みやすさ指標
+ * 日本語の文字種比率・常用漢字外の漢字・文長・読点密度から読みやすさを評価
+ */
+
+const { kanji: JOYO_KANJI } = require('joyo-kanji');
+
+const JOYO_KANJI_SET = new Set(JOYO_KANJI);
+
+// メディア種別ごとの目標範囲（mediaProfiles の readabilityTargets で上書き可能）
+const DEFAULT_TARGETS = {
+  '一般': {
+    averageSentenceLength: { max: 50 },
+    maxSentenceLength: { max: 100 },
+    kanjiRatio: { min: 0.2, max: 0.45 },
+    nonJoyoRatio: { max: 0.02 },
+    commasPerSentence: { max: 3 }
+  },
+  '放送': {
+    averageSentenceLength: { max: 40 },
+    maxSentenceLength: { max: 60 },
+    kanjiRatio: { max: 0.45 },
+    nonJoyoRatio: { max: 0 },
+    commasPerSentence: { max: 2 }
+  },
+  '新聞': {
+    averageSentenceLength: { max: 50 },
+    maxSentenceLength: { max: 90 },
+    kanjiRatio: { min: 0.3, max: 0.5 },
+    nonJoyoRatio: { max: 0.01 },
+    commasPerSentence: { max: 3 }
+  },
+  '雑誌': {
+    averageSentenceLength: { max: 60 },
+    maxSentenceLength: { max: 120 },
+    kanjiRatio: { min: 0.2, max: 0.45 },
+    nonJoyoRatio: { max: 0.03 },
+    commasPerSentence: { max: 4 }
+  },
+  '広告': {
+    averageSentenceLength: { max: 30 },
+    maxSentenceLength: { max: 50 },
+    kanjiRatio: { max: 0.4 },
+    nonJoyoRatio: { max: 0.01 },
+    commasPerSentence: { max: 2 }
+  }
+};
+
+// 評価対象の指標名
+const METRIC_LABELS = {
+  averageSentenceLength: '平均文長',
+  maxSentenceLength: '最大文長',
+  kanjiRatio: '漢字の比率',
+  nonJoyoRatio: '常用漢字外の漢字の比率',
+  commasPerSentence: '1文あたりの読点数'
+};
+
+/**
+ * 比率を小数第3位までに丸める
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * 文字種の内訳と常用漢字外の漢字を集計
+ */
+function countCharacters(text) {
+  const counts = { total: 0, kanji: 0, hiragana: 0, katakana: 0, other: 0 };
+  const nonJoyo = {};
+  
+  for (const char of text) {
+    if (/\s/.test(char)) continue;
+    
+    counts.total++;
+    
+    if (/[一-鿿㐀-䶿豈-﫿々]/.test(char)) {
+      counts.kanji++;
+      
+      if (char !== '々' && !JOYO_KANJI_SET.has(char)) {
+        nonJoyo[char] = (nonJoyo[char] || 0) + 1;
+      }
+    } else if (/[ぁ-ゟ]/.test(char)) {
+      counts.hiragana++;
+    } else if (/[゠-ヿｦ-ﾟ]/.test(char)) {
+      counts.katakana++;
+    } else {
+      counts.other++;
+    }
+  }
+  
+  return { counts, nonJoyo };
+}
+
+/**
+ * 読みやすさの総合点（0〜100）と等級を算出
+ *
+ * 100点から以下の減点を行う（各項目の減点には上限あり）
+ *   平均文長: 40文字を超えた1文字ごとに1点（上限40点）
+ *   漢字の比率: 40%を超えた1ポイントごとに1.5点（上限30点）
+ *   常用漢字外の漢字の比率: 漢字に占める割合1ポイントごとに2点（上限15点）
+ *   読点の間隔: 読点・句点で区切られた1区間の平均文字数が30文字を超えた1文字ごとに0.5点（上限15点）
+ * 等級は A（85点以上）/ B（70点以上）/ C（55点以上）/ D（55点未満）
+ */
+function calculateGrade(metrics) {
+  const penalties = {
+    sentenceLength: Math.min(40, Math.max(0, metrics.averageSentenceLength - 40)),
+    kanji: Math.min(30, Math.max(0, metrics.kanjiRatio * 100 - 40) * 1.5),
+    nonJoyo: Math.min(15, metrics.nonJoyoKanjiShare * 100 * 2),
+    commas: Math.min(15, Math.max(0, metrics.charsPerClause - 30) * 0.5)
+  };
+  
+  const score = Math.max(0, Math.round(100 - Object.values(penalties).reduce((sum, value) => sum + value, 0)));
+  
+  Object.keys(penalties).forEach(key => {
+    penalties[key] = Math.round(penalties[key] * 10) / 10;
+  });
+  
+  let grade = 'D';
+  if (score >= 85) {
+    grade = 'A';
+  } else if (score >= 70) {
+    grade = 'B';
+  } else if (score >= 55) {
+    grade = 'C';
+  }
+  
+  return { score, grade, penalties };
+}
+
+/**
+ * メディア種別の目標範囲を取得（Firestoreの設定で項目ごとに上書き）
+ */
+function getTargets(mediaType, overrides) {
+  const defaults = DEFAULT_TARGETS[mediaType] || DEFAULT_TARGETS['一般'];
+  return { ...defaults, ...(overrides || {}) };
+}
+
+/**
+ * 指標を目標範囲と比較
+ */
+function evaluateMetrics(metrics, targets) {
+  return Object.entries(targets)
+    .filter(([metric]) => metrics[metric] !== undefined)
+    .map(([metric, range]) => {
+      const value = metrics[metric];
+      let status = 'ok';
+      
+      if (range.max !== undefined && value > range.max) {
+        status = 'high';
+      } else if (range.min !== undefined && value < range.min) {
+        status = 'low';
+      }
+      
+      return {
+        metric,
+        label: METRIC_LABELS[metric] || metric,
+        value,
+        min: range.min,
+        max: range.max,
+        status
+      };
+    });
+}
+
+/**
+ * 読みやすさ指標を算出
+ * sentences は splitSentences の結果（各文の text を使用）
+ */
+function analyzeReadability(text, sentences, mediaType, targetOverrides) {
+  const { counts, nonJoyo } = countCharacters(text);
+  const sentenceLengths = sentences.map(sentence => sentence.text.replace(/\s/g, '').length);
+  const commaCount = (text.match(/[、，]/g) || []).length;
+  const nonJoyoCount = Object.values(nonJoyo).reduce((sum, count) => sum + count, 0);
+  const sentenceCount = sentences.length;
+  
+  const metrics = {
+    characterCount: counts.total,
+    sentenceCount,
+    kanjiRatio: counts.total ? round(counts.kanji / counts.total) : 0,
+    hiraganaRatio: counts.total ? round(counts.hiragana / counts.total) : 0,
+    katakanaRatio: counts.total ? round(counts.katakana / counts.total) : 0,
+    otherRatio: counts.total ? round(counts.other / counts.total) : 0,
+    nonJoyoKanjiCount: nonJoyoCount,
+    nonJoyoKanjiShare: counts.kanji ? round(nonJoyoCount / counts.kanji) : 0,
+    nonJoyoRatio: counts.total ? round(nonJoyoCount / counts.total) : 0,
+    nonJoyoKanji: Object.keys(nonJoyo),
+    averageSentenceLength: sentenceCount
+      ? Math.round(sentenceLengths.reduce((sum, length) => sum + length, 0) / sentenceCount * 10) / 10
+      : 0,
+    maxSentenceLength: sentenceCount ? Math.max(...sentenceLengths) : 0,
+    commaCount,
+    commasPerSentence: sentenceCount ? Math.round(commaCount / sentenceCount * 100) / 100 : 0,
+    charsPerClause: Math.round(counts.total / (commaCount + sentenceCount || 1) * 10) / 10
+  };
+  
+  const targets = getTargets(mediaType, targetOverrides);
+  
+  return {
+    metrics,
+    ...calculateGrade(metrics),
+    targets,
+    evaluations: evaluateMetrics(metrics, targets)
+  };
+}
+
+module.exports = {
+  DEFAULT_TARGETS,
+  getTargets,
+  analyzeReadability
+};
\ No newline at end of file
@@ -0,0 +1,314 @@
+/**
+ * TextStation Pro - 正規表現の安全性チェック
+ * 利用者が登録する正規表現の構文とReDoS（破滅的バックトラック）の危険性を検証
+ */
+
+// 設定
+const CONFIG = {
+  MAX_PATTERN_LENGTH: 500,   // 正規表現パターンの最大長
+  MAX_BOUNDED_REPEAT: 1000   // {n,m} の上限値（これを超える繰り返しは上限なしとみなす）
+};
+
+// 選択肢の先頭の文字が重なるかを調べるための文字（パターン中の文字も加える）
+const PROBE_CHARACTERS = Array.from({ length: 0x7F - 0x20 }, (_, i) => String.fromCharCode(0x20 + i))
+  .concat(['\t', '\n', 'あ', 'ア', 'ｱ', '亜', '一', '　', '。', '、', '１', 'Ａ', 'ａ']);
+
+/**
+ * 正規表現の量指定子を読み取る（量指定子でなければ null）
+ * optional は0回を許すか、repeats は2回以上の繰り返しを許すか、unbounded は上限なし（または上限が非常に大きい）か
+ */
+function readQuantifier(pattern, index) {
+  const char = pattern[index];
+  let min;
+  let max;
+  let length;
+  
+  if (char === '*' || char === '+') {
+    min = char === '*' ? 0 : 1;
+    max = Infinity;
+    length = 1;
+  } else if (char === '?') {
+    min = 0;
+    max = 1;
+    length = 1;
+  } else if (char === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (!match) return null;
+    
+    min = Number(match[1]);
+    max = match[2] === undefined ? Number(match[1]) : (match[3] === '' ? Infinity : Number(match[3]));
+    length = match[0].length;
+  } else {
+    return null;
+  }
+  
+  // 最短一致の ? を含める
+  if (pattern[index + length] === '?') {
+    length++;
+  }
+  
+  return {
+    optional: min === 0,
+    repeats: max > 1,
+    unbounded: max > CONFIG.MAX_BOUNDED_REPEAT,
+    length
+  };
+}
+
+/**
+ * index から始まる1つの要素（文字・エスケープ・文字クラス・グループ）の終わりの位置
+ */
+function atomEnd(pattern, index) {
+  const char = pattern[index];
+  
+  if (char === '\\') {
+    const escape = /^\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|[\s\S])/.exec(pattern.slice(index));
+    return index + (escape ? escape[0].length : 1);
+  }
+  
+  if (char === '[') {
+    let end = index + 1;
+    
+    if (pattern[end] === ']') end++;
+    while (end < pattern.length && pattern[end] !== ']') {
+      end += pattern[end] === '\\' ? 2 : 1;
+    }
+    
+    return end + 1;
+  }
+  
+  if (char === '(') {
+    let depth = 0;
+    let end = index;
+    
+    while (end < pattern.length) {
+      if (pattern[end] === '\\' || pattern[end] === '[') {
+        end = atomEnd(pattern, end);
+        continue;
+      }
+      
+      if (pattern[end] === '(') depth++;
+      if (pattern[end] === ')' && --depth === 0) return end + 1;
+      end++;
+    }
+    
+    return end;
+  }
+  
+  return index + 1;
+}
+
+/**
+ * グループの中身を最上位の | で選択肢に分割
+ */
+function splitAlternatives(body) {
+  const alternatives = [];
+  let start = 0;
+  let index = 0;
+  
+  while (index < body.length) {
+    if (body[index] === '|') {
+      alternatives.push(body.slice(start, index));
+      start = index + 1;
+      index++;
+    } else {
+      index = atomEnd(body, index);
+    }
+  }
+  
+  alternatives.push(body.slice(start));
+  return alternatives;
+}
+
+/**
+ * グループの中身（先読み・後読みの場合は null）
+ */
+function groupBody(group) {
+  const inner = group.slice(1, -1);
+  
+  if (/^\?(=|!|<=|<!)/.test(inner)) return null;
+  
+  const prefix = /^\?(:|<[A-Za-z_$][\w$]*>)/.exec(inner);
+  return prefix ? inner.slice(prefix[0].length) : inner;
+}
+
+/**
+ * 選択肢の先頭に来うる要素の一覧（判定できない場合は null）
+ * 0回を許す要素の場合は、その次の要素も先頭に来うるものとして含める
+ */
+function firstAtoms(alternative) {
+  const atoms = [];
+  let index = 0;
+  
+  while (index < alternative.length) {
+    if (alternative[index] === '^' || alternative[index] === '$' || /^\\[bB]/.test(alternative.slice(index))) {
+      index += alternative[index] === '\\' ? 2 : 1;
+      continue;
+    }
+    
+    const end = atomEnd(alternative, index);
+    const atom = alternative.slice(index, end);
+    
+    if (atom[0] === '(') {
+      const body = groupBody(atom);
+      if (body === null) return null;
+      
+      for (const inner of splitAlternatives(body)) {
+        const innerAtoms = firstAtoms(inner);
+        if (innerAtoms === null) return null;
+        atoms.push(...innerAtoms);
+      }
+    } else {
+      atoms.push(atom);
+    }
+    
+    const quantifier = readQuantifier(alternative, end);
+    if (!quantifier || !quantifier.optional) return atoms;
+    
+    index = end + quantifier.length;
+  }
+  
+  return atoms;
+}
+
+/**
+ * グループの選択肢同士が同じ文字で始まりうるか（(a|aa)* のように繰り返すと一致の仕方が爆発的に増える）
+ */
+function hasOverlappingAlternatives(body, pattern) {
+  const alternatives = splitAlternatives(body);
+  if (alternatives.length < 2) return false;
+  
+  const probes = PROBE_CHARACTERS.concat(Array.from(pattern));
+  const matchers = [];
+  
+  for (const alternative of alternatives) {
+    const atoms = firstAtoms(alternative);
+    if (atoms === null) return true;
+    
+    try {
+      const regexes = atoms.map(atom => new RegExp(`^(?:${atom})$`));
+      matchers.push(char => regexes.some(regex => regex.test(char)));
+    } catch (error) {
+      return true;
+    }
+  }
+  
+  return probes.some(char => matchers.filter(matches => matches(char)).length > 1);
+}
+
+/**
+ * 2つの要素（文字・エスケープ・文字クラス）が同じ文字に一致しうるか
+ */
+function atomsOverlap(a, b, pattern) {
+  try {
+    const first = new RegExp(`^(?:${a})$`);
+    const second = new RegExp(`^(?:${b})$`);
+    
+    return PROBE_CHARACTERS.concat(Array.from(pattern)).some(char => first.test(char) && second.test(char));
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * 正規表現がReDoS（破滅的バックトラック）を起こしうる構造かを判定
+ * 次の構造を危険とみなす
+ *   繰り返しを含むグループを上限なしで繰り返す「入れ子の量指定子」（(a+)+）
+ *   上限なしの繰り返しを含むグループを繰り返す（(.*a){20}）
+ *   同じ文字で始まりうる選択肢を持つグループを繰り返す（(a|aa)+）
+ *   同じ文字に一致しうる上限なしの繰り返しを並べる（.*.*x、\d+\d+$）
+ */
+function checkPatternSafety(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    return { safe: false, reason: 'パターンが空です' };
+  }
+  
+  if (pattern.length > CONFIG.MAX_PATTERN_LENGTH) {
+    return { safe: false, reason: `パターンが長すぎます（最大${CONFIG.MAX_PATTERN_LENGTH}文字）` };
+  }
+  
+  try {
+    new RegExp(pattern, 'g');
+  } catch (error) {
+    return { safe: false, reason: '正規表現の構文エラー: ' + error.message };
+  }
+  
+  // グループごとに内部で繰り返し・上限なしの繰り返しが使われているかと、
+  // 直前に並んでいる上限なしの繰り返しの要素（間に必ず一致する要素がないもの）を記録
+  const stack = [{ repeats: false, unbounded: false, start: 0, run: [] }];
+  let index = 0;
+  
+  while (index < pattern.length) {
+    const char = pattern[index];
+    const atomStart = index;
+    let group = null;
+    
+    if (char === '\\') {
+      index += 2;
+    } else if (char === '[') {
+      // 文字クラスは終わりの ] まで読み飛ばす
+      index++;
+      while (index < pattern.length && pattern[index] !== ']') {
+        index += pattern[index] === '\\' ? 2 : 1;
+      }
+      index++;
+    } else if (char === '(') {
+      stack.push({ repeats: false, unbounded: false, start: index, run: [] });
+      index++;
+      continue;
+    } else if (char === ')') {
+      group = stack.pop();
+      group.body = groupBody(pattern.slice(group.start, index + 1));
+      index++;
+    } else if (char === '|') {
+      stack[stack.length - 1].run = [];
+      index++;
+      continue;
+    } else {
+      index++;
+    }
+    
+    const atom = group ? null : pattern.slice(atomStart, index);
+    const quantifier = readQuantifier(pattern, index);
+    const parent = stack[stack.length - 1];
+    
+    // 上限なしの繰り返しが並ぶと、それぞれが何文字ずつ一致するかの分け方が文字数の累乗で増える
+    // 1回以上の繰り返し（+）はその前の要素との間に必ず一致するため、それより前の要素とは並んでいないものとする
+    if (atom && quantifier && quantifier.unbounded) {
+      if (parent.run.some(previous => atomsOverlap(previous, atom, pattern))) {
+        return { safe: false, reason: '同じ文字に一致しうる上限なしの繰り返しが並んでいます（破滅的バックトラックの恐れ）' };
+      }
+      
+      parent.run = quantifier.optional ? [...parent.run, atom] : [atom];
+    } else if (!quantifier || !quantifier.optional) {
+      parent.run = [];
+    }
+    
+    if (quantifier) {
+      if (group && ((group.repeats && quantifier.unbounded) || (group.unbounded && quantifier.repeats))) {
+        return { safe: false, reason: '繰り返しを含むグループが繰り返されています（破滅的バックトラックの恐れ）' };
+      }
+      
+      if (group && group.body !== null && quantifier.repeats && hasOverlappingAlternatives(group.body, pattern)) {
+        return { safe: false, reason: '同じ文字で始まりうる選択肢を持つグループが繰り返されています（破滅的バックトラックの恐れ）' };
+      }
+      
+      index += quantifier.length;
+    }
+    
+    if ((group && group.repeats) || (quantifier && quantifier.repeats)) {
+      parent.repeats = true;
+    }
+    
+    if ((group && group.unbounded) || (quantifier && quantifier.unbounded)) {
+      parent.unbounded = true;
+    }
+  }
+  
+  return { safe: true };
+}
+
+module.exports = {
+  CONFIG,
+  checkPatternSafety
+};
\ No newline at end of file
@@ -0,0 +1,250 @@
+/**
+ * TextStation Pro - スタイルルールのキャッシュ
+ * メディア種別ごとのルールを正規表現コンパイル済みの状態でプロセス内に保持
+ */
+
+const textProcessor = require('./text-processor');
+const { checkPatternSafety } = require('./regex-safety');
+
+// 設定
+const CONFIG = {
+  TTL_MS: 10 * 60 * 1000,   // キャッシュの有効期間（ミリ秒）
+  MAX_ENTRIES: 50,          // キャッシュするメディア種別の最大数（リクエストで任意の値を指定できるため、超える分は最も使われていないものから削除）
+  MEDIA_TYPES: textProcessor.MEDIA_TYPES,                 // 起動時に読み込むメディア種別
+  WATCHED_COLLECTIONS: ['styleRules', 'mediaProfiles', 'properNouns']     // 変更を監視するコレクション
+};
+
+// メディア種別ごとのキャッシュ（最近使われた順に並べる）
+const cache = new Map();
+
+// 読み込み中のPromise（同時リクエストで重複して読み込まないため）
+const pending = new Map();
+
+// キャッシュ破棄の世代（破棄前に始まった読み込み結果を格納しないため）
+let generation = 0;
+
+// 統計情報
+const stats = {
+  hits: 0,
+  misses: 0,
+  reloads: 0,
+  invalidations: 0,
+  errors: 0,
+  lastReloadAt: null,
+  lastInvalidatedAt: null
+};
+
+// スナップショットリスナーの解除関数
+let unsubscribers = [];
+
+/**
+ * ルールの正規表現を事前にコンパイル
+ * 構文エラーやReDoSの恐れがあるパターンはコンパイルせず、分析結果でエラーとして報告させる
+ */
+function compileRules(rules) {
+  const compile = rule => {
+    const safety = checkPatternSafety(rule.pattern);
+    
+    if (safety.safe) {
+      rule.regex = new RegExp(rule.pattern, 'g');
+    } else {
+      rule.error = safety.reason;
+    }
+  };
+  
+  rules.ambiguousPhrases.forEach(compile);
+  rules.mediaSpecificRules.forEach(compile);
+  
+  return rules;
+}
+
+/**
+ * キャッシュのキー（一般とメディア種別未指定は同じ扱い）
+ */
+function cacheKey(mediaType) {
+  return mediaType || '一般';
+}
+
+/**
+ * ルールをキャッシュに格納（期限切れの項目を削除し、上限を超える場合は最も使われていない項目から削除）
+ */
+function storeRules(key, rules) {
+  const now = Date.now();
+  
+  cache.forEach((entry, cachedKey) => {
+    if (now - entry.loadedAt >= CONFIG.TTL_MS) {
+      cache.delete(cachedKey);
+    }
+  });
+  
+  cache.delete(key);
+  
+  while (cache.size >= CONFIG.MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  
+  cache.set(key, { rules, loadedAt: now });
+}
+
+/**
+ * Firestoreからルールを読み込んでキャッシュに格納
+ */
+async function loadIntoCache(db, mediaType) {
+  const key = cacheKey(mediaType);
+  
+  if (pending.has(key)) return pending.get(key);
+  
+  const startedGeneration = generation;
+  const loading = (async () => {
+    try {
+      const rules = compileRules(await textProcessor.loadMediaRules(db, key));
+      
+      if (startedGeneration === generation) {
+        storeRules(key, rules);
+      }
+      
+      stats.reloads++;
+      stats.lastReloadAt = Date.now();
+      return rules;
+    } catch (error) {
+      stats.errors++;
+      console.error('ルールキャッシュ読み込みエラー:', error);
+      
+      // 読み込みに失敗した場合は古いキャッシュがあればそれを使う
+      const stale = cache.get(key);
+      return stale ? stale.rules : textProcessor.createEmptyRules(key);
+    } finally {
+      if (pending.get(key) === loading) {
+        pending.delete(key);
+      }
+    }
+  })();
+  
+  pending.set(key, loading);
+  return loading;
+}
+
+/**
+ * メディア種別に応じたルールを取得（キャッシュが有効ならFirestoreを読まない）
+ */
+async function getRules(db, mediaType) {
+  const key = cacheKey(mediaType);
+  const entry = cache.get(key);
+  
+  if (entry && Date.now() - entry.loadedAt < CONFIG.TTL_MS) {
+    // 最近使われた項目として末尾に移す
+    cache.delete(key);
+    cache.set(key, entry);
+    
+    stats.hits++;
+    return entry.rules;
+  }
+  
+  stats.misses++;
+  return loadIntoCache(db, mediaType);
+}
+
+/**
+ * キャッシュを破棄（メディア種別の指定がなければすべて）
+ */
+function invalidate(mediaType) {
+  if (mediaType) {
+    cache.delete(cacheKey(mediaType));
+    pending.delete(cacheKey(mediaType));
+  } else {
+    cache.clear();
+    pending.clear();
+  }
+  
+  generation++;
+  stats.invalidations++;
+  stats.lastInvalidatedAt = Date.now();
+}
+
+/**
+ * キャッシュを破棄して再読み込み
+ */
+async function reload(db, mediaType) {
+  invalidate(mediaType);
+  
+  const mediaTypes = mediaType ? [cacheKey(mediaType)] : CONFIG.MEDIA_TYPES;
+  await Promise.all(mediaTypes.map(type => loadIntoCache(db, type)));
+  
+  return getStats();
+}
+
+/**
+ * ルールの変更をFirestoreのスナップショットリスナーで監視
+ */
+function watch(db) {
+  if (unsubscribers.length > 0) return;
+  
+  unsubscribers = CONFIG.WATCHED_COLLECTIONS.map(collection => {
+    let initialized = false;
+    
+    return db.collection(collection).onSnapshot(() => {
+      // 初回のスナップショットは現在の状態なので無視
+      if (!initialized) {
+        initialized = true;
+        return;
+      }
+      
+      console.log(`${collection} の変更を検知したためルールキャッシュを破棄しました`);
+      invalidate();
+    }, error => {
+      // 監視できない場合もTTLによる更新は継続
+      stats.errors++;
+      console.error('ルール監視エラー:', error);
+    });
+  });
+}
+
+/**
+ * ルールの監視を停止
+ */
+function unwatch() {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+}
+
+/**
+ * 起動時にすべてのメディア種別のルールを読み込み、監視を開始
+ */
+async function warmUp(db) {
+  await Promise.all(CONFIG.MEDIA_TYPES.map(mediaType => loadIntoCache(db, mediaType)));
+  watch(db);
+}
+
+/**
+ * キャッシュの統計情報を取得
+ */
+function getStats() {
+  const lookups = stats.hits + stats.misses;
+  
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? Math.round(stats.hits / lookups * 1000) / 1000 : 0,
+    watching: unsubscribers.length > 0,
+    ttlMs: CONFIG.TTL_MS,
+    entries: Array.from(cache.entries()).map(([mediaType, entry]) => ({
+      mediaType,
+      loadedAt: entry.loadedAt,
+      ruleCount: entry.rules.ambiguousPhrases.length +
+                 entry.rules.repetitivePatterns.length +
+                 entry.rules.mediaSpecificRules.length +
+                 entry.rules.notationVariants.length,
+      properNounCount: entry.rules.properNouns.length
+    }))
+  };
+}
+
+module.exports = {
+  CONFIG,
+  getRules,
+  invalidate,
+  reload,
+  watch,
+  unwatch,
+  warmUp,
+  getStats
+};
\ No newline at end of file
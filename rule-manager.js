@@ -0,0 +1,255 @@
+/**
+ * TextStation Pro - スタイルルール管理
+ * styleRules の一覧・作成・更新・無効化と、パターンの検証（ReDoS対策を含む）を提供
+ */
+
+const { MEDIA_TYPES } = require('./text-processor');
+const { SEVERITY_LEVELS } = require('./scoring');
+const { checkPatternSafety } = require('./regex-safety');
+const ruleTester = require('./rule-tester');
+
+// ルールの種類
+const RULE_TYPES = ['ambiguousPhrase', 'repetitivePattern', 'mediaSpecific', 'notationVariant'];
+
+/**
+ * 入力エラーを生成（APIでは400として返す）
+ */
+function createValidationError(message, details) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+}
+
+/**
+ * ルールの内容を検証し、保存用のデータを返す
+ * existing を指定した場合は既存の内容に変更をマージしてから検証
+ */
+function validateRule(data, existing = {}) {
+  const rule = { ...existing, ...data };
+  const errors = [];
+  
+  if (!RULE_TYPES.includes(rule.type)) {
+    errors.push(`type は ${RULE_TYPES.join(' / ')} のいずれかを指定してください`);
+  }
+  
+  if (!Array.isArray(rule.mediaTypes) || rule.mediaTypes.length === 0) {
+    errors.push('mediaTypes には1つ以上のメディア種別を指定してください');
+  } else {
+    const unknown = rule.mediaTypes.filter(mediaType => !MEDIA_TYPES.includes(mediaType));
+    if (unknown.length > 0) {
+      errors.push(`不明なメディア種別です: ${unknown.join(', ')}`);
+    }
+  }
+  
+  if (rule.severity !== undefined && !SEVERITY_LEVELS.includes(rule.severity)) {
+    errors.push(`severity は ${SEVERITY_LEVELS.join(' / ')} のいずれかを指定してください`);
+  }
+  
+  if (rule.replacement !== undefined && typeof rule.replacement !== 'string') {
+    errors.push('replacement は文字列で指定してください');
+  }
+  
+  const checkPattern = (pattern, label) => {
+    const safety = checkPatternSafety(pattern);
+    if (!safety.safe) {
+      errors.push(`${label}: ${safety.reason}`);
+    }
+  };
+  
+  if (rule.type === 'ambiguousPhrase') {
+    if (typeof rule.text !== 'string' || rule.text.trim() === '') {
+      errors.push('text は必須です');
+    }
+    
+    // text は文字どおりに照合する（正規表現を使う場合は pattern を指定）
+    if (rule.pattern !== undefined && rule.pattern !== null) {
+      checkPattern(rule.pattern, 'pattern');
+    }
+  } else if (rule.type === 'repetitivePattern' || rule.type === 'mediaSpecific') {
+    checkPattern(rule.pattern, 'pattern');
+  } else if (rule.type === 'notationVariant') {
+    if (typeof rule.reading !== 'string' || rule.reading.trim() === '') {
+      errors.push('reading は必須です');
+    }
+    
+    if (!Array.isArray(rule.variants) || rule.variants.length < 2) {
+      errors.push('variants には2つ以上の表記を指定してください');
+    } else {
+      rule.variants.forEach((variant, index) => {
+        if (typeof variant === 'string') return;
+        
+        if (!variant || typeof variant.form !== 'string') {
+          errors.push(`variants[${index}] は文字列または { form, pattern } で指定してください`);
+        } else if (variant.pattern !== undefined) {
+          checkPattern(variant.pattern, `variants[${index}].pattern`);
+        }
+      });
+    }
+  }
+  
+  if (rule.examples !== undefined && rule.examples !== null) {
+    if (typeof rule.examples !== 'object' || Array.isArray(rule.examples)) {
+      errors.push('examples は { shouldMatch, shouldNotMatch } で指定してください');
+    } else {
+      ['shouldMatch', 'shouldNotMatch'].forEach(key => {
+        const examples = rule.examples[key];
+        
+        if (examples === undefined) return;
+        
+        if (!Array.isArray(examples) || examples.some(example => typeof example !== 'string' || example.trim() === '')) {
+          errors.push(`examples.${key} は空でない文字列の配列で指定してください`);
+        }
+      });
+    }
+  }
+  
+  if (errors.length > 0) {
+    throw createValidationError('ルールの内容が不正です', errors);
+  }
+  
+  return rule;
+}
+
+/**
+ * ルール自身の例文テストを実行し、失敗した場合は入力エラーとする
+ */
+async function assertExamplesPass(rule) {
+  const result = await ruleTester.testRule(rule);
+  
+  if (!result.passed) {
+    throw createValidationError('ルールの例文テストに失敗しました', result.failures);
+  }
+}
+
+/**
+ * ルール一覧を取得
+ */
+async function listRules(db, filters = {}) {
+  try {
+    let query = db.collection('styleRules');
+    
+    if (!filters.includeInactive) {
+      query = query.where('isActive', '==', true);
+    }
+    
+    if (filters.mediaType) {
+      query = query.where('mediaTypes', 'array-contains', filters.mediaType);
+    }
+    
+    const snapshot = await query.get();
+    
+    const rules = [];
+    
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      
+      if (filters.type && data.type !== filters.type) return;
+      
+      rules.push({ id: doc.id, ...data });
+    });
+    
+    return rules;
+  } catch (error) {
+    console.error('ルール一覧取得エラー:', error);
+    throw new Error('ルール一覧の取得中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * ルールを作成
+ */
+async function createRule(db, ruleData) {
+  const rule = validateRule(ruleData);
+  await assertExamplesPass(rule);
+  
+  try {
+    const ruleRef = db.collection('styleRules').doc();
+    
+    await ruleRef.set({
+      ...rule,
+      isActive: rule.isActive !== false,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+    
+    return { id: ruleRef.id };
+  } catch (error) {
+    console.error('ルール作成エラー:', error);
+    throw new Error('ルールの作成中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * ルールを更新（既存の内容とマージしたうえで検証）
+ */
+async function updateRule(db, id, changes) {
+  const ruleRef = db.collection('styleRules').doc(id);
+  const snapshot = await ruleRef.get();
+  
+  if (!snapshot.exists) {
+    const error = new Error('ルールが見つかりません');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  const rule = validateRule(changes, snapshot.data());
+  await assertExamplesPass(rule);
+  
+  try {
+    await ruleRef.update({
+      ...rule,
+      updatedAt: Date.now()
+    });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('ルール更新エラー:', error);
+    throw new Error('ルールの更新中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 有効なルールをそれぞれの例文で検証
+ */
+async function testActiveRules(db, filters = {}) {
+  const rules = await listRules(db, { type: filters.type, mediaType: filters.mediaType });
+  return ruleTester.testRules(rules);
+}
+
+/**
+ * ルールを無効化（履歴を残すため削除はしない）
+ */
+async function deactivateRule(db, id) {
+  const ruleRef = db.collection('styleRules').doc(id);
+  const snapshot = await ruleRef.get();
+  
+  if (!snapshot.exists) {
+    const error = new Error('ルールが見つかりません');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  try {
+    await ruleRef.update({
+      isActive: false,
+      updatedAt: Date.now()
+    });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('ルール無効化エラー:', error);
+    throw new Error('ルールの無効化中にエラーが発生しました: ' + error.message);
+  }
+}
+
+module.exports = {
+  RULE_TYPES,
+  createValidationError,
+  validateRule,
+  listRules,
+  createRule,
+  updateRule,
+  deactivateRule,
+  testActiveRules
+};
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * TextStation Pro - スタイルルールの例文テスト
+ * ルールに登録された「検出すべき文」「検出してはならない文」を analyzeText で照合して検証
+ */
+
+const textProcessor = require('./text-processor');
+
+// ルールの種類ごとに、分析結果で対応する指摘の種類
+const ISSUE_TYPES = {
+  ambiguousPhrase: 'ambiguousPhrase',
+  mediaSpecific: 'mediaSpecific',
+  notationVariant: 'notationInconsistency'
+};
+
+/**
+ * 分析結果の指摘に記録されるルールの識別子を取得
+ */
+function getIssueRule(rule) {
+  if (rule.type === 'ambiguousPhrase') return rule.text;
+  if (rule.type === 'notationVariant') return rule.reading;
+  return rule.pattern;
+}
+
+/**
+ * ルールの例文を取得（未登録の場合は空）
+ */
+function getExamples(rule) {
+  const examples = rule.examples || {};
+  
+  return {
+    shouldMatch: examples.shouldMatch || [],
+    shouldNotMatch: examples.shouldNotMatch || []
+  };
+}
+
+/**
+ * 1つのルールを例文で検証
+ * そのルールだけを含むルールセットで analyzeText を実行し、指摘の有無を確認する
+ */
+async function testRule(rule) {
+  const examples = getExamples(rule);
+  const issueType = ISSUE_TYPES[rule.type];
+  const issueRule = getIssueRule(rule);
+  
+  const result = {
+    id: rule.id,
+    type: rule.type,
+    rule: issueRule,
+    exampleCount: examples.shouldMatch.length + examples.shouldNotMatch.length,
+    passed: true,
+    skipped: false,
+    failures: []
+  };
+  
+  if (result.exampleCount === 0) {
+    return result;
+  }
+  
+  // repetitivePattern は分析で照合されないため例文を検証できない
+  if (!issueType) {
+    result.skipped = true;
+    result.reason = `${rule.type} のルールは分析で照合されないため例文を検証できません`;
+    return result;
+  }
+  
+  try {
+    const rules = textProcessor.addStyleRule(textProcessor.createEmptyRules(), rule);
+    
+    const check = async (example, expected) => {
+      const analysis = await textProcessor.analyzeText(example, rules, false);
+      
+      if (analysis.ruleErrors.length > 0) {
+        result.failures.push({
+          example,
+          expected,
+          message: analysis.ruleErrors.map(error => error.message).join(' / ')
+        });
+        return;
+      }
+      
+      const matches = analysis.issues
+        .filter(issue => issue.type === issueType && issue.rule === issueRule)
+        .map(issue => issue.text);
+      
+      if (expected === 'match' && matches.length === 0) {
+        result.failures.push({ example, expected, message: '検出されませんでした' });
+      } else if (expected === 'noMatch' && matches.length > 0) {
+        result.failures.push({ example, expected, matches, message: `「${matches.join('」「')}」が検出されました` });
+      }
+    };
+    
+    for (const example of examples.shouldMatch) {
+      await check(example, 'match');
+    }
+    
+    for (const example of examples.shouldNotMatch) {
+      await check(example, 'noMatch');
+    }
+    
+    result.passed = result.failures.length === 0;
+    return result;
+  } catch (error) {
+    console.error('ルールテストエラー:', error);
+    throw new Error('ルールのテスト中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 複数のルールを例文で検証し、結果を集計
+ */
+async function testRules(rules) {
+  const results = [];
+  
+  // 形態素解析を伴うため1件ずつ順に実行
+  for (const rule of rules) {
+    results.push(await testRule(rule));
+  }
+  
+  return {
+    total: results.length,
+    passed: results.filter(result => result.passed && !result.skipped && result.exampleCount > 0).length,
+    failed: results.filter(result => !result.passed).length,
+    skipped: results.filter(result => result.skipped).length,
+    withoutExamples: results.filter(result => result.exampleCount === 0).length,
+    results
+  };
+}
+
+module.exports = {
+  testRule,
+  testRules
+};
\ No newline at end of file
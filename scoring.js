@@ -0,0 +1,119 @@
+/**
+ * TextStation Pro - スコア計算
+ * 重要度と出現回数に応じた減点でメディア適合スコアを算出
+ */
+
+// 設定
+const CONFIG = {
+  MAX_SCORE: 100,
+  DEFAULT_SEVERITY: 'minor',
+  DIMINISHING_FACTOR: 0.6   // 同じ指摘が繰り返されるたびに減点をこの割合で逓減
+};
+
+// 重要度ごとの1回目の減点（mediaProfiles の severityWeights で上書き可能）
+const DEFAULT_SEVERITY_WEIGHTS = {
+  info: 1,
+  minor: 3,
+  major: 6,
+  critical: 15
+};
+
+// 重要度の一覧
+const SEVERITY_LEVELS = Object.keys(DEFAULT_SEVERITY_WEIGHTS);
+
+// 指摘の種類ごとの表示名
+const CATEGORY_LABELS = {
+  ambiguousPhrase: '曖昧な表現',
+  repetitiveEnding: '語尾の重複',
+  mediaSpecific: 'メディア固有ルール',
+  notationInconsistency: '表記ゆれ',
+  measurement: '分量',
+  factConsistency: '日付・数値の整合性',
+  properNoun: '固有名詞'
+};
+
+/**
+ * 重要度の値を検証し、不正な場合は既定値を返す
+ */
+function normalizeSeverity(severity) {
+  return Object.prototype.hasOwnProperty.call(DEFAULT_SEVERITY_WEIGHTS, severity)
+    ? severity
+    : CONFIG.DEFAULT_SEVERITY;
+}
+
+/**
+ * 出現回数に応じた逓減込みの減点を算出
+ * 1回目は重みそのまま、以降は DIMINISHING_FACTOR 倍ずつ小さくなる（等比級数の和）
+ */
+function diminishingPenalty(weight, count, factor) {
+  if (count <= 0) return 0;
+  if (factor >= 1) return weight * count;
+  
+  return weight * (1 - Math.pow(factor, count)) / (1 - factor);
+}
+
+/**
+ * スコアと種類別の内訳を算出
+ * groups は { category, rule, severity, count } の一覧
+ * profile は mediaProfiles の設定（severityWeights, categoryWeights, diminishingFactor）
+ */
+function calculateScore(groups, profile = {}) {
+  const severityWeights = { ...DEFAULT_SEVERITY_WEIGHTS, ...(profile.severityWeights || {}) };
+  const categoryWeights = profile.categoryWeights || {};
+  const factor = typeof profile.diminishingFactor === 'number'
+    ? profile.diminishingFactor
+    : CONFIG.DIMINISHING_FACTOR;
+  
+  const categories = {};
+  
+  groups.forEach(group => {
+    const severity = normalizeSeverity(group.severity);
+    const categoryWeight = typeof categoryWeights[group.category] === 'number' ? categoryWeights[group.category] : 1;
+    const penalty = diminishingPenalty(severityWeights[severity] * categoryWeight, group.count, factor);
+    
+    if (!categories[group.category]) {
+      categories[group.category] = {
+        category: group.category,
+        label: CATEGORY_LABELS[group.category] || group.category,
+        penalty: 0,
+        issueCount: 0,
+        rules: []
+      };
+    }
+    
+    const category = categories[group.category];
+    category.penalty += penalty;
+    category.issueCount += group.count;
+    category.rules.push({
+      rule: group.rule,
+      severity,
+      count: group.count,
+      penalty: Math.round(penalty * 10) / 10
+    });
+  });
+  
+  const breakdown = Object.values(categories)
+    .map(category => ({
+      ...category,
+      penalty: Math.round(category.penalty * 10) / 10,
+      rules: category.rules.sort((a, b) => b.penalty - a.penalty)
+    }))
+    .sort((a, b) => b.penalty - a.penalty);
+  
+  const totalPenalty = breakdown.reduce((sum, category) => sum + category.penalty, 0);
+  
+  return {
+    score: Math.max(0, Math.round(CONFIG.MAX_SCORE - totalPenalty)),
+    maxScore: CONFIG.MAX_SCORE,
+    totalPenalty: Math.round(totalPenalty * 10) / 10,
+    breakdown
+  };
+}
+
+module.exports = {
+  CONFIG,
+  SEVERITY_LEVELS,
+  CATEGORY_LABELS,
+  normalizeSeverity,
+  calculateScore
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * TextStation Pro - スタイルルール例文テスト（CLI）
+ * 有効なルールをそれぞれの例文で検証し、失敗があれば終了コード1で終了
+ *
+ * 使い方: npm run test:rules -- [--type ambiguousPhrase] [--media 放送]
+ */
+
+const admin = require('firebase-admin');
+const ruleManager = require('../rule-manager');
+
+/**
+ * コマンドライン引数を解析
+ */
+function parseArgs(argv) {
+  const options = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--type') {
+      options.type = argv[++i];
+    } else if (argv[i] === '--media') {
+      options.mediaType = argv[++i];
+    }
+  }
+  
+  return options;
+}
+
+async function main() {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL
+    })
+  });
+  
+  const report = await ruleManager.testActiveRules(admin.firestore(), parseArgs(process.argv.slice(2)));
+  
+  report.results.forEach(result => {
+    if (result.exampleCount === 0) return;
+    
+    const label = result.skipped ? 'SKIP' : (result.passed ? 'PASS' : 'FAIL');
+    console.log(`${label} [${result.type}] ${result.rule} (${result.id})`);
+    
+    if (result.skipped) {
+      console.log(`     ${result.reason}`);
+    }
+    
+    result.failures.forEach(failure => {
+      const expected = failure.expected === 'match' ? '検出すべき文' : '検出してはならない文';
+      console.log(`     ${expected}: ${failure.example}`);
+      console.log(`       → ${failure.message}`);
+    });
+  });
+  
+  console.log('');
+  console.log(`ルール ${report.total} 件: 成功 ${report.passed} / 失敗 ${report.failed} / スキップ ${report.skipped} / 例文なし ${report.withoutExamples}`);
+  
+  return report.failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('ルールテストエラー:', error);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ * TextStation Pro - 検索クエリの解析
+ * Drive検索の入力を解析し、エスケープ済みの Drive の q 文字列とスニペット用の検索語に変換
+ *
+ * 書式
+ *   選挙 投票率              両方を含む（AND は省略可能）
+ *   "記者会見 全文"          フレーズ検索
+ *   選挙 OR 投票             いずれかを含む
+ *   選挙 -補欠               「補欠」を含まない
+ *   title:議事録             ファイル名に含む
+ *   owner:desk@example.com   所有者
+ *   (選挙 OR 投票) 速報      括弧でまとめる
+ */
+
+// 設定
+const CONFIG = {
+  MAX_LENGTH: 500,   // クエリの最大文字数
+  MAX_TERMS: 20,     // 検索語の最大数
+  FIELDS: ['title', 'owner']   // 検索語に指定できるフィールド
+};
+
+/**
+ * クエリの入力エラーを生成（APIでは400として返す）
+ */
+function createQueryError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * クエリを字句に分割
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < input.length) {
+    const char = input[i];
+    
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else {
+      // 除外の指定とフィールド名（括弧でまとめた条件は除外できない）
+      let negated = false;
+      let field = null;
+      
+      if (char === '-' && input[i + 1] === '(') {
+        throw createQueryError('除外（-）は検索語にのみ指定できます');
+      }
+      
+      if (char === '-' && i + 1 < input.length && !/[\s()]/.test(input[i + 1])) {
+        negated = true;
+        i++;
+      }
+      
+      const fieldMatch = /^([a-zA-Z]+):(?=\S)/.exec(input.slice(i));
+      if (fieldMatch && CONFIG.FIELDS.includes(fieldMatch[1].toLowerCase())) {
+        field = fieldMatch[1].toLowerCase();
+        i += fieldMatch[0].length;
+      }
+      
+      if (input[i] === '"') {
+        const close = input.indexOf('"', i + 1);
+        
+        if (close === -1) {
+          throw createQueryError('引用符（"）が閉じられていません');
+        }
+        
+        const value = input.slice(i + 1, close).trim();
+        i = close + 1;
+        
+        if (value !== '') {
+          tokens.push({ type: 'term', value, phrase: true, negated, field });
+        }
+      } else {
+        const match = /^[^\s()"]+/.exec(input.slice(i));
+        
+        if (!match) {
+          throw createQueryError(negated ? '除外（-）は検索語にのみ指定できます' : `「${input[i]}」の位置に検索語がありません`);
+        }
+        
+        i += match[0].length;
+        
+        if (!negated && !field && (match[0] === 'AND' || match[0] === 'OR')) {
+          tokens.push({ type: match[0] });
+        } else {
+          tokens.push({ type: 'term', value: match[0], phrase: false, negated, field });
+        }
+      }
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * 字句を構文木に変換（OR より AND を優先して結合する）
+ */
+function parseTokens(tokens) {
+  let position = 0;
+  
+  const peek = () => tokens[position];
+  
+  const parseOr = () => {
+    const children = [parseAnd()];
+    
+    while (peek() && peek().type === 'OR') {
+      position++;
+      children.push(parseAnd());
+    }
+    
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+  
+  const parseAnd = () => {
+    const children = [parseOperand()];
+    
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        position++;
+      }
+      
+      children.push(parseOperand());
+    }
+    
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+  
+  const parseOperand = () => {
+    const token = peek();
+    
+    if (!token) {
+      throw createQueryError('演算子（AND / OR）の後に検索語がありません');
+    }
+    
+    if (token.type === '(') {
+      position++;
+      
+      if (peek() && peek().type === ')') {
+        throw createQueryError('括弧の中に検索語がありません');
+      }
+      
+      const node = parseOr();
+      
+      if (!peek() || peek().type !== ')') {
+        throw createQueryError('括弧が閉じられていません');
+      }
+      
+      position++;
+      return node;
+    }
+    
+    if (token.type === 'term') {
+      position++;
+      return token;
+    }
+    
+    throw createQueryError(token.type === ')' ? '対応する開き括弧がありません' : `${token.type} の前に検索語がありません`);
+  };
+  
+  const tree = parseOr();
+  
+  if (position < tokens.length) {
+    throw createQueryError('対応する開き括弧がありません');
+  }
+  
+  return tree;
+}
+
+/**
+ * 構文木に含まれる検索語の一覧
+ */
+function collectTerms(node) {
+  return node.type === 'term' ? [node] : [].concat(...node.children.map(collectTerms));
+}
+
+/**
+ * 検索クエリを解析
+ */
+function parseSearchQuery(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw createQueryError('検索キーワードが指定されていません');
+  }
+  
+  if (input.length > CONFIG.MAX_LENGTH) {
+    throw createQueryError(`検索キーワードは${CONFIG.MAX_LENGTH}文字以内で指定してください`);
+  }
+  
+  const tokens = tokenize(input);
+  
+  if (!tokens.some(token => token.type === 'term')) {
+    throw createQueryError('検索語が指定されていません');
+  }
+  
+  const tree = parseTokens(tokens);
+  const terms = collectTerms(tree);
+  
+  if (terms.length > CONFIG.MAX_TERMS) {
+    throw createQueryError(`検索語は${CONFIG.MAX_TERMS}個以内で指定してください`);
+  }
+  
+  if (terms.every(term => term.negated)) {
+    throw createQueryError('除外以外の検索語を1つ以上指定してください');
+  }
+  
+  return tree;
+}
+
+/**
+ * Drive の q で使う文字列リテラル（バックスラッシュと引用符をエスケープ）
+ */
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * 検索語を Drive の q の条件に変換
+ */
+function termToDriveQuery(term) {
+  let clause;
+  
+  if (term.field === 'title') {
+    clause = `name contains ${quote(term.value)}`;
+  } else if (term.field === 'owner') {
+    clause = `${quote(term.value)} in owners`;
+  } else {
+    // フレーズは二重引用符で囲むと語順どおりに一致するものだけを検索する
+    clause = `fullText contains ${quote(term.phrase ? `"${term.value.replace(/"/g, '')}"` : term.value)}`;
+  }
+  
+  return term.negated ? `not ${clause}` : clause;
+}
+
+/**
+ * 構文木を Drive の q 文字列に変換
+ */
+function toDriveQuery(node) {
+  if (node.type === 'term') {
+    return termToDriveQuery(node);
+  }
+  
+  const joined = node.children.map(toDriveQuery).join(node.type === 'or' ? ' or ' : ' and ');
+  return `(${joined})`;
+}
+
+/**
+ * スニペットの抽出に使う検索語（本文を対象とし、除外していない検索語）
+ */
+function getSnippetTerms(node) {
+  const values = collectTerms(node)
+    .filter(term => !term.negated && !term.field)
+    .map(term => term.value);
+  
+  return Array.from(new Set(values));
+}
+
+module.exports = {
+  CONFIG,
+  parseSearchQuery,
+  quote,
+  toDriveQuery,
+  getSnippetTerms
+};
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * TextStation Pro - 検索範囲の管理
+ * デスクごとに名前を付けて保存した検索範囲（searchScopes）の一覧・作成・更新・削除と、検索条件への適用を提供
+ *
+ * ドキュメントの形式
+ *   name        検索範囲の名前（同じデスク内で重複不可。例: 政治部アーカイブ）
+ *   desk        デスク（例: 政治部）
+ *   folderIds   検索するフォルダ（サブフォルダを含む）
+ *   driveId     共有ドライブのID
+ *   allDrives   すべての共有ドライブを検索対象にするか
+ *   fileTypes   ファイル形式（docs / pdf / text）
+ *   period      期間（1w / 1m / 3m / all）
+ *   dateFrom    更新日の開始日（YYYY-MM-DD）
+ *   dateTo      更新日の終了日（YYYY-MM-DD）
+ */
+
+const textProcessor = require('./text-processor');
+const { createValidationError } = require('./rule-manager');
+
+// 設定
+const CONFIG = {
+  COLLECTION: 'searchScopes',
+  FIELDS: ['folderIds', 'driveId', 'allDrives', 'fileTypes', 'period', 'dateFrom', 'dateTo']   // 検索条件として適用する項目
+};
+
+/**
+ * 空でない文字列かどうか
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * 保存する項目（name・desk と検索条件の項目）だけを取り出す
+ */
+function pickScopeFields(data) {
+  const scope = {};
+  
+  ['name', 'desk', ...CONFIG.FIELDS].forEach(field => {
+    if (data[field] !== undefined) {
+      scope[field] = data[field];
+    }
+  });
+  
+  return scope;
+}
+
+/**
+ * 検索範囲を検証し、保存用のデータを返す
+ * existing を指定した場合は既存の内容に変更をマージしてから検証
+ */
+function validateSearchScope(data, existing = {}) {
+  const scope = { ...pickScopeFields(existing), ...pickScopeFields(data) };
+  const errors = [];
+  
+  if (!isNonEmptyString(scope.name)) {
+    errors.push('name は必須です');
+  }
+  
+  if (!isNonEmptyString(scope.desk)) {
+    errors.push('desk は必須です');
+  }
+  
+  scope.folderIds = scope.folderIds || [];
+  
+  if (scope.folderIds.length === 0 && !scope.driveId && !scope.allDrives) {
+    errors.push('folderIds・driveId・allDrives のいずれかを指定してください');
+  }
+  
+  const fileTypes = Object.keys(textProcessor.SEARCH_CONFIG.FILE_TYPES);
+  
+  if (scope.fileTypes !== undefined && scope.fileTypes !== null &&
+      (!Array.isArray(scope.fileTypes) || !scope.fileTypes.every(fileType => fileTypes.includes(fileType)))) {
+    errors.push(`fileTypes は ${fileTypes.join(' / ')} の配列で指定してください`);
+  }
+  
+  // フォルダ・共有ドライブと期間は検索時と同じ検証を行う
+  const checks = [
+    () => textProcessor.parseDriveScope(scope),
+    () => textProcessor.getDateRange(scope.period, scope.dateFrom, scope.dateTo)
+  ];
+  
+  checks.forEach(check => {
+    try {
+      check();
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      errors.push(error.message);
+    }
+  });
+  
+  if (errors.length > 0) {
+    throw createValidationError('検索範囲の内容が不正です', errors);
+  }
+  
+  return scope;
+}
+
+/**
+ * 検索範囲の一覧を取得（デスクの指定がなければすべて）
+ */
+async function listSearchScopes(db, filters = {}) {
+  try {
+    let query = db.collection(CONFIG.COLLECTION);
+    
+    if (filters.desk) {
+      query = query.where('desk', '==', filters.desk);
+    }
+    
+    const snapshot = await query.get();
+    
+    const scopes = [];
+    
+    snapshot.forEach(doc => {
+      scopes.push({ id: doc.id, ...doc.data() });
+    });
+    
+    return scopes.sort((a, b) => a.desk.localeCompare(b.desk) || a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('検索範囲一覧取得エラー:', error);
+    throw new Error('検索範囲一覧の取得中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 同じデスクに同じ名前の検索範囲がすでにあるかどうか
+ */
+async function findDuplicate(db, desk, name, excludeId) {
+  const snapshot = await db.collection(CONFIG.COLLECTION)
+    .where('desk', '==', desk)
+    .where('name', '==', name)
+    .get();
+  
+  let duplicate = null;
+  
+  snapshot.forEach(doc => {
+    if (doc.id !== excludeId) {
+      duplicate = doc.id;
+    }
+  });
+  
+  return duplicate;
+}
+
+/**
+ * 検索範囲を登録
+ */
+async function createSearchScope(db, data) {
+  const scope = validateSearchScope(data);
+  
+  if (await findDuplicate(db, scope.desk, scope.name)) {
+    throw createValidationError(`${scope.desk}の「${scope.name}」はすでに登録されています`);
+  }
+  
+  try {
+    const scopeRef = db.collection(CONFIG.COLLECTION).doc();
+    
+    await scopeRef.set({
+      ...scope,
+      allDrives: !!scope.allDrives,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+    
+    return { id: scopeRef.id };
+  } catch (error) {
+    console.error('検索範囲登録エラー:', error);
+    throw new Error('検索範囲の登録中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 登録済みの検索範囲を取得（存在しない場合は404）
+ */
+async function getExisting(db, id) {
+  const scopeRef = db.collection(CONFIG.COLLECTION).doc(id);
+  const snapshot = await scopeRef.get();
+  
+  if (!snapshot.exists) {
+    const error = new Error('検索範囲が見つかりません');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return { scopeRef, data: snapshot.data() };
+}
+
+/**
+ * 検索範囲を更新（既存の内容とマージしたうえで検証）
+ */
+async function updateSearchScope(db, id, changes) {
+  const { scopeRef, data } = await getExisting(db, id);
+  const scope = validateSearchScope(changes, data);
+  
+  if (await findDuplicate(db, scope.desk, scope.name, id)) {
+    throw createValidationError(`${scope.desk}の「${scope.name}」はすでに登録されています`);
+  }
+  
+  try {
+    await scopeRef.update({
+      ...scope,
+      updatedAt: Date.now()
+    });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('検索範囲更新エラー:', error);
+    throw new Error('検索範囲の更新中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 検索範囲を削除
+ */
+async function deleteSearchScope(db, id) {
+  const { scopeRef } = await getExisting(db, id);
+  
+  try {
+    await scopeRef.delete();
+    
+    return { success: true };
+  } catch (error) {
+    console.error('検索範囲削除エラー:', error);
+    throw new Error('検索範囲の削除中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 保存した検索範囲を検索条件に適用
+ * リクエストで指定した項目は検索範囲より優先する（period・dateFrom・dateTo のいずれかを指定した場合は期間をまとめて置き換える）
+ */
+async function applySearchScope(db, id, request) {
+  const { data } = await getExisting(db, id);
+  const options = {};
+  
+  CONFIG.FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null) {
+      options[field] = data[field];
+    }
+  });
+  
+  if (request.period !== undefined || request.dateFrom !== undefined || request.dateTo !== undefined) {
+    delete options.period;
+    delete options.dateFrom;
+    delete options.dateTo;
+  }
+  
+  CONFIG.FIELDS.forEach(field => {
+    if (request[field] !== undefined) {
+      options[field] = request[field];
+    }
+  });
+  
+  return options;
+}
+
+module.exports = {
+  CONFIG,
+  validateSearchScope,
+  listSearchScopes,
+  createSearchScope,
+  updateSearchScope,
+  deleteSearchScope,
+  applySearchScope
+};
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * TextStation Pro - 文書構造の区分
+ * テキストを本文・引用・見出し・URL・コード（マークアップ）の区間に分類
+ */
+
+// 区間の種類
+const SPAN_KINDS = {
+  BODY: 'body',
+  QUOTATION: 'quotation',
+  HEADING: 'heading',
+  URL: 'url',
+  CODE: 'code'
+};
+
+// 指摘の種類ごとに照合する区間（mediaProfiles の spanKinds で上書き可能）
+// 引用内の表現は取材相手の言葉なので曖昧表現・語尾は指摘しないが、表記と媒体の禁止表現は統一する
+const RULE_SPAN_KINDS = {
+  ambiguousPhrase: [SPAN_KINDS.BODY, SPAN_KINDS.HEADING],
+  repetitiveEnding: [SPAN_KINDS.BODY],
+  mediaSpecific: [SPAN_KINDS.BODY, SPAN_KINDS.HEADING, SPAN_KINDS.QUOTATION],
+  notationInconsistency: [SPAN_KINDS.BODY, SPAN_KINDS.HEADING, SPAN_KINDS.QUOTATION],
+  factConsistency: [SPAN_KINDS.BODY, SPAN_KINDS.HEADING, SPAN_KINDS.QUOTATION],
+  properNoun: [SPAN_KINDS.BODY, SPAN_KINDS.HEADING, SPAN_KINDS.QUOTATION]
+};
+
+// 引用の括弧（開き括弧 → 閉じ括弧）
+const QUOTE_PAIRS = {
+  '「': '」',
+  '『': '』',
+  '“': '”'
+};
+
+// 見出しとみなす行頭の記号（句点で終わる行は本文とみなす）
+const HEADING_PATTERN = /^[ \t　]*(?:#{1,6}[ \t　]|【[^】\n]*】|[■□◆◇▼▽]).*$/gm;
+
+// URL
+const URL_PATTERN = /(?:https?|ftp):\/\/[^\s「」『』（）()<>"'、。]+|www\.[^\s「」『』（）()<>"'、。]+/g;
+
+// コード（フェンス付きブロック・インラインコード）とマークアップのタグ
+const CODE_PATTERNS = [
+  /```[\s\S]*?(?:```|$)/g,
+  /`[^`\n]+`/g,
+  /<\/?[a-zA-Z][^<>\n]*>/g
+];
+
+/**
+ * 引用の括弧に囲まれた範囲を求める（入れ子は外側の括弧でまとめる）
+ * 閉じられていない括弧があっても後の引用を検出できるよう、段落（改行）ごとに括弧の対応をやり直し、
+ * 外側の閉じ括弧が現れた場合は内側の閉じられていない括弧を無視する
+ */
+function findQuotations(text) {
+  const ranges = [];
+  let stack = [];
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (char === '\n') {
+      stack = [];
+    } else if (QUOTE_PAIRS[char]) {
+      stack.push({ close: QUOTE_PAIRS[char], start: i });
+    } else {
+      let depth = stack.length - 1;
+      
+      while (depth >= 0 && stack[depth].close !== char) {
+        depth--;
+      }
+      
+      if (depth < 0) continue;
+      
+      const open = stack[depth];
+      stack = stack.slice(0, depth);
+      
+      if (stack.length === 0) {
+        ranges.push({ start: open.start, end: i + 1 });
+      }
+    }
+  }
+  
+  return ranges;
+}
+
+/**
+ * 正規表現に一致する範囲を求める
+ */
+function findRanges(text, regex) {
+  const ranges = [];
+  let match;
+  
+  regex.lastIndex = 0;
+  
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    
+    // 見出しは句点で終わらない行のみ
+    if (regex === HEADING_PATTERN && /[。．]\s*$/.test(match[0])) continue;
+    
+    ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+  
+  return ranges;
+}
+
+/**
+ * テキストを区間に分割
+ * 優先度は コード > URL > 引用 > 見出し > 本文（見出し内の引用は引用として扱う）
+ */
+function segmentText(text) {
+  if (!text) return [];
+  
+  const kinds = new Array(text.length).fill(SPAN_KINDS.BODY);
+  const mark = (ranges, kind) => {
+    ranges.forEach(range => {
+      for (let i = range.start; i < range.end; i++) {
+        kinds[i] = kind;
+      }
+    });
+  };
+  
+  mark(findRanges(text, HEADING_PATTERN), SPAN_KINDS.HEADING);
+  mark(findQuotations(text), SPAN_KINDS.QUOTATION);
+  mark(findRanges(text, URL_PATTERN), SPAN_KINDS.URL);
+  CODE_PATTERNS.forEach(pattern => mark(findRanges(text, pattern), SPAN_KINDS.CODE));
+  
+  // 同じ種類が続く文字をまとめて区間にする
+  const segments = [];
+  
+  for (let i = 0; i < text.length; i++) {
+    const last = segments[segments.length - 1];
+    
+    if (last && last.kind === kinds[i]) {
+      last.end = i + 1;
+    } else {
+      segments.push({ kind: kinds[i], start: i, end: i + 1 });
+    }
+  }
+  
+  return segments;
+}
+
+/**
+ * 指定した種類以外の区間を空白で置き換える
+ * 文字数と改行の位置は変えないため、置換後のテキストでの位置は元のテキストの位置と一致する
+ */
+function maskText(text, segments, allowedKinds) {
+  if (segments.every(segment => allowedKinds.includes(segment.kind))) {
+    return text;
+  }
+  
+  return segments
+    .map(segment => {
+      const part = text.slice(segment.start, segment.end);
+      return allowedKinds.includes(segment.kind) ? part : part.replace(/[^\n]/g, ' ');
+    })
+    .join('');
+}
+
+/**
+ * 文字オフセットが属する区間の種類を求める
+ */
+function kindAt(segments, offset) {
+  let low = 0;
+  let high = segments.length - 1;
+  
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    
+    if (offset < segments[mid].start) {
+      high = mid - 1;
+    } else if (offset >= segments[mid].end) {
+      low = mid + 1;
+    } else {
+      return segments[mid].kind;
+    }
+  }
+  
+  return SPAN_KINDS.BODY;
+}
+
+module.exports = {
+  SPAN_KINDS,
+  RULE_SPAN_KINDS,
+  segmentText,
+  maskText,
+  kindAt
+};
\ No newline at end of file
@@ -10,6 +10,20 @@ const admin = require('firebase-admin');
 const textProcessor = require('./text-processor');
 const exportModule = require('./export');
 const utils = require('./utils');
+const suggestionApplier = require('./suggestion-applier');
+const tokenizer = require('./tokenizer');
+const ruleCache = require('./rule-cache');
+const ruleManager = require('./rule-manager');
+const ruleTester = require('./rule-tester');
+const styleGuide = require('./style-guide');
+const batchAnalyzer = require('./batch-analyzer');
+const suppression = require('./suppression');
+const factChecker = require('./fact-checker');
+const properNounManager = require('./proper-noun-manager');
+const analysisHistory = require('./analysis-history');
+const archiveIndex = require('./archive-index');
+const similarArticles = require('./similar-articles');
+const searchScopeManager = require('./search-scope-manager');
 
 // Firebase初期化
 admin.initializeApp({
@@ -45,10 +59,28 @@ const authenticateApiKey = (req, res, next) => {
 // すべてのルートに認証を適用
 app.use(authenticateApiKey);
 
+// 管理者用エンドポイントの認証ミドルウェア
+const authenticateAdmin = (req, res, next) => {
+  const adminKey = req.headers['admin-key'];
+  
+  if (!process.env.ADMIN_API_KEY || adminKey !== process.env.ADMIN_API_KEY) {
+    return res.status(403).json({ error: '認証エラー: 管理者権限が必要です' });
+  }
+  
+  next();
+};
+
 // エラーハンドリングミドルウェア
 const errorHandler = (err, req, res, next) => {
   console.error('APIエラー:', err);
-  res.status(500).json({ error: err.message || 'サーバーエラーが発生しました' });
+  
+  // 入力エラーなどステータスコードが指定されたエラーはそのまま返す
+  const body = { error: err.message || 'サーバーエラーが発生しました' };
+  if (err.details) {
+    body.details = err.details;
+  }
+  
+  res.status(err.statusCode || 500).json(body);
 };
 
 // 接続テストエンドポイント
@@ -56,20 +88,49 @@ app.post('/api/test-connection', (req, res) => {
   res.json({ success: true, message: 'APIサーバーに正常に接続されました' });
 });
 
+// 分析の共通処理（/api/analyze・/api/analyze-stream・/api/analyze-batch で同じ手順を使う）
+// mediaRules を指定した場合は取得済みのルールを使い、onProgress / isCancelled は analyzeText にそのまま渡す
+const runAnalysis = async (request, options = {}) => {
+  const { text, mediaType, detailedAnalysis, userId, documentId, referenceDate, storeText } = request;
+  
+  // メディア種別に応じたルールと、ユーザー・文書ごとの無視リストを取得
+  const [mediaRules, ignoreEntries] = await Promise.all([
+    options.mediaRules || ruleCache.getRules(db, mediaType),
+    suppression.getIgnoreEntries(db, { userId, documentId })
+  ]);
+  
+  // テキスト分析を実行
+  const analysisResult = await textProcessor.analyzeText(text, mediaRules, detailedAnalysis, {
+    ignoreEntries,
+    referenceDate,
+    onProgress: options.onProgress,
+    isCancelled: options.isCancelled
+  });
+  
+  // 結果の要約を履歴に保存（本文は storeText を指定した場合のみ。保存に失敗しても分析結果は返す）
+  try {
+    await analysisHistory.saveAnalysisSummary(db, analysisResult, { userId, documentId, mediaType, text, storeText: !!storeText });
+  } catch (error) {
+    console.error(error.message);
+  }
+  
+  return analysisResult;
+};
+
 // テキスト分析エンドポイント
 app.post('/api/analyze', async (req, res, next) => {
   try {
-    const { text, mediaType, detailedAnalysis } = req.body;
+    const { text, referenceDate } = req.body;
     
     if (!text) {
       return res.status(400).json({ error: '分析するテキストが指定されていません' });
     }
     
-    // メディア種別に応じたルールを取得
-    const mediaRules = await textProcessor.getMediaRules(db, mediaType);
+    if (referenceDate && !factChecker.parseReferenceDate(referenceDate)) {
+      return res.status(400).json({ error: '基準日は YYYY-MM-DD 形式で指定してください' });
+    }
     
-    // テキスト分析を実行
-    const analysisResult = await textProcessor.analyzeText(text, mediaRules, detailedAnalysis);
+    const analysisResult = await runAnalysis(req.body);
     
     res.json(analysisResult);
   } catch (error) {
@@ -77,17 +138,436 @@ app.post('/api/analyze', async (req, res, next) => {
   }
 });
 
+// テキスト分析エンドポイント（Server-Sent Events で段階ごとの進捗を返すストリーミング版）
+// イベントは start → progress / findings（段階ごと）→ result（/api/analyze と同じ結果）の順で送信し、失敗時は error を送信
+// クライアントが切断した場合は次の段階に進まずに分析を中止する
+app.post('/api/analyze-stream', async (req, res) => {
+  const { text, detailedAnalysis, referenceDate } = req.body;
+  
+  if (!text) {
+    return res.status(400).json({ error: '分析するテキストが指定されていません' });
+  }
+  
+  if (referenceDate && !factChecker.parseReferenceDate(referenceDate)) {
+    return res.status(400).json({ error: '基準日は YYYY-MM-DD 形式で指定してください' });
+  }
+  
+  let cancelled = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      cancelled = true;
+    }
+  });
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  const send = (event, data) => {
+    if (!cancelled) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
+  try {
+    send('start', {
+      phases: textProcessor.ANALYSIS_PHASES.filter(entry => detailedAnalysis || entry.phase !== 'readability')
+    });
+    
+    const analysisResult = await runAnalysis(req.body, {
+      onProgress: progress => {
+        const { findings, ...status } = progress;
+        
+        send('progress', status);
+        
+        if (findings.length > 0) {
+          send('findings', { phase: progress.phase, issues: findings });
+        }
+      },
+      isCancelled: () => cancelled
+    });
+    
+    send('result', analysisResult);
+  } catch (error) {
+    if (error.cancelled) {
+      console.log('クライアントの切断により分析を中止しました');
+    } else {
+      console.error('ストリーミング分析エラー:', error);
+      send('error', { error: error.message });
+    }
+  }
+  
+  if (!cancelled) {
+    res.end();
+  }
+});
+
+// 分析履歴の集計エンドポイント（週ごとの推移・よく指摘されるルール・ユーザーごとの平均）
+app.post('/api/analysis-stats', async (req, res, next) => {
+  try {
+    const { weeks, userId, mediaType } = req.body;
+    
+    const stats = await analysisHistory.getAnalysisStats(db, { weeks, userId, mediaType });
+    
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 一括分析エンドポイント
+// 各項目は /api/analyze と同じ手順で分析し（無視リスト・基準日・履歴の保存を含む）、
+// userId・referenceDate・storeText は項目で指定がなければリクエストの値を使う
+// 項目ごとの失敗はバッチ全体を失敗させず、各項目の結果として返す
+app.post('/api/analyze-batch', async (req, res, next) => {
+  try {
+    const { items, detailedAnalysis, userId, referenceDate, storeText } = req.body;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: '分析する項目が指定されていません' });
+    }
+    
+    if (items.length > batchAnalyzer.CONFIG.MAX_ITEMS) {
+      return res.status(400).json({ error: `一度に分析できるのは${batchAnalyzer.CONFIG.MAX_ITEMS}件までです` });
+    }
+    
+    const batchResult = await batchAnalyzer.analyzeBatch(
+      items,
+      mediaType => ruleCache.getRules(db, mediaType),
+      (item, mediaRules) => runAnalysis({ ...item, detailedAnalysis }, { mediaRules }),
+      { defaults: { userId, referenceDate, storeText } }
+    );
+    
+    res.json(batchResult);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 修正候補適用エンドポイント
+app.post('/api/apply-suggestions', async (req, res, next) => {
+  try {
+    const { text, mediaType, findings, applyAllSafe, userId, documentId, referenceDate } = req.body;
+    
+    if (!text) {
+      return res.status(400).json({ error: '修正するテキストが指定されていません' });
+    }
+    
+    if (!applyAllSafe && (!Array.isArray(findings) || findings.length === 0)) {
+      return res.status(400).json({ error: '適用する指摘が指定されていません' });
+    }
+    
+    // 現在のテキストを再分析し、置換内容をサーバー側で確定させる（抑制された指摘は適用しない）
+    const [mediaRules, ignoreEntries] = await Promise.all([
+      ruleCache.getRules(db, mediaType),
+      suppression.getIgnoreEntries(db, { userId, documentId })
+    ]);
+    const analysisResult = await textProcessor.analyzeText(text, mediaRules, false, { ignoreEntries, referenceDate });
+    
+    const applyResult = suggestionApplier.applySuggestions(text, analysisResult.issues, {
+      findings: findings || [],
+      applyAllSafe: !!applyAllSafe
+    });
+    
+    res.json(applyResult);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ルールキャッシュ再読み込みエンドポイント（管理者用）
+app.post('/api/rules/reload', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { mediaType } = req.body;
+    
+    const stats = await ruleCache.reload(db, mediaType);
+    
+    res.json({ success: true, stats });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 無視リスト取得エンドポイント（scope は user または document）
+app.post('/api/ignore-list/get', async (req, res, next) => {
+  try {
+    const { scope, id } = req.body;
+    
+    const entries = await suppression.getIgnoreList(db, scope, id);
+    
+    res.json({ scope, id, entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 無視リスト追加エンドポイント
+app.post('/api/ignore-list/add', async (req, res, next) => {
+  try {
+    const { scope, id, entry } = req.body;
+    
+    const result = await suppression.addIgnoreEntry(db, scope, id, entry);
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 無視リスト削除エンドポイント
+app.post('/api/ignore-list/remove', async (req, res, next) => {
+  try {
+    const { scope, id, entry } = req.body;
+    
+    if (!entry) {
+      return res.status(400).json({ error: '削除する項目が指定されていません' });
+    }
+    
+    const result = await suppression.removeIgnoreEntry(db, scope, id, entry);
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// スタイルルール一覧取得エンドポイント
+app.post('/api/rules/list', async (req, res, next) => {
+  try {
+    const { type, mediaType, includeInactive } = req.body;
+    
+    const rules = await ruleManager.listRules(db, { type, mediaType, includeInactive });
+    
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// スタイルルール作成エンドポイント（管理者用）
+app.post('/api/rules/create', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { rule } = req.body;
+    
+    if (!rule) {
+      return res.status(400).json({ error: 'ルールが指定されていません' });
+    }
+    
+    const result = await ruleManager.createRule(db, rule);
+    
+    // 次の分析から新しいルールを使う
+    ruleCache.invalidate();
+    
+    res.json({ success: true, id: result.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// スタイルルール更新エンドポイント（管理者用）
+app.post('/api/rules/update', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { id, changes } = req.body;
+    
+    if (!id || !changes) {
+      return res.status(400).json({ error: 'ルールIDと変更内容は必須です' });
+    }
+    
+    await ruleManager.updateRule(db, id, changes);
+    ruleCache.invalidate();
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// スタイルルール無効化エンドポイント（管理者用）
+app.post('/api/rules/deactivate', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ルールIDが指定されていません' });
+    }
+    
+    await ruleManager.deactivateRule(db, id);
+    ruleCache.invalidate();
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// スタイルルール例文テストエンドポイント
+// rule を指定した場合は保存前のルールを、指定しない場合は有効なルールすべてを検証
+app.post('/api/rules/test', async (req, res, next) => {
+  try {
+    const { rule, type, mediaType } = req.body;
+    
+    if (rule) {
+      const result = await ruleTester.testRule(ruleManager.validateRule(rule));
+      return res.json(result);
+    }
+    
+    const report = await ruleManager.testActiveRules(db, { type, mediaType });
+    
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// スタイルガイド一括インポートエンドポイント（管理者用）
+// dryRun を false にしない限り差分の確認のみで書き込みは行わない
+app.post('/api/rules/import', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { content, format, mediaType, dryRun } = req.body;
+    
+    if (!content || !format) {
+      return res.status(400).json({ error: 'スタイルガイドの内容と形式は必須です' });
+    }
+    
+    const report = await styleGuide.importStyleGuide(db, content, { format, mediaType, dryRun });
+    
+    if (!report.dryRun) {
+      ruleCache.invalidate();
+    }
+    
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// スタイルガイドエクスポートエンドポイント
+app.post('/api/rules/export', async (req, res, next) => {
+  try {
+    const { format, mediaType } = req.body;
+    
+    const result = await styleGuide.exportStyleGuide(db, { format, mediaType });
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 固有名詞辞書一覧取得エンドポイント
+app.post('/api/proper-nouns/list', async (req, res, next) => {
+  try {
+    const { category, mediaType, includeInactive } = req.body;
+    
+    const entries = await properNounManager.listProperNouns(db, { category, mediaType, includeInactive });
+    
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 固有名詞登録エンドポイント（管理者用）
+app.post('/api/proper-nouns/create', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { entry } = req.body;
+    
+    if (!entry) {
+      return res.status(400).json({ error: '固有名詞が指定されていません' });
+    }
+    
+    const result = await properNounManager.createProperNoun(db, entry);
+    
+    // 次の分析から新しい辞書を使う
+    ruleCache.invalidate();
+    
+    res.json({ success: true, id: result.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 固有名詞更新エンドポイント（管理者用）
+app.post('/api/proper-nouns/update', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { id, changes } = req.body;
+    
+    if (!id || !changes) {
+      return res.status(400).json({ error: '固有名詞のIDと変更内容は必須です' });
+    }
+    
+    await properNounManager.updateProperNoun(db, id, changes);
+    ruleCache.invalidate();
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 固有名詞無効化エンドポイント（管理者用）
+app.post('/api/proper-nouns/deactivate', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: '固有名詞のIDが指定されていません' });
+    }
+    
+    await properNounManager.deactivateProperNoun(db, id);
+    ruleCache.invalidate();
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ルールキャッシュ統計エンドポイント
+app.post('/api/rules/stats', (req, res) => {
+  res.json(ruleCache.getStats());
+});
+
 // Google Drive検索エンドポイント
+// 続きのページは前回の結果の nextCursor を cursor に指定して取得
 app.post('/api/search', async (req, res, next) => {
   try {
-    const { keyword, fileTypes, period } = req.body;
+    const { keyword, cursor, pageSize, orderBy, snippets, maxContexts, mode, scopeId } = req.body;
     
     if (!keyword) {
       return res.status(400).json({ error: '検索キーワードが指定されていません' });
     }
     
+    if (mode && mode !== 'drive' && mode !== 'index') {
+      return res.status(400).json({ error: 'mode は drive / index のいずれかを指定してください' });
+    }
+    
+    // 検索範囲（フォルダ・共有ドライブ・期間）の指定。保存した検索範囲を指定した場合はリクエストの指定で上書き
+    const scope = scopeId
+      ? await searchScopeManager.applySearchScope(db, scopeId, req.body)
+      : req.body;
+    const { fileTypes, period, folderIds, driveId, allDrives, dateFrom, dateTo } = scope;
+    
+    // アーカイブ索引を検索（一致度順、古くなっていれば変更フィードと同期）
+    if (mode === 'index') {
+      if ((folderIds && folderIds.length > 0) || driveId || allDrives) {
+        return res.status(400).json({ error: 'アーカイブ索引の検索ではフォルダ・共有ドライブを指定できません' });
+      }
+      
+      const indexResults = await archiveIndex.searchIndex(keyword, fileTypes, period, {
+        cursor, pageSize, orderBy, snippets, maxContexts, dateFrom, dateTo, drive: textProcessor.getDriveClient()
+      });
+      
+      return res.json(indexResults);
+    }
+    
     // Google Drive検索を実行
-    const searchResults = await textProcessor.searchDrive(keyword, fileTypes, period);
+    const searchResults = await textProcessor.searchDrive(keyword, fileTypes, period, {
+      cursor, pageSize, orderBy, snippets, maxContexts, folderIds, driveId, allDrives, dateFrom, dateTo
+    });
     
     res.json(searchResults);
   } catch (error) {
@@ -95,6 +575,138 @@ app.post('/api/search', async (req, res, next) => {
   }
 });
 
+// 検索結果のスニペット取得エンドポイント（snippets: false で検索した結果を表示する分だけ取得）
+app.post('/api/search/snippets', async (req, res, next) => {
+  try {
+    const { fileIds, keyword, maxContexts } = req.body;
+    
+    if (!keyword || !Array.isArray(fileIds) || fileIds.length === 0) {
+      return res.status(400).json({ error: 'ファイルIDと検索キーワードは必須です' });
+    }
+    
+    if (fileIds.length > textProcessor.SEARCH_CONFIG.MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `一度に取得できるのは${textProcessor.SEARCH_CONFIG.MAX_PAGE_SIZE}件までです` });
+    }
+    
+    const result = await textProcessor.getSearchSnippets(fileIds, keyword, { maxContexts });
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 検索範囲一覧取得エンドポイント（デスクを指定した場合はそのデスクの検索範囲のみ）
+app.post('/api/search-scopes/list', async (req, res, next) => {
+  try {
+    const { desk } = req.body;
+    
+    const scopes = await searchScopeManager.listSearchScopes(db, { desk });
+    
+    res.json(scopes);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 検索範囲登録エンドポイント（管理者用）
+app.post('/api/search-scopes/create', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { scope } = req.body;
+    
+    if (!scope) {
+      return res.status(400).json({ error: '検索範囲が指定されていません' });
+    }
+    
+    const result = await searchScopeManager.createSearchScope(db, scope);
+    
+    res.json({ success: true, id: result.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 検索範囲更新エンドポイント（管理者用）
+app.post('/api/search-scopes/update', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { id, changes } = req.body;
+    
+    if (!id || !changes) {
+      return res.status(400).json({ error: '検索範囲のIDと変更内容は必須です' });
+    }
+    
+    await searchScopeManager.updateSearchScope(db, id, changes);
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 検索範囲削除エンドポイント（管理者用）
+app.post('/api/search-scopes/delete', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: '検索範囲のIDが指定されていません' });
+    }
+    
+    await searchScopeManager.deleteSearchScope(db, id);
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// アーカイブ索引の状態取得エンドポイント
+app.post('/api/index/status', async (req, res, next) => {
+  try {
+    const indexStatus = await archiveIndex.getIndexStatus();
+    res.json(indexStatus);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// アーカイブ索引の再構築エンドポイント（管理者のみ、構築はバックグラウンドで実行）
+app.post('/api/index/rebuild', authenticateAdmin, async (req, res, next) => {
+  try {
+    const result = await archiveIndex.rebuildIndex(textProcessor.getDriveClient());
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 類似記事検索エンドポイント（原稿と似ている過去記事と一致箇所）
+app.post('/api/similar', async (req, res, next) => {
+  try {
+    const { text, limit, excludeFileId } = req.body;
+    
+    if (!text) {
+      return res.status(400).json({ error: '原稿のテキストが指定されていません' });
+    }
+    
+    const result = await similarArticles.findSimilarArticles(db, textProcessor.getDriveClient(), text, { limit, excludeFileId });
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 類似記事の指紋更新エンドポイント（管理者のみ、remaining が0になるまで繰り返し呼び出す）
+app.post('/api/similar/refresh', authenticateAdmin, async (req, res, next) => {
+  try {
+    const result = await similarArticles.refreshFingerprints(db, textProcessor.getDriveClient());
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // PDF出力エンドポイント
 app.post('/api/export-pdf', async (req, res, next) => {
   try {
@@ -221,9 +833,15 @@ app.post('/api/aggregate-logs', async (req, res, next) => {
       user
     });
     
-    // 古いログを削除
+    // 古いログと分析履歴を削除（分析履歴の削除に失敗してもログの保存は成功として返す）
     await utils.cleanupOldLogs(db);
     
+    try {
+      await analysisHistory.cleanupOldAnalyses(db);
+    } catch (error) {
+      console.error(error.message);
+    }
+    
     res.json({ success: true });
   } catch (error) {
     next(error);
@@ -288,8 +906,18 @@ app.post('/api/restore-backup', async (req, res, next) => {
 app.use(errorHandler);
 
 // サーバー起動
-app.listen(PORT, () => {
-  console.log(`TextStation API サーバーが起動しました。ポート: ${PORT}`);
+// コールドスタート時も最初のリクエストまでに辞書とルールを読み込んでおく
+Promise.all([
+  tokenizer.getTokenizer().catch(error => {
+    console.error('形態素解析辞書の読み込みエラー:', error);
+  }),
+  ruleCache.warmUp(db).catch(error => {
+    console.error('ルールの事前読み込みエラー:', error);
+  })
+]).then(() => {
+  app.listen(PORT, () => {
+    console.log(`TextStation API サーバーが起動しました。ポート: ${PORT}`);
+  });
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,477 @@
+/**
+ * TextStation Pro - 類似記事の検出
+ * 原稿と似ている過去記事（Driveのアーカイブ文書）を探し、重複・流用している箇所を両方の本文で示す
+ * アーカイブ文書ごとに文字単位のシングル（連続する SHINGLE_SIZE 文字）のハッシュを winnowing で間引いたものと MinHash 署名を
+ * 指紋として Firestore に保存し、原稿のハッシュがアーカイブ文書に含まれる割合で候補を絞り込んだ後、候補の本文を取得して一致箇所を特定する
+ */
+
+const textProcessor = require('./text-processor');
+const { mapWithConcurrency } = require('./utils');
+
+// 設定
+const CONFIG = {
+  COLLECTION: 'articleFingerprints',
+  SHINGLE_SIZE: 5,            // シングルの文字数
+  NUM_HASHES: 128,            // MinHash 署名の長さ
+  MAX_DOCUMENTS: 5000,        // 指紋を作成する最大文書数（新しい文書を優先）
+  REFRESH_BATCH: 200,         // 1回の更新で指紋を作成する最大文書数
+  CONCURRENCY: 4,             // 本文を同時に取得するファイル数
+  MAX_TEXT_LENGTH: 50000,     // 原稿の最大文字数
+  WINNOW_WINDOW: 16,          // 指紋として残すハッシュを選ぶ窓のシングル数（SHINGLE_SIZE + WINNOW_WINDOW - 1 文字以上の一致は必ず共通の指紋を持つ）
+  FINGERPRINT_VERSION: 2,     // 指紋の形式（変わった場合は更新時にすべての文書の指紋を作り直す）
+  MAX_CANDIDATES: 20,         // 本文を取得して比較する最大候補数
+  DEFAULT_LIMIT: 10,          // 返す類似記事の既定件数
+  MIN_PASSAGE_LENGTH: 20,     // 一致箇所として示す最小文字数（空白を除く）
+  MAX_SHINGLE_POSITIONS: 50,  // 一致箇所の起点として調べる、同じシングルのアーカイブ文書内の位置の最大数（同じ文字の繰り返しで比較が増えすぎないため）
+  CACHE_TTL_MS: 10 * 60 * 1000   // 指紋のキャッシュの有効期間（ミリ秒）
+};
+
+// MinHash のハッシュ関数ごとの種（実行のたびに変わらないよう固定の手順で生成）
+const SEEDS = Array.from({ length: CONFIG.NUM_HASHES }, (_, i) => mix32(Math.imul(i + 1, 0x9E3779B1)));
+
+// 指紋のキャッシュ
+let cache = null;
+
+/**
+ * 入力エラーを生成（APIでは400として返す）
+ */
+function createSimilarityError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * 32ビット整数の攪拌（MurmurHash3 の最終処理）
+ */
+function mix32(value) {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85EBCA6B);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xC2B2AE35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * 文字列の32ビットハッシュ（FNV-1a）
+ */
+function hashString(value) {
+  let h = 0x811C9DC5;
+  
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  
+  return h >>> 0;
+}
+
+/**
+ * 比較用に正規化（全角・半角の統一と小文字化、空白の除去）
+ * 正規化後の各文字が元のテキストのどこにあたるかを starts / ends に記録する
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+  
+  for (const char of String(text)) {
+    const converted = char.normalize('NFKC').toLowerCase().replace(/\s/g, '');
+    
+    for (let i = 0; i < converted.length; i++) {
+      normalized += converted[i];
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+    
+    offset += char.length;
+  }
+  
+  return { normalized, starts, ends };
+}
+
+/**
+ * 正規化済みテキストのシングルの集合
+ */
+function extractShingles(normalized) {
+  const shingles = new Set();
+  
+  for (let i = 0; i + CONFIG.SHINGLE_SIZE <= normalized.length; i++) {
+    shingles.add(normalized.slice(i, i + CONFIG.SHINGLE_SIZE));
+  }
+  
+  return shingles;
+}
+
+/**
+ * シングルのハッシュを winnowing で間引く（連続する WINNOW_WINDOW 個のハッシュごとに最小値を残す）
+ * 一致箇所が短くても、窓の大きさ以上のシングルが一致すれば共通のハッシュが残るため、長い文書の一部の流用も候補にできる
+ */
+function winnow(normalized) {
+  const hashes = [];
+  
+  for (let i = 0; i + CONFIG.SHINGLE_SIZE <= normalized.length; i++) {
+    hashes.push(hashString(normalized.slice(i, i + CONFIG.SHINGLE_SIZE)));
+  }
+  
+  const selected = new Set();
+  const window = Math.min(CONFIG.WINNOW_WINDOW, hashes.length);
+  
+  for (let start = 0; start + window <= hashes.length; start++) {
+    let min = hashes[start];
+    
+    for (let i = start + 1; i < start + window; i++) {
+      if (hashes[i] < min) min = hashes[i];
+    }
+    
+    selected.add(min);
+  }
+  
+  return selected;
+}
+
+/**
+ * 原稿の指紋のうちアーカイブ文書の指紋に含まれる割合（原稿がアーカイブ文書に含まれる割合の推定値）
+ */
+function estimateContainment(draftHashes, archiveHashes) {
+  if (draftHashes.size === 0) return 0;
+  
+  let shared = 0;
+  draftHashes.forEach(hash => {
+    if (archiveHashes.has(hash)) shared++;
+  });
+  
+  return shared / draftHashes.size;
+}
+
+/**
+ * シングルの集合から MinHash 署名を作成
+ */
+function computeSignature(shingles) {
+  const signature = new Array(CONFIG.NUM_HASHES).fill(0xFFFFFFFF);
+  
+  shingles.forEach(shingle => {
+    const hash = hashString(shingle);
+    
+    for (let i = 0; i < CONFIG.NUM_HASHES; i++) {
+      const value = mix32(hash ^ SEEDS[i]);
+      
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    }
+  });
+  
+  return signature;
+}
+
+/**
+ * 署名の一致率（シングルの集合のJaccard係数の推定値）
+ */
+function estimateSimilarity(a, b) {
+  let matches = 0;
+  
+  for (let i = 0; i < CONFIG.NUM_HASHES; i++) {
+    if (a[i] === b[i]) matches++;
+  }
+  
+  return matches / CONFIG.NUM_HASHES;
+}
+
+/**
+ * 2つのテキストの一致箇所を特定
+ * 原稿のシングルがアーカイブ文書に現れる位置を起点に、文字が一致する限り後ろに延ばし、最も長く一致する位置を採る
+ * 返す位置は元のテキストの位置（正規化前）
+ */
+function findPassages(draft, archive) {
+  const positions = new Map();
+  
+  for (let i = 0; i + CONFIG.SHINGLE_SIZE <= archive.normalized.length; i++) {
+    const shingle = archive.normalized.slice(i, i + CONFIG.SHINGLE_SIZE);
+    const starts = positions.get(shingle);
+    
+    if (!starts) {
+      positions.set(shingle, [i]);
+    } else if (starts.length < CONFIG.MAX_SHINGLE_POSITIONS) {
+      starts.push(i);
+    }
+  }
+  
+  const passages = [];
+  let i = 0;
+  
+  while (i + CONFIG.SHINGLE_SIZE <= draft.normalized.length) {
+    const starts = positions.get(draft.normalized.slice(i, i + CONFIG.SHINGLE_SIZE));
+    
+    if (!starts) {
+      i++;
+      continue;
+    }
+    
+    let start = starts[0];
+    let length = 0;
+    
+    starts.forEach(candidate => {
+      let candidateLength = CONFIG.SHINGLE_SIZE;
+      while (i + candidateLength < draft.normalized.length &&
+             candidate + candidateLength < archive.normalized.length &&
+             draft.normalized[i + candidateLength] === archive.normalized[candidate + candidateLength]) {
+        candidateLength++;
+      }
+      
+      if (candidateLength > length) {
+        start = candidate;
+        length = candidateLength;
+      }
+    });
+    
+    if (length >= CONFIG.MIN_PASSAGE_LENGTH) {
+      passages.push({
+        length,
+        archiveOffset: start,
+        draft: {
+          start: draft.starts[i],
+          end: draft.ends[i + length - 1]
+        },
+        archive: {
+          start: archive.starts[start],
+          end: archive.ends[start + length - 1]
+        }
+      });
+      
+      i += length;
+    } else {
+      i++;
+    }
+  }
+  
+  return passages;
+}
+
+/**
+ * 原稿とアーカイブ文書の類似度を算出
+ * jaccard はシングルの集合の一致度、draftCoverage / archiveCoverage は一致箇所が占める割合
+ */
+function compareTexts(draftText, archiveText) {
+  const draft = normalizeWithOffsets(draftText);
+  const archive = normalizeWithOffsets(archiveText);
+  const draftShingles = extractShingles(draft.normalized);
+  const archiveShingles = extractShingles(archive.normalized);
+  
+  let shared = 0;
+  draftShingles.forEach(shingle => {
+    if (archiveShingles.has(shingle)) shared++;
+  });
+  
+  const union = draftShingles.size + archiveShingles.size - shared;
+  const passages = findPassages(draft, archive);
+  const covered = passages.reduce((sum, passage) => sum + passage.length, 0);
+  
+  // アーカイブ側は同じ箇所が複数の一致箇所に含まれることがあるため重複を除いて数える
+  const archiveCovered = new Set();
+  passages.forEach(passage => {
+    for (let k = passage.archiveOffset; k < passage.archiveOffset + passage.length; k++) archiveCovered.add(k);
+  });
+  
+  const round = value => Math.round(value * 1000) / 1000;
+  
+  return {
+    jaccard: union > 0 ? round(shared / union) : 0,
+    draftCoverage: draft.normalized.length > 0 ? round(covered / draft.normalized.length) : 0,
+    archiveCoverage: archive.normalized.length > 0 ? round(archiveCovered.size / archive.normalized.length) : 0,
+    passages: passages.map(passage => ({
+      length: passage.length,
+      draft: { ...passage.draft, text: draftText.slice(passage.draft.start, passage.draft.end) },
+      archive: { ...passage.archive, text: archiveText.slice(passage.archive.start, passage.archive.end) }
+    }))
+  };
+}
+
+/**
+ * 保存済みの指紋を取得（キャッシュが有効ならFirestoreを読まない）
+ */
+async function loadFingerprints(db) {
+  if (cache && Date.now() - cache.loadedAt < CONFIG.CACHE_TTL_MS) {
+    return cache.entries;
+  }
+  
+  const snapshot = await db.collection(CONFIG.COLLECTION).get();
+  const entries = [];
+  
+  // 照合のたびに集合を作り直さないよう、指紋は集合にしてキャッシュする
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    entries.push({ id: doc.id, ...data, hashes: new Set(data.hashes || []) });
+  });
+  
+  cache = { entries, loadedAt: Date.now() };
+  return entries;
+}
+
+/**
+ * アーカイブ文書の指紋を更新
+ * 新しく追加・更新された文書の指紋を作成し、Driveから削除された文書の指紋を削除する
+ * 1回に作成するのは REFRESH_BATCH 件までで、残りの件数を remaining として返す（0になるまで繰り返し呼び出す）
+ */
+async function refreshFingerprints(db, drive) {
+  try {
+    const files = await textProcessor.listArchiveFiles(drive, CONFIG.MAX_DOCUMENTS);
+    const snapshot = await db.collection(CONFIG.COLLECTION).get();
+    const stored = new Map();
+    
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      stored.set(doc.id, data.version === CONFIG.FINGERPRINT_VERSION ? data.modifiedTime : null);
+    });
+    
+    const fileIds = new Set(files.map(file => file.id));
+    const stale = Array.from(stored.keys()).filter(id => !fileIds.has(id));
+    const pending = files.filter(file => stored.get(file.id) !== file.modifiedTime);
+    const targets = pending.slice(0, CONFIG.REFRESH_BATCH);
+    let failed = 0;
+    
+    const results = await mapWithConcurrency(targets, CONFIG.CONCURRENCY, async file => {
+      try {
+        const text = await textProcessor.fetchFileText(drive, file);
+        if (text === null) return false;
+        
+        const normalized = normalizeWithOffsets(text).normalized;
+        const shingles = extractShingles(normalized);
+        
+        await db.collection(CONFIG.COLLECTION).doc(file.id).set({
+          title: file.name,
+          mimeType: file.mimeType,
+          webViewLink: file.webViewLink || null,
+          modifiedTime: file.modifiedTime,
+          length: normalized.length,
+          shingleCount: shingles.size,
+          signature: computeSignature(shingles),
+          hashes: Array.from(winnow(normalized)),
+          version: CONFIG.FINGERPRINT_VERSION,
+          updatedAt: Date.now()
+        });
+        
+        return true;
+      } catch (error) {
+        console.error(`指紋作成エラー（${file.id}）:`, error.message);
+        failed++;
+        return false;
+      }
+    });
+    
+    // バッチ削除（Firestoreの制限により一度に最大500件まで）
+    for (let i = 0; i < stale.length; i += 500) {
+      const batch = db.batch();
+      stale.slice(i, i + 500).forEach(id => batch.delete(db.collection(CONFIG.COLLECTION).doc(id)));
+      await batch.commit();
+    }
+    
+    cache = null;
+    
+    return {
+      success: true,
+      total: files.length,
+      updated: results.filter(Boolean).length,
+      removed: stale.length,
+      failed,
+      remaining: pending.length - targets.length
+    };
+  } catch (error) {
+    console.error('指紋更新エラー:', error);
+    throw new Error('類似記事の指紋の更新中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 原稿に似ている過去記事を検索（類似度の高い順）
+ * 原稿の指紋が過去記事に含まれる割合で候補を絞り込み、候補の本文と比較して一致箇所を特定する
+ * （Jaccard 係数は長い過去記事の一部を流用した場合に小さくなるため、候補の選択には使わない）
+ * 原稿のうち過去記事と一致する割合（draftCoverage）の高い順に並べ、同じ場合は jaccard の高い順
+ */
+async function findSimilarArticles(db, drive, text, options = {}) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw createSimilarityError('原稿のテキストが指定されていません');
+  }
+  
+  if (text.length > CONFIG.MAX_TEXT_LENGTH) {
+    throw createSimilarityError(`原稿は${CONFIG.MAX_TEXT_LENGTH}文字以内で指定してください`);
+  }
+  
+  const limit = options.limit === undefined ? CONFIG.DEFAULT_LIMIT : parseInt(options.limit, 10);
+  
+  if (!(limit >= 1 && limit <= CONFIG.MAX_CANDIDATES)) {
+    throw createSimilarityError(`limit は1〜${CONFIG.MAX_CANDIDATES}の範囲で指定してください`);
+  }
+  
+  const normalized = normalizeWithOffsets(text).normalized;
+  const shingles = extractShingles(normalized);
+  
+  if (shingles.size === 0) {
+    throw createSimilarityError(`原稿は${CONFIG.SHINGLE_SIZE}文字以上で指定してください`);
+  }
+  
+  try {
+    const signature = computeSignature(shingles);
+    const draftHashes = winnow(normalized);
+    const fingerprints = await loadFingerprints(db);
+    
+    const candidates = fingerprints
+      .filter(entry => entry.id !== options.excludeFileId)
+      .map(entry => ({
+        entry,
+        containment: estimateContainment(draftHashes, entry.hashes),
+        estimate: estimateSimilarity(signature, entry.signature)
+      }))
+      .filter(candidate => candidate.containment > 0)
+      .sort((a, b) => b.containment - a.containment || b.estimate - a.estimate)
+      .slice(0, CONFIG.MAX_CANDIDATES);
+    
+    const compared = await mapWithConcurrency(candidates, CONFIG.CONCURRENCY, async ({ entry, containment, estimate }) => {
+      try {
+        const archiveText = await textProcessor.fetchFileText(drive, { id: entry.id, mimeType: entry.mimeType });
+        if (archiveText === null) return null;
+        
+        return {
+          id: entry.id,
+          title: entry.title,
+          mimeType: entry.mimeType,
+          webViewLink: entry.webViewLink,
+          modifiedTime: entry.modifiedTime,
+          estimatedContainment: Math.round(containment * 1000) / 1000,
+          estimatedSimilarity: Math.round(estimate * 1000) / 1000,
+          ...compareTexts(text, archiveText)
+        };
+      } catch (error) {
+        // 取得できなかった候補は結果から除く
+        console.error(`類似記事比較エラー（${entry.id}）:`, error.message);
+        return null;
+      }
+    });
+    
+    const items = compared
+      .filter(item => item && item.passages.length > 0)
+      .sort((a, b) => b.draftCoverage - a.draftCoverage || b.jaccard - a.jaccard)
+      .slice(0, limit);
+    
+    return {
+      items,
+      candidateCount: candidates.length,
+      fingerprintCount: fingerprints.length
+    };
+  } catch (error) {
+    console.error('類似記事検索エラー:', error);
+    throw new Error('類似記事の検索中にエラーが発生しました: ' + error.message);
+  }
+}
+
+module.exports = {
+  CONFIG,
+  computeSignature,
+  estimateSimilarity,
+  compareTexts,
+  refreshFingerprints,
+  findSimilarArticles
+};
\ No newline at end of file
@@ -0,0 +1,400 @@
+/**
+ * TextStation Pro - スタイルガイドの一括インポート/エクスポート
+ * 各メディアの表記ガイド（CSV/YAML）と styleRules を相互に変換し、安定キーで差分を反映
+ */
+
+const { parse: parseCSV } = require('csv-parse/sync');
+const { stringify: stringifyCSV } = require('csv-stringify/sync');
+const yaml = require('js-yaml');
+const ruleManager = require('./rule-manager');
+const ruleTester = require('./rule-tester');
+
+// 設定
+const CONFIG = {
+  FORMATS: ['csv', 'yaml'],
+  RULE_TYPES: ['ambiguousPhrase', 'repetitivePattern', 'mediaSpecific'],   // インポート対象のルールの種類
+  BATCH_SIZE: 500                                                          // Firestoreの1バッチあたりの書き込み上限
+};
+
+// スタイルガイドの列（CSVの見出しとYAMLのキー）
+const COLUMNS = [
+  'key',
+  'type',
+  'mediaTypes',
+  'text',
+  'pattern',
+  'suggestion',
+  'description',
+  'replacement',
+  'severity',
+  'shouldMatch',
+  'shouldNotMatch'
+];
+
+// styleRules のうちスタイルガイドで管理するフィールド
+const GUIDE_FIELDS = ['key', 'type', 'mediaTypes', 'text', 'pattern', 'suggestion', 'description', 'replacement', 'severity', 'examples'];
+
+/**
+ * ルールの安定キーを取得（未指定の場合は種類と照合対象から生成）
+ */
+function getRuleKey(rule) {
+  if (rule.key) return rule.key;
+  return `${rule.type}:${rule.type === 'ambiguousPhrase' ? rule.text : rule.pattern}`;
+}
+
+/**
+ * 空の値かどうか
+ */
+function isBlank(value) {
+  return value === undefined || value === null || value === '' ||
+         (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * セルの値を配列に変換（YAMLでは配列のまま受け付ける）
+ */
+function toList(value, separator) {
+  if (isBlank(value)) return [];
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(item => item !== '');
+  
+  return String(value).split(separator).map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * スタイルガイドの1行をルールのデータに変換
+ */
+function entryToRule(entry) {
+  const rule = {};
+  
+  ['key', 'type', 'text', 'pattern', 'suggestion', 'description', 'replacement', 'severity'].forEach(field => {
+    if (!isBlank(entry[field])) {
+      rule[field] = String(entry[field]);
+    }
+  });
+  
+  const mediaTypes = toList(entry.mediaTypes, /[,、\s]+/);
+  if (mediaTypes.length > 0) {
+    rule.mediaTypes = mediaTypes;
+  }
+  
+  // 例文はセル内改行で区切る
+  const shouldMatch = toList(entry.shouldMatch, /\r?\n/);
+  const shouldNotMatch = toList(entry.shouldNotMatch, /\r?\n/);
+  if (shouldMatch.length > 0 || shouldNotMatch.length > 0) {
+    rule.examples = { shouldMatch, shouldNotMatch };
+  }
+  
+  return rule;
+}
+
+/**
+ * ルールをスタイルガイドの1行に変換
+ */
+function ruleToEntry(rule, format) {
+  const examples = rule.examples || {};
+  const entry = {
+    key: getRuleKey(rule),
+    type: rule.type,
+    mediaTypes: rule.mediaTypes || [],
+    text: rule.text,
+    pattern: rule.pattern,
+    suggestion: rule.suggestion,
+    description: rule.description,
+    replacement: rule.replacement,
+    severity: rule.severity,
+    shouldMatch: examples.shouldMatch || [],
+    shouldNotMatch: examples.shouldNotMatch || []
+  };
+  
+  if (format === 'csv') {
+    entry.mediaTypes = entry.mediaTypes.join(',');
+    entry.shouldMatch = entry.shouldMatch.join('\n');
+    entry.shouldNotMatch = entry.shouldNotMatch.join('\n');
+    return entry;
+  }
+  
+  // YAMLでは空の項目を出力しない
+  Object.keys(entry).forEach(field => {
+    if (isBlank(entry[field])) {
+      delete entry[field];
+    }
+  });
+  
+  return entry;
+}
+
+/**
+ * 形式の指定を検証
+ */
+function normalizeFormat(format) {
+  const normalized = String(format || '').toLowerCase() === 'yml' ? 'yaml' : String(format || '').toLowerCase();
+  
+  if (!CONFIG.FORMATS.includes(normalized)) {
+    throw ruleManager.createValidationError(`format は ${CONFIG.FORMATS.join(' / ')} のいずれかを指定してください`);
+  }
+  
+  return normalized;
+}
+
+/**
+ * スタイルガイドを解析して行の一覧を返す（row はエディタ上の行番号）
+ */
+function parseStyleGuide(content, format) {
+  let entries;
+  let firstRow;
+  
+  try {
+    if (format === 'csv') {
+      entries = parseCSV(content, { columns: true, bom: true, skip_empty_lines: true });
+      firstRow = 2;
+    } else {
+      const document = yaml.load(content) || [];
+      entries = Array.isArray(document) ? document : document.rules;
+      firstRow = 1;
+    }
+  } catch (error) {
+    throw ruleManager.createValidationError('スタイルガイドの解析に失敗しました: ' + error.message);
+  }
+  
+  if (!Array.isArray(entries)) {
+    throw ruleManager.createValidationError('スタイルガイドにはルールの一覧を指定してください');
+  }
+  
+  return entries.map((entry, index) => ({ row: index + firstRow, rule: entryToRule(entry || {}) }));
+}
+
+/**
+ * 比較用に値を正規化
+ */
+function comparable(field, value) {
+  if (isBlank(value)) return null;
+  if (field === 'mediaTypes') return [...value].sort();
+  if (field === 'examples') {
+    const shouldMatch = value.shouldMatch || [];
+    const shouldNotMatch = value.shouldNotMatch || [];
+    return shouldMatch.length === 0 && shouldNotMatch.length === 0 ? null : { shouldMatch, shouldNotMatch };
+  }
+  
+  return value;
+}
+
+/**
+ * 既存のルールとの差分（変更されたフィールド）を取得
+ */
+function diffRule(existing, rule) {
+  const changes = {};
+  
+  GUIDE_FIELDS.filter(field => field !== 'key').forEach(field => {
+    const before = comparable(field, existing[field]);
+    const after = comparable(field, rule[field]);
+    
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes[field] = { before: existing[field], after: rule[field] };
+    }
+  });
+  
+  if (existing.isActive === false) {
+    changes.isActive = { before: false, after: true };
+  }
+  
+  return changes;
+}
+
+/**
+ * 書き込み操作をバッチに分けて実行
+ */
+async function commitInBatches(db, operations) {
+  for (let i = 0; i < operations.length; i += CONFIG.BATCH_SIZE) {
+    const batch = db.batch();
+    
+    operations.slice(i, i + CONFIG.BATCH_SIZE).forEach(operation => {
+      batch.set(operation.ref, operation.data);
+    });
+    
+    await batch.commit();
+  }
+}
+
+/**
+ * スタイルガイドを styleRules にインポート
+ * 安定キーで既存のルールと照合し、追加・変更・削除の差分を算出する
+ * dryRun の場合は差分のみを返し、書き込みは行わない
+ * mediaType を指定した場合は、ガイドにないそのメディア種別のルールをそのメディア種別から外す（他に対象がなければ無効化）
+ * mediaType を指定しない場合は追加・変更のみを行い、ガイドにないルールは外さない（他のデスクのルールを無効化しないため）
+ */
+async function importStyleGuide(db, content, options = {}) {
+  const format = normalizeFormat(options.format);
+  const mediaType = options.mediaType;
+  const dryRun = options.dryRun !== false;
+  
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw ruleManager.createValidationError('スタイルガイドの内容が指定されていません');
+  }
+  
+  const entries = parseStyleGuide(content, format);
+  // キーの照合は全メディア種別のルールを対象とし、他のメディア種別と同じルールを重複して作らない
+  const existingRules = (await ruleManager.listRules(db, { includeInactive: true }))
+    .filter(rule => CONFIG.RULE_TYPES.includes(rule.type));
+  
+  const existingByKey = new Map();
+  existingRules.forEach(rule => existingByKey.set(getRuleKey(rule), rule));
+  
+  const report = {
+    dryRun,
+    format,
+    mediaType: mediaType || null,
+    added: [],
+    changed: [],
+    removed: [],
+    unchanged: 0,
+    errors: []
+  };
+  
+  const operations = [];
+  const seenKeys = new Set();
+  
+  for (const entry of entries) {
+    const key = entry.rule.type ? getRuleKey(entry.rule) : entry.rule.key;
+    const messages = [];
+    
+    if (!CONFIG.RULE_TYPES.includes(entry.rule.type)) {
+      messages.push(`type は ${CONFIG.RULE_TYPES.join(' / ')} のいずれかを指定してください`);
+    } else if (seenKeys.has(key)) {
+      messages.push(`キー「${key}」が重複しています`);
+    }
+    
+    if (messages.length > 0) {
+      report.errors.push({ row: entry.row, key, messages });
+      continue;
+    }
+    
+    seenKeys.add(key);
+    
+    const existing = existingByKey.get(key);
+    const data = { ...entry.rule, key };
+    
+    // メディア種別が未指定の行は、既存のルールならその設定を引き継ぎ、新規なら対象のメディア種別とする
+    if (!data.mediaTypes) {
+      data.mediaTypes = existing ? existing.mediaTypes : (mediaType ? [mediaType] : undefined);
+    }
+    
+    // 他のメディア種別のルールと一致した行にも、インポート先のメディア種別を重複させずに追加する
+    if (mediaType && data.mediaTypes && !data.mediaTypes.includes(mediaType)) {
+      data.mediaTypes = [...data.mediaTypes, mediaType];
+    }
+    
+    let rule;
+    try {
+      rule = ruleManager.validateRule(data);
+    } catch (error) {
+      report.errors.push({ row: entry.row, key, messages: error.details || [error.message] });
+      continue;
+    }
+    
+    const changes = existing ? diffRule(existing, rule) : null;
+    if (existing && Object.keys(changes).length === 0) {
+      report.unchanged++;
+      continue;
+    }
+    
+    // 追加・変更するルールは例文で検証
+    const testResult = await ruleTester.testRule(rule);
+    if (!testResult.passed) {
+      report.errors.push({
+        row: entry.row,
+        key,
+        messages: testResult.failures.map(failure => `${failure.example}: ${failure.message}`)
+      });
+      continue;
+    }
+    
+    if (existing) {
+      const preserved = {};
+      Object.keys(existing).forEach(field => {
+        if (field !== 'id' && !GUIDE_FIELDS.includes(field)) {
+          preserved[field] = existing[field];
+        }
+      });
+      
+      report.changed.push({ key, id: existing.id, row: entry.row, changes });
+      operations.push({
+        ref: db.collection('styleRules').doc(existing.id),
+        data: { ...preserved, ...rule, isActive: true, updatedAt: Date.now() }
+      });
+    } else {
+      const ref = db.collection('styleRules').doc();
+      
+      report.added.push({ key, row: entry.row, rule });
+      operations.push({
+        ref,
+        data: { ...rule, isActive: true, createdAt: Date.now(), updatedAt: Date.now() }
+      });
+    }
+  }
+  
+  // ガイドから削除されたそのメディア種別のルール（無効化済みのものは対象外）
+  existingRules
+    .filter(rule => mediaType && rule.isActive !== false && !seenKeys.has(getRuleKey(rule)))
+    .filter(rule => (rule.mediaTypes || []).includes(mediaType))
+    .forEach(rule => {
+      const { id, ...data } = rule;
+      const remainingMediaTypes = (rule.mediaTypes || []).filter(type => type !== mediaType);
+      const action = remainingMediaTypes.length > 0 ? 'detach' : 'deactivate';
+      
+      report.removed.push({ key: getRuleKey(rule), id, action });
+      operations.push({
+        ref: db.collection('styleRules').doc(id),
+        data: action === 'detach'
+          ? { ...data, mediaTypes: remainingMediaTypes, updatedAt: Date.now() }
+          : { ...data, isActive: false, updatedAt: Date.now() }
+      });
+    });
+  
+  if (dryRun) {
+    return report;
+  }
+  
+  if (report.errors.length > 0) {
+    throw ruleManager.createValidationError('スタイルガイドの内容が不正です', report.errors);
+  }
+  
+  try {
+    await commitInBatches(db, operations);
+    
+    report.written = operations.length;
+    return report;
+  } catch (error) {
+    console.error('スタイルガイドインポートエラー:', error);
+    throw new Error('スタイルガイドのインポート中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * styleRules をスタイルガイドの形式で出力（インポートと同じ形式）
+ */
+async function exportStyleGuide(db, options = {}) {
+  const format = normalizeFormat(options.format);
+  const rules = (await ruleManager.listRules(db, { mediaType: options.mediaType }))
+    .filter(rule => CONFIG.RULE_TYPES.includes(rule.type))
+    .sort((a, b) => getRuleKey(a).localeCompare(getRuleKey(b)));
+  
+  const entries = rules.map(rule => ruleToEntry(rule, format));
+  
+  try {
+    const content = format === 'csv'
+      ? stringifyCSV(entries, { header: true, columns: COLUMNS, bom: true })
+      : yaml.dump({ rules: entries }, { lineWidth: -1 });
+    
+    return { format, count: entries.length, content };
+  } catch (error) {
+    console.error('スタイルガイドエクスポートエラー:', error);
+    throw new Error('スタイルガイドのエクスポート中にエラーが発生しました: ' + error.message);
+  }
+}
+
+module.exports = {
+  CONFIG,
+  parseStyleGuide,
+  importStyleGuide,
+  exportStyleGuide
+};
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * TextStation Pro - 修正候補の自動適用
+ * 分析で検出された置換可能な指摘をテキストに反映し、差分を生成
+ */
+
+// 差分計算を行う置換区間の最大長（これを超える区間は削除＋挿入として扱う）
+const MAX_DIFF_SEGMENT_LENGTH = 500;
+
+/**
+ * 置換テンプレート（$&, $1〜$99, $<name>, $$）を一致結果で展開
+ */
+function expandReplacement(template, match) {
+  return template.replace(/\$(\$|&|<([^>]+)>|(\d{1,2}))/g, (token, symbol, name, index) => {
+    if (symbol === '$') return '$';
+    if (symbol === '&') return match[0];
+    if (name !== undefined) return (match.groups && match.groups[name]) || '';
+    
+    const group = match[Number(index)];
+    return group === undefined ? '' : group;
+  });
+}
+
+/**
+ * 2つの文字列の文字単位の差分を計算（LCSによる）
+ */
+function diffChars(before, after) {
+  if (before.length > MAX_DIFF_SEGMENT_LENGTH || after.length > MAX_DIFF_SEGMENT_LENGTH) {
+    return [
+      { type: 'delete', text: before },
+      { type: 'insert', text: after }
+    ].filter(op => op.text.length > 0);
+  }
+  
+  // LCS長の表を末尾から作成
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const table = new Array(rows * cols).fill(0);
+  
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i * cols + j] = before[i] === after[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+  
+  const ops = [];
+  const push = (type, char) => {
+    const lastOp = ops[ops.length - 1];
+    if (lastOp && lastOp.type === type) {
+      lastOp.text += char;
+    } else {
+      ops.push({ type, text: char });
+    }
+  };
+  
+  let i = 0;
+  let j = 0;
+  
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      push('equal', before[i]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      push('delete', before[i]);
+      i++;
+    } else {
+      push('insert', after[j]);
+      j++;
+    }
+  }
+  
+  while (i < before.length) push('delete', before[i++]);
+  while (j < after.length) push('insert', after[j++]);
+  
+  return ops;
+}
+
+/**
+ * 差分の操作列に追加（同種の操作は結合）
+ */
+function appendOps(diff, ops) {
+  ops.forEach(op => {
+    if (op.text.length === 0) return;
+    
+    const lastOp = diff[diff.length - 1];
+    if (lastOp && lastOp.type === op.type) {
+      lastOp.text += op.text;
+    } else {
+      diff.push({ ...op });
+    }
+  });
+}
+
+/**
+ * 指摘を一意に識別するキー
+ */
+function issueKey(issue) {
+  return `${issue.type}:${issue.rule}:${issue.start}:${issue.end}`;
+}
+
+/**
+ * 修正候補をテキストに適用
+ * findings は利用者が採用した指摘（analyzeText の issues の要素）
+ * applyAllSafe が true の場合は置換内容が確定している指摘をすべて適用
+ */
+function applySuggestions(text, issues, options = {}) {
+  const { findings = [], applyAllSafe = false } = options;
+  const skipped = [];
+  const candidates = [];
+  
+  // 最新の分析結果と照合し、置換内容を決定
+  const issuesByKey = {};
+  issues.forEach(issue => {
+    issuesByKey[issueKey(issue)] = issue;
+  });
+  
+  if (applyAllSafe) {
+    issues.forEach(issue => {
+      if (typeof issue.replacement === 'string') {
+        candidates.push(issue);
+      }
+    });
+  }
+  
+  findings.forEach(finding => {
+    const issue = issuesByKey[issueKey(finding)];
+    
+    if (!issue) {
+      skipped.push({ finding, reason: 'notFound', message: '該当する指摘が現在のテキストに見つかりません' });
+      return;
+    }
+    
+    // 利用者が置換後の文字列を指定した場合はそれを優先
+    const replacement = typeof finding.replacement === 'string' ? finding.replacement : issue.replacement;
+    
+    if (typeof replacement !== 'string') {
+      skipped.push({ finding: issue, reason: 'noReplacement', message: '自動修正できない指摘です' });
+      return;
+    }
+    
+    // 利用者が採用した指摘は一括適用の候補より優先
+    const index = candidates.findIndex(candidate => issueKey(candidate) === issueKey(issue));
+    if (index !== -1) {
+      candidates.splice(index, 1);
+    }
+    
+    candidates.push({ ...issue, replacement });
+  });
+  
+  // 同じ範囲に異なる置換候補がある場合はどちらも適用しない
+  const byRange = {};
+  candidates.forEach(candidate => {
+    const rangeKey = `${candidate.start}:${candidate.end}`;
+    (byRange[rangeKey] = byRange[rangeKey] || []).push(candidate);
+  });
+  
+  const unambiguous = [];
+  Object.values(byRange).forEach(group => {
+    const replacements = new Set(group.map(candidate => candidate.replacement));
+    
+    if (replacements.size > 1) {
+      group.forEach(candidate => {
+        skipped.push({ finding: candidate, reason: 'ambiguous', message: '同じ箇所に複数の修正候補があります' });
+      });
+    } else {
+      unambiguous.push(group[0]);
+    }
+  });
+  
+  // 位置順に並べ、先に採用した修正と重なるものは適用しない
+  unambiguous.sort((a, b) => a.start - b.start || a.end - b.end);
+  
+  const applied = [];
+  unambiguous.forEach(candidate => {
+    const previous = applied[applied.length - 1];
+    
+    if (previous && candidate.start < previous.end) {
+      skipped.push({ finding: candidate, reason: 'overlap', message: '他の修正と範囲が重なっています' });
+      return;
+    }
+    
+    applied.push(candidate);
+  });
+  
+  // 修正後のテキストと文字単位の差分を生成
+  const diff = [];
+  let output = '';
+  let cursor = 0;
+  
+  applied.forEach(fix => {
+    const unchanged = text.slice(cursor, fix.start);
+    const original = text.slice(fix.start, fix.end);
+    
+    appendOps(diff, [{ type: 'equal', text: unchanged }]);
+    appendOps(diff, diffChars(original, fix.replacement));
+    
+    output += unchanged + fix.replacement;
+    cursor = fix.end;
+  });
+  
+  appendOps(diff, [{ type: 'equal', text: text.slice(cursor) }]);
+  output += text.slice(cursor);
+  
+  return {
+    text: output,
+    diff,
+    applied: applied.map(fix => ({
+      type: fix.type,
+      rule: fix.rule,
+      start: fix.start,
+      end: fix.end,
+      text: fix.text,
+      replacement: fix.replacement
+    })),
+    skipped
+  };
+}
+
+module.exports = {
+  expandReplacement,
+  diffChars,
+  applySuggestions
+};
\ No newline at end of file
@@ -0,0 +1,326 @@
+/**
+ * TextStation Pro - 指摘の抑制
+ * 本文中の抑制マーカーと、ユーザー・文書ごとの無視リスト（Firestore）による指摘の除外
+ *
+ * マーカーの書式（ルールの指定を省略した場合はすべての指摘が対象）
+ *   <!-- ts-ignore たくさん -->                  マーカーを含む文の指摘を抑制
+ *   <!-- ts-disable ambiguousPhrase -->         以降の指摘を抑制（ts-enable まで）
+ *   <!-- ts-enable -->                          抑制を終了
+ * ルールは「指摘の種類」「指摘の種類:ルール」「ルール」のいずれかで、複数指定する場合は空白またはカンマで区切る
+ */
+
+const { CATEGORY_LABELS } = require('./scoring');
+
+// 設定
+const CONFIG = {
+  COLLECTION: 'ignoreLists',
+  SCOPES: ['user', 'document'],   // 無視リストの種類
+  MAX_ENTRIES: 500                // 1つの無視リストに登録できる最大件数
+};
+
+// 抑制マーカー
+const MARKER_PATTERN = /<!--\s*ts-(ignore|disable|enable)\b([\s\S]*?)-->/g;
+
+/**
+ * マーカーのルール指定を解析
+ */
+function parseSpecs(value) {
+  return value.split(/[\s,、]+/).filter(spec => spec !== '');
+}
+
+/**
+ * ルール指定が指摘に該当するかどうか
+ */
+function matchesSpec(spec, issue) {
+  if (spec === '*') return true;
+  
+  const separator = spec.indexOf(':');
+  if (separator > 0 && CATEGORY_LABELS[spec.slice(0, separator)]) {
+    return issue.type === spec.slice(0, separator) && issue.rule === spec.slice(separator + 1);
+  }
+  
+  if (CATEGORY_LABELS[spec]) {
+    return issue.type === spec;
+  }
+  
+  return issue.rule === spec;
+}
+
+/**
+ * テキストから抑制マーカーを取り除く
+ * 戻り値の toOriginal でマーカー除去後の位置を元のテキストの位置に変換できる
+ */
+function stripMarkers(input) {
+  const markers = [];
+  const removed = [];
+  let text = '';
+  let lastIndex = 0;
+  let match;
+  
+  MARKER_PATTERN.lastIndex = 0;
+  
+  while ((match = MARKER_PATTERN.exec(input)) !== null) {
+    text += input.slice(lastIndex, match.index);
+    
+    markers.push({
+      kind: match[1],
+      rules: parseSpecs(match[2]),
+      start: match.index,
+      end: match.index + match[0].length,
+      offset: text.length
+    });
+    removed.push({ offset: text.length, length: match[0].length });
+    
+    lastIndex = match.index + match[0].length;
+  }
+  
+  text += input.slice(lastIndex);
+  
+  // 除去後の位置 → 元の位置（終了位置はマーカーの直前、開始位置はマーカーの直後に対応させる）
+  const toOriginal = (offset, isEnd) => removed.reduce((result, range) => {
+    const before = isEnd ? range.offset < offset : range.offset <= offset;
+    return before ? result + range.length : result;
+  }, offset);
+  
+  return { text, markers, toOriginal };
+}
+
+/**
+ * マーカーから抑制範囲（元のテキストの位置）を求める
+ * sentences はマーカー除去後のテキストの文の一覧
+ */
+function createMarkerScopes(stripped, sentences) {
+  const scopes = [];
+  const open = [];
+  
+  stripped.markers.forEach(marker => {
+    const specs = marker.rules.length > 0 ? marker.rules : ['*'];
+    
+    if (marker.kind === 'ignore') {
+      // マーカーを含む文（文と文の間にある場合は直後の文）
+      const position = marker.offset + stripped.text.slice(marker.offset).match(/^\s*/)[0].length;
+      const sentence = sentences.filter(span => span.start <= position).pop() || sentences[0];
+      if (!sentence) return;
+      
+      specs.forEach(spec => scopes.push({
+        spec,
+        start: stripped.toOriginal(sentence.start, false),
+        end: stripped.toOriginal(sentence.end, true),
+        marker: { kind: marker.kind, start: marker.start, end: marker.end }
+      }));
+    } else if (marker.kind === 'disable') {
+      specs.forEach(spec => open.push({ spec, start: marker.end, marker }));
+    } else {
+      // ルールを指定しない ts-enable はすべての抑制を終了
+      for (let i = open.length - 1; i >= 0; i--) {
+        if (marker.rules.length === 0 || marker.rules.includes(open[i].spec)) {
+          const [closed] = open.splice(i, 1);
+          scopes.push({
+            spec: closed.spec,
+            start: closed.start,
+            end: marker.start,
+            marker: { kind: closed.marker.kind, start: closed.marker.start, end: closed.marker.end }
+          });
+        }
+      }
+    }
+  });
+  
+  // 閉じられていない抑制は末尾まで
+  open.forEach(entry => scopes.push({
+    spec: entry.spec,
+    start: entry.start,
+    end: Infinity,
+    marker: { kind: entry.marker.kind, start: entry.marker.start, end: entry.marker.end }
+  }));
+  
+  return scopes;
+}
+
+/**
+ * 無視リストの項目が指摘に該当するかどうか
+ */
+function matchesEntry(entry, issue) {
+  if (entry.type && entry.type !== issue.type) return false;
+  if (entry.rule && entry.rule !== issue.rule) return false;
+  if (entry.text && entry.text !== issue.text) return false;
+  
+  return true;
+}
+
+/**
+ * 指摘を抑制するかどうかを判定する関数を作成
+ * 抑制する場合は抑制の根拠を返す
+ */
+function createSuppressor(scopes, ignoreEntries = []) {
+  return issue => {
+    const scope = scopes.find(candidate =>
+      issue.start >= candidate.start && issue.start < candidate.end && matchesSpec(candidate.spec, issue));
+    
+    if (scope) {
+      return { source: 'marker', rule: scope.spec, marker: scope.marker };
+    }
+    
+    const entry = ignoreEntries.find(candidate => matchesEntry(candidate, issue));
+    
+    if (entry) {
+      return { source: entry.scope, id: entry.scopeId, entry: { type: entry.type, rule: entry.rule, text: entry.text } };
+    }
+    
+    return null;
+  };
+}
+
+/**
+ * 無視リストのドキュメントID
+ */
+function ignoreListId(scope, id) {
+  if (!CONFIG.SCOPES.includes(scope)) {
+    const error = new Error(`scope は ${CONFIG.SCOPES.join(' / ')} のいずれかを指定してください`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  if (typeof id !== 'string' || id === '' || id.includes('/')) {
+    const error = new Error('無視リストのIDが不正です');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return `${scope}:${id}`;
+}
+
+/**
+ * 無視リストを取得
+ */
+async function getIgnoreList(db, scope, id) {
+  const docId = ignoreListId(scope, id);
+  
+  try {
+    const doc = await db.collection(CONFIG.COLLECTION).doc(docId).get();
+    return doc.exists ? (doc.data().entries || []) : [];
+  } catch (error) {
+    console.error('無視リスト取得エラー:', error);
+    throw new Error('無視リストの取得中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 分析に適用する無視リストの項目を取得（ユーザーと文書の両方）
+ * 数値のIDは文字列として扱い、それ以外の不正なIDや取得できなかった無視リストは項目なしとして分析を続ける
+ */
+async function getIgnoreEntries(db, { userId, documentId } = {}) {
+  const lists = [
+    { scope: 'user', id: userId },
+    { scope: 'document', id: documentId }
+  ]
+    .map(list => ({ ...list, id: typeof list.id === 'number' ? String(list.id) : list.id }))
+    .filter(list => typeof list.id === 'string' && list.id !== '' && !list.id.includes('/'));
+  
+  const entries = await Promise.all(lists.map(async list => {
+    try {
+      return (await getIgnoreList(db, list.scope, list.id)).map(entry => ({ ...entry, scope: list.scope, scopeId: list.id }));
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  }));
+  
+  return [].concat(...entries);
+}
+
+/**
+ * 無視リストをトランザクションで更新
+ * update は現在の項目から更新後の項目を返す（変更がなければ null）
+ */
+async function updateIgnoreList(db, scope, id, update) {
+  const docId = ignoreListId(scope, id);
+  const ref = db.collection(CONFIG.COLLECTION).doc(docId);
+  
+  try {
+    return await db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      const entries = doc.exists ? (doc.data().entries || []) : [];
+      const updated = update(entries);
+      
+      if (!updated) {
+        return { success: true, entries };
+      }
+      
+      transaction.set(ref, {
+        scope,
+        id,
+        entries: updated,
+        updatedAt: Date.now()
+      });
+      
+      return { success: true, entries: updated };
+    });
+  } catch (error) {
+    if (error.statusCode) throw error;
+    
+    console.error('無視リスト更新エラー:', error);
+    throw new Error('無視リストの更新中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * 無視リストに項目を追加
+ */
+async function addIgnoreEntry(db, scope, id, entry) {
+  ignoreListId(scope, id);
+  
+  if (!entry || (!entry.rule && !entry.text)) {
+    const error = new Error('無視する指摘のルールまたはテキストを指定してください');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const newEntry = { createdAt: Date.now() };
+  ['type', 'rule', 'text', 'note'].forEach(field => {
+    if (typeof entry[field] === 'string' && entry[field] !== '') {
+      newEntry[field] = entry[field];
+    }
+  });
+  
+  return updateIgnoreList(db, scope, id, entries => {
+    if (entries.some(existing => existing.type === newEntry.type && existing.rule === newEntry.rule && existing.text === newEntry.text)) {
+      return null;
+    }
+    
+    if (entries.length >= CONFIG.MAX_ENTRIES) {
+      const error = new Error(`無視リストに登録できるのは${CONFIG.MAX_ENTRIES}件までです`);
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    return [...entries, newEntry];
+  });
+}
+
+/**
+ * 無視リストから項目を削除（type・rule・text が一致する項目）
+ */
+async function removeIgnoreEntry(db, scope, id, entry) {
+  const target = entry || {};
+  
+  return updateIgnoreList(db, scope, id, entries => {
+    const updated = entries.filter(existing =>
+      !((existing.type || '') === (target.type || '') &&
+        (existing.rule || '') === (target.rule || '') &&
+        (existing.text || '') === (target.text || '')));
+    
+    return updated.length === entries.length ? null : updated;
+  });
+}
+
+module.exports = {
+  CONFIG,
+  stripMarkers,
+  createMarkerScopes,
+  createSuppressor,
+  getIgnoreList,
+  getIgnoreEntries,
+  addIgnoreEntry,
+  removeIgnoreEntry
+};
\ No newline at end of file
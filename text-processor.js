@@ -3,8 +3,76 @@
  * テキスト分析と検索機能の中核となるロジックを提供
  */
 
+const crypto = require('crypto');
 const { google } = require('googleapis');
 const { JWT } = require('google-auth-library');
+const endingDetector = require('./ending-detector');
+const notationChecker = require('./notation-checker');
+const suggestionApplier = require('./suggestion-applier');
+const readability = require('./readability');
+const scoring = require('./scoring');
+const regexSafety = require('./regex-safety');
+const segmenter = require('./segmenter');
+const mediaMeasurements = require('./media-measurements');
+const suppression = require('./suppression');
+const searchQuery = require('./search-query');
+const fileExtractor = require('./file-extractor');
+const factChecker = require('./fact-checker');
+const properNounChecker = require('./proper-noun-checker');
+const utils = require('./utils');
+
+// メディア種別の一覧
+const MEDIA_TYPES = ['一般', '放送', '新聞', '雑誌', '広告'];
+
+// 分析の段階（ストリーミング分析の進捗通知に使用。readability は詳細分析の場合のみ）
+const ANALYSIS_PHASES = [
+  { phase: 'prepare', label: '前処理' },
+  { phase: 'ambiguousPhrase', label: '曖昧な表現' },
+  { phase: 'repetitiveEnding', label: '語尾の重複' },
+  { phase: 'mediaSpecific', label: 'メディア固有ルール' },
+  { phase: 'notationInconsistency', label: '表記ゆれ' },
+  { phase: 'properNoun', label: '固有名詞' },
+  { phase: 'factConsistency', label: '日付・数値の整合性' },
+  { phase: 'measurement', label: '分量' },
+  { phase: 'score', label: 'スコア計算' },
+  { phase: 'readability', label: '読みやすさ' }
+];
+
+// Drive検索の設定
+const SEARCH_CONFIG = {
+  DEFAULT_PAGE_SIZE: 20,   // 1ページの件数の既定値
+  MAX_PAGE_SIZE: 100,      // 1ページの最大件数
+  ORDER_BY: {              // 並び順（relevance は Drive の関連度順）
+    relevance: null,
+    modifiedTime: 'modifiedTime desc',
+    name: 'name'
+  },
+  DEFAULT_ORDER: 'modifiedTime',
+  DEFAULT_CONTEXTS: 3,     // 1ファイルあたりの一致箇所のコンテキスト数の既定値
+  MAX_CONTEXTS: 20,        // 1ファイルあたりの一致箇所のコンテキスト数の上限
+  MAX_CONTEXT_LENGTH: 160, // コンテキストの最大文字数（長い文は一致箇所の前後だけを切り出す）
+  SNIPPET_CONCURRENCY: 5,  // スニペットのために同時に本文を取得するファイル数（PDF のダウンロードと解析を同時に行いすぎないため）
+  FILE_TYPES: {            // 検索対象のファイル形式
+    docs: 'application/vnd.google-apps.document',
+    pdf: 'application/pdf',
+    text: 'text/plain'
+  },
+  PERIODS: ['1w', '1m', '3m', 'all'],   // 期間の指定
+  MAX_ROOT_FOLDERS: 20,    // 検索範囲に指定できるフォルダ数
+  MAX_SCOPE_FOLDERS: 2000, // サブフォルダを含めた検索範囲のフォルダ数の上限（階層を辿る問い合わせの回数を抑えるため）
+  FOLDER_QUERY_CHUNK: 20,  // サブフォルダを1回の問い合わせで調べる親フォルダ数
+  PARENTS_PER_QUERY: 50,   // 1回の検索のクエリに含めるフォルダ数（Drive のクエリの長さの制限のため、超える分は別の検索に分ける）
+  LIST_CONCURRENCY: 4,     // フォルダを分けた検索を同時に実行する数
+  FOLDER_CACHE_TTL_MS: 5 * 60 * 1000,  // サブフォルダの一覧のキャッシュの有効期間（ミリ秒）
+  MAX_FOLDER_CACHE_ENTRIES: 100        // サブフォルダの一覧のキャッシュの最大件数
+};
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+// フォルダごとのサブフォルダを含めたフォルダIDの一覧（ページ送りのたびに辿り直さないため）
+const folderCache = new Map();
 
 // Google認証クライアント
 let jwtClient = null;
@@ -24,63 +92,267 @@ function getAuthClient() {
   return jwtClient;
 }
 
+/**
+ * Google Drive APIクライアントを取得
+ */
+function getDriveClient() {
+  return google.drive({ version: 'v3', auth: getAuthClient() });
+}
+
+/**
+ * 空のルールセットを作成
+ */
+function createEmptyRules(mediaType) {
+  return {
+    mediaType: mediaType || '一般',
+    profile: {},
+    ambiguousPhrases: [],
+    repetitivePatterns: [],
+    mediaSpecificRules: [],
+    notationVariants: [],
+    properNouns: []
+  };
+}
+
+/**
+ * メディア種別ごとの設定（目標範囲など）をFirestoreから取得
+ */
+async function getMediaProfile(db, mediaType) {
+  const profileRef = db.collection('mediaProfiles').doc(mediaType || '一般');
+  const profile = await profileRef.get();
+  
+  return profile.exists ? profile.data() : {};
+}
+
+/**
+ * styleRules のドキュメントを分析用のルールに変換して追加
+ */
+function addStyleRule(rules, data) {
+  if (data.type === 'ambiguousPhrase') {
+    rules.ambiguousPhrases.push({
+      text: data.text,
+      // text は文字どおりに照合し、正規表現は pattern が指定された場合のみ使う
+      pattern: data.pattern || utils.escapeRegExp(data.text || ''),
+      suggestion: data.suggestion,
+      replacement: data.replacement,
+      severity: scoring.normalizeSeverity(data.severity)
+    });
+  } else if (data.type === 'repetitivePattern') {
+    rules.repetitivePatterns.push({
+      pattern: data.pattern,
+      suggestion: data.suggestion,
+      severity: scoring.normalizeSeverity(data.severity)
+    });
+  } else if (data.type === 'mediaSpecific') {
+    rules.mediaSpecificRules.push({
+      pattern: data.pattern,
+      description: data.description,
+      mediaType: data.mediaType,
+      replacement: data.replacement,
+      severity: scoring.normalizeSeverity(data.severity)
+    });
+  } else if (data.type === 'notationVariant') {
+    rules.notationVariants.push({
+      reading: data.reading,
+      variants: data.variants || [],
+      severity: scoring.normalizeSeverity(data.severity)
+    });
+  }
+  
+  return rules;
+}
+
+/**
+ * 固有名詞辞書の有効な項目を取得（mediaTypes の指定がない項目はすべてのメディア種別が対象）
+ */
+async function getProperNouns(db, mediaType) {
+  const snapshot = await db.collection('properNouns').where('isActive', '==', true).get();
+  const entries = [];
+  
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    
+    if (Array.isArray(data.mediaTypes) && data.mediaTypes.length > 0 &&
+        mediaType && mediaType !== '一般' && !data.mediaTypes.includes(mediaType)) return;
+    
+    entries.push({
+      canonical: data.canonical,
+      shortForms: data.shortForms || [],
+      variants: data.variants || [],
+      fullNameOnFirstMention: !!data.fullNameOnFirstMention,
+      severity: data.severity ? scoring.normalizeSeverity(data.severity) : undefined
+    });
+  });
+  
+  return entries;
+}
+
+/**
+ * メディア種別に応じたルールをFirestoreから読み込む（失敗時は例外を送出）
+ */
+async function loadMediaRules(db, mediaType) {
+  const rulesRef = db.collection('styleRules');
+  let query = rulesRef.where('isActive', '==', true);
+  
+  if (mediaType && mediaType !== '一般') {
+    query = query.where('mediaTypes', 'array-contains', mediaType);
+  }
+  
+  const snapshot = await query.get();
+  
+  const rules = createEmptyRules(mediaType);
+  rules.profile = await getMediaProfile(db, mediaType);
+  rules.properNouns = await getProperNouns(db, mediaType);
+  
+  snapshot.forEach(doc => {
+    addStyleRule(rules, doc.data());
+  });
+  
+  return rules;
+}
+
 /**
  * メディア種別に応じたルールをFirestoreから取得
  */
 async function getMediaRules(db, mediaType) {
   try {
-    const rulesRef = db.collection('styleRules');
-    let query = rulesRef.where('isActive', '==', true);
+    return await loadMediaRules(db, mediaType);
+  } catch (error) {
+    console.error('ルール取得エラー:', error);
+    return createEmptyRules(mediaType);
+  }
+}
+
+/**
+ * テキストを文単位に分割し、各文の位置情報を返す
+ */
+function splitSentences(text) {
+  const sentences = [];
+  const regex = /[^。．.!?！？]+[。．.!?！？]*|[。．.!?！？]+/g;
+  let match;
+  
+  while ((match = regex.exec(text)) !== null) {
+    const raw = match[0].replace(/[。．.!?！？]+$/, '');
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    
+    if (trimmed.length === 0) continue;
+    
+    sentences.push({
+      index: sentences.length,
+      start: match.index + leading,
+      end: match.index + leading + trimmed.length,
+      text: trimmed
+    });
+  }
+  
+  return sentences;
+}
+
+/**
+ * 文字オフセットから行番号・文番号・区間の種類を引くための索引を作成
+ * toOriginal を指定した場合、開始・終了位置は抑制マーカーを取り除く前のテキストの位置で返す
+ */
+function createPositionIndex(text, sentences, segments = [], toOriginal = offset => offset) {
+  const lineStarts = [0];
+  
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+  
+  // オフセット以下で最大の開始位置を二分探索で求める
+  const findLast = (starts, offset) => {
+    let low = 0;
+    let high = starts.length - 1;
     
-    if (mediaType && mediaType !== '一般') {
-      query = query.where('mediaTypes', 'array-contains', mediaType);
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (starts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
     }
     
-    const snapshot = await query.get();
+    return low;
+  };
+  
+  const sentenceStarts = sentences.map(sentence => sentence.start);
+  
+  return {
+    locate(start, end) {
+      return {
+        start: toOriginal(start, false),
+        end: toOriginal(end, true),
+        line: findLast(lineStarts, start),
+        sentenceIndex: sentenceStarts.length > 0 ? findLast(sentenceStarts, start) : 0,
+        spanKind: segmenter.kindAt(segments, start),
+        text: text.slice(start, end)
+      };
+    }
+  };
+}
+
+/**
+ * 正規表現に一致するすべての箇所の開始・終了位置を取得
+ * 置換テンプレートが指定された場合は一致ごとの置換後の文字列も求める
+ */
+function findMatches(text, pattern, replacement) {
+  // コンパイル済みの正規表現が渡された場合はそれを再利用
+  const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, 'g');
+  regex.lastIndex = 0;
+  const matches = [];
+  let match;
+  
+  while ((match = regex.exec(text)) !== null) {
+    // 空文字に一致した場合は無限ループを避けて次へ進める
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
     
-    const rules = {
-      ambiguousPhrases: [],
-      repetitivePatterns: [],
-      mediaSpecificRules: []
-    };
+    const found = { start: match.index, end: match.index + match[0].length };
     
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      
-      if (data.type === 'ambiguousPhrase') {
-        rules.ambiguousPhrases.push({
-          text: data.text,
-          suggestion: data.suggestion
-        });
-      } else if (data.type === 'repetitivePattern') {
-        rules.repetitivePatterns.push({
-          pattern: data.pattern,
-          suggestion: data.suggestion
-        });
-      } else if (data.type === 'mediaSpecific') {
-        rules.mediaSpecificRules.push({
-          pattern: data.pattern,
-          description: data.description,
-          mediaType: data.mediaType
-        });
-      }
-    });
+    if (typeof replacement === 'string') {
+      found.replacement = suggestionApplier.expandReplacement(replacement, match);
+    }
     
-    return rules;
-  } catch (error) {
-    console.error('ルール取得エラー:', error);
-    return {
-      ambiguousPhrases: [],
-      repetitivePatterns: [],
-      mediaSpecificRules: []
-    };
+    matches.push(found);
   }
+  
+  return matches;
+}
+
+/**
+ * 一致箇所の位置情報を求め、置換後の文字列があれば引き継ぐ
+ */
+function locateMatch(positions, match) {
+  const occurrence = positions.locate(match.start, match.end);
+  
+  if (match.replacement !== undefined) {
+    occurrence.replacement = match.replacement;
+  }
+  
+  return occurrence;
+}
+
+/**
+ * 検出箇所の一覧を位置順（開始位置→終了位置）に並べ替え
+ */
+function sortByPosition(issues) {
+  return issues.sort((a, b) => a.start - b.start || a.end - b.end);
 }
 
 /**
  * テキスト分析を実行
+ * options.ignoreEntries は無視リストの項目（抑制マーカーとあわせて該当する指摘を suppressed に分ける）
+ * options.referenceDate は日付の前後関係を検証する基準日（YYYY-MM-DD）
+ * options.onProgress は段階ごとに { phase, label, index, total, findings } で呼ばれ、findings はその段階で見つかった指摘
+ * options.isCancelled が true を返した場合は次の段階に進まず、cancelled を付けたエラーを送出する
  */
-async function analyzeText(text, mediaRules, detailedAnalysis) {
+async function analyzeText(input, mediaRules, detailedAnalysis, options = {}) {
   try {
     // 結果オブジェクト
     const result = {
@@ -88,248 +360,1234 @@ async function analyzeText(text, mediaRules, detailedAnalysis) {
       ambiguousPhrases: [],
       repetitiveEndings: [],
       mediaSpecificIssues: [],
+      notationInconsistencies: [],
+      properNounIssues: [],
+      endingPatterns: {},
+      issues: [],
+      segments: [],
+      measurements: {},
+      factChecks: { referenceDate: null, dates: [] },
+      suppressed: [],
+      ruleErrors: [],
       improvements: []
     };
     
+    // 抑制マーカーを取り除いたテキストを分析する（結果の位置はマーカーを含む元のテキストの位置）
+    const stripped = suppression.stripMarkers(input || '');
+    const text = stripped.text;
+    
     // テキストが空の場合は空の結果を返す
-    if (!text || text.trim() === '') {
+    if (text.trim() === '') {
       return result;
     }
     
+    const sentenceSpans = splitSentences(text);
+    const segments = segmenter.segmentText(text);
+    const positions = createPositionIndex(text, sentenceSpans, segments, stripped.toOriginal);
+    const profile = mediaRules.profile || {};
+    
+    result.segments = segments.map(segment => ({
+      ...segment,
+      start: stripped.toOriginal(segment.start, false),
+      end: stripped.toOriginal(segment.end, true)
+    }));
+    
+    // 抑制マーカーと無視リストに該当する指摘を除外し、監査用に suppressed へ記録
+    const isSuppressed = suppression.createSuppressor(
+      suppression.createMarkerScopes(stripped, sentenceSpans), options.ignoreEntries);
+    const unsuppressed = (type, rule, occurrences) => occurrences.filter(occurrence => {
+      const suppressedBy = isSuppressed({ type, rule, ...occurrence });
+      
+      if (suppressedBy) {
+        result.suppressed.push({ type, rule, ...occurrence, suppressedBy });
+      }
+      
+      return !suppressedBy;
+    });
+    
+    // 指摘の種類ごとに、照合しない区間（引用・URLなど）を空白に置き換えたテキスト
+    const maskedTexts = {};
+    const textFor = type => {
+      if (!maskedTexts[type]) {
+        const kinds = (profile.spanKinds && profile.spanKinds[type]) || segmenter.RULE_SPAN_KINDS[type];
+        maskedTexts[type] = segmenter.maskText(text, segments, kinds);
+      }
+      
+      return maskedTexts[type];
+    };
+    
+    // ルールごとの照合（不正なルールは分析全体を止めずに結果で報告する）
+    const matchRule = (type, id, rule, pattern) => {
+      try {
+        if (rule.error) {
+          throw new Error(rule.error);
+        }
+        
+        if (!rule.regex) {
+          const safety = regexSafety.checkPatternSafety(pattern);
+          if (!safety.safe) {
+            throw new Error(safety.reason);
+          }
+        }
+        
+        return findMatches(textFor(type), rule.regex || pattern, rule.replacement)
+          .map(match => locateMatch(positions, match));
+      } catch (error) {
+        result.ruleErrors.push({ type, rule: id, message: error.message });
+        return [];
+      }
+    };
+    
+    // 段階ごとの進捗通知とキャンセルの確認
+    const phases = ANALYSIS_PHASES.filter(entry => detailedAnalysis || entry.phase !== 'readability');
+    let reported = 0;
+    const checkpoint = async phase => {
+      if (options.onProgress) {
+        const index = phases.findIndex(entry => entry.phase === phase);
+        
+        options.onProgress({
+          phase,
+          label: phases[index].label,
+          index: index + 1,
+          total: phases.length,
+          findings: result.issues.slice(reported)
+        });
+        reported = result.issues.length;
+        
+        // 接続の切断などを処理できるよう、次の段階の前にイベントループに制御を返す
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      
+      if (options.isCancelled && options.isCancelled()) {
+        const error = new Error('分析がキャンセルされました');
+        error.cancelled = true;
+        throw error;
+      }
+    };
+    
+    await checkpoint('prepare');
+    
     // 曖昧語の検出
     mediaRules.ambiguousPhrases.forEach(phrase => {
-      const regex = new RegExp(phrase.text, 'g');
-      const matches = text.match(regex);
+      const occurrences = unsuppressed('ambiguousPhrase', phrase.text,
+        matchRule('ambiguousPhrase', phrase.text, phrase, phrase.pattern));
       
-      if (matches && matches.length > 0) {
+      if (occurrences.length > 0) {
         result.ambiguousPhrases.push({
           text: phrase.text,
-          count: matches.length,
-          suggestion: phrase.suggestion
+          count: occurrences.length,
+          suggestion: phrase.suggestion,
+          severity: scoring.normalizeSeverity(phrase.severity),
+          occurrences
+        });
+        
+        occurrences.forEach(occurrence => {
+          result.issues.push({
+            type: 'ambiguousPhrase',
+            rule: phrase.text,
+            ...occurrence,
+            severity: scoring.normalizeSeverity(phrase.severity),
+            suggestion: phrase.suggestion
+          });
         });
       }
     });
     
-    // 語尾かぶりの検出
-    const sentences = text.split(/[。．.!?！？]/);
-    const endingPatterns = {};
+    await checkpoint('ambiguousPhrase');
+    
+    // 語尾かぶりの検出（形態素解析で語尾を正規化）
+    const endingAnalysis = await endingDetector.analyzeEndings(splitSentences(textFor('repetitiveEnding')));
+    const endingGroups = {};
     
-    sentences.forEach(sentence => {
-      const trimmed = sentence.trim();
-      if (trimmed.length === 0) return;
+    result.endingPatterns = endingAnalysis.counts;
+    
+    endingAnalysis.endings.forEach(ending => {
+      if (!endingGroups[ending.pattern]) {
+        endingGroups[ending.pattern] = { occurrences: [], consecutiveRuns: [], consecutiveStarts: new Set() };
+      }
+      
+      endingGroups[ending.pattern].occurrences.push(positions.locate(ending.start, ending.end));
+    });
+    
+    endingAnalysis.runs.forEach(run => {
+      // 文番号は引用などを除く前の元のテキストでの番号
+      endingGroups[run.pattern].consecutiveRuns.push({
+        sentenceIndex: positions.locate(run.endings[0].start, run.endings[0].end).sentenceIndex,
+        length: run.length
+      });
       
-      // 語尾パターンを検出（最後の5文字）
-      const ending = trimmed.slice(-5);
-      endingPatterns[ending] = (endingPatterns[ending] || 0) + 1;
+      run.endings.forEach(ending =>
+        endingGroups[run.pattern].consecutiveStarts.add(stripped.toOriginal(ending.start, false)));
     });
     
-    for (const [pattern, count] of Object.entries(endingPatterns)) {
-      if (count >= 3) {
-        result.repetitiveEndings.push({
-          pattern,
-          count,
-          suggestion: `語尾の表現を変えてみてください。現在 ${count} 回使用されています。`
+    for (const [pattern, group] of Object.entries(endingGroups)) {
+      const hasRuns = group.consecutiveRuns.length > 0;
+      
+      if (pattern === endingDetector.ENDING_LABELS.OTHER) continue;
+      if (group.occurrences.length < endingDetector.CONFIG.MIN_TOTAL_COUNT && !hasRuns) continue;
+      
+      const occurrences = unsuppressed('repetitiveEnding', pattern, group.occurrences);
+      const count = occurrences.length;
+      
+      if (count === 0) continue;
+      
+      const longestRun = Math.max(0, ...group.consecutiveRuns.map(run => run.length));
+      const suggestion = hasRuns
+        ? `「${pattern}」が${longestRun}文連続しています。語尾の表現を変えてみてください。`
+        : `語尾の表現を変えてみてください。現在 ${count} 回使用されています。`;
+      
+      result.repetitiveEndings.push({
+        pattern,
+        count,
+        suggestion,
+        severity: scoring.CONFIG.DEFAULT_SEVERITY,
+        consecutiveRuns: group.consecutiveRuns,
+        occurrences
+      });
+      
+      occurrences.forEach(occurrence => {
+        const consecutive = group.consecutiveStarts.has(occurrence.start);
+        
+        result.issues.push({
+          type: 'repetitiveEnding',
+          rule: pattern,
+          ...occurrence,
+          consecutive,
+          severity: scoring.CONFIG.DEFAULT_SEVERITY,
+          suggestion
         });
-      }
+      });
     }
     
+    await checkpoint('repetitiveEnding');
+    
     // メディア特有のチェック
     mediaRules.mediaSpecificRules.forEach(rule => {
-      const regex = new RegExp(rule.pattern, 'g');
-      const matches = text.match(regex);
+      const occurrences = unsuppressed('mediaSpecific', rule.pattern,
+        matchRule('mediaSpecific', rule.pattern, rule, rule.pattern));
       
-      if (matches && matches.length > 0) {
+      if (occurrences.length > 0) {
         result.mediaSpecificIssues.push({
           pattern: rule.pattern,
-          count: matches.length,
-          description: rule.description
+          count: occurrences.length,
+          description: rule.description,
+          severity: scoring.normalizeSeverity(rule.severity),
+          occurrences
+        });
+        
+        occurrences.forEach(occurrence => {
+          result.issues.push({
+            type: 'mediaSpecific',
+            rule: rule.pattern,
+            ...occurrence,
+            severity: scoring.normalizeSeverity(rule.severity),
+            description: rule.description
+          });
         });
       }
     });
     
-    // スコア計算（シンプルな例）
-    const totalIssues = result.ambiguousPhrases.length + 
-                         result.repetitiveEndings.length + 
-                         result.mediaSpecificIssues.length;
+    await checkpoint('mediaSpecific');
     
-    const maxScore = 100;
-    const issueWeight = 5; // 1問題あたりの減点
+    // 表記ゆれの検出
+    const notation = notationChecker.detectNotationInconsistencies(
+      textFor('notationInconsistency'), mediaRules.notationVariants || []);
+    const notationClusters = notation.clusters;
+    
+    notation.errors.forEach(error => {
+      result.ruleErrors.push({ type: 'notationVariant', rule: error.reading, message: error.message });
+    });
+    
+    notationClusters.forEach(cluster => {
+      const suggestion = `表記を「${cluster.suggestion}」に統一してください。`;
+      const severity = scoring.normalizeSeverity(cluster.severity);
+      
+      // 推奨表記の出現箇所は指摘ではないため抑制の対象にしない
+      const variants = cluster.variants
+        .map(variant => {
+          const located = variant.occurrences.map(match => locateMatch(positions, match));
+          const occurrences = variant.form === cluster.suggestion
+            ? located
+            : unsuppressed('notationInconsistency', cluster.reading, located);
+          
+          return { form: variant.form, count: occurrences.length, occurrences };
+        })
+        .filter(variant => variant.count > 0);
+      
+      if (!variants.some(variant => variant.form !== cluster.suggestion)) return;
+      
+      result.notationInconsistencies.push({
+        reading: cluster.reading,
+        suggestion: cluster.suggestion,
+        severity,
+        variants
+      });
+      
+      // 推奨表記以外の出現箇所を指摘
+      variants.filter(variant => variant.form !== cluster.suggestion).forEach(variant => {
+        variant.occurrences.forEach(occurrence => {
+          result.issues.push({
+            type: 'notationInconsistency',
+            rule: cluster.reading,
+            ...occurrence,
+            form: variant.form,
+            expected: cluster.suggestion,
+            severity,
+            suggestion
+          });
+        });
+      });
+    });
+    
+    await checkpoint('notationInconsistency');
+    
+    // 固有名詞の誤表記と初出時の正式名称
+    const properNounGroups = new Map();
+    
+    properNounChecker.checkProperNouns(textFor('properNoun'), mediaRules.properNouns || []).forEach(finding => {
+      const [occurrence] = unsuppressed('properNoun', finding.canonical, [locateMatch(positions, finding)]);
+      if (!occurrence) return;
+      
+      const severity = scoring.normalizeSeverity(finding.severity);
+      const key = `${finding.canonical}:${finding.check}`;
+      
+      if (!properNounGroups.has(key)) {
+        const group = { canonical: finding.canonical, check: finding.check, count: 0, severity, occurrences: [] };
+        properNounGroups.set(key, group);
+        result.properNounIssues.push(group);
+      }
+      
+      const group = properNounGroups.get(key);
+      group.count++;
+      group.occurrences.push(occurrence);
+      
+      result.issues.push({
+        type: 'properNoun',
+        rule: finding.canonical,
+        ...occurrence,
+        check: finding.check,
+        severity,
+        description: finding.description
+      });
+    });
+    
+    await checkpoint('properNoun');
+    
+    // 日付・曜日・数値の整合性チェック（基準日より前・後とみなす日数は mediaProfiles の factCheck で設定）
+    const facts = factChecker.checkFacts(textFor('factConsistency'), {
+      ...(profile.factCheck || {}),
+      referenceDate: options.referenceDate
+    });
+    const factGroups = {};
+    
+    result.factChecks = {
+      referenceDate: facts.referenceDate,
+      dates: facts.dates.map(date => ({
+        ...date,
+        start: stripped.toOriginal(date.start, false),
+        end: stripped.toOriginal(date.end, true)
+      }))
+    };
+    
+    facts.issues.forEach(finding => {
+      const [occurrence] = unsuppressed('factConsistency', finding.rule, [locateMatch(positions, finding)]);
+      if (!occurrence) return;
+      
+      const severity = scoring.normalizeSeverity(finding.severity);
+      const key = `${finding.rule}:${severity}`;
+      
+      factGroups[key] = factGroups[key] || { category: 'factConsistency', rule: finding.rule, severity, count: 0 };
+      factGroups[key].count++;
+      
+      result.issues.push({
+        type: 'factConsistency',
+        rule: finding.rule,
+        ...occurrence,
+        severity,
+        description: finding.description
+      });
+    });
     
-    result.mediaScore = Math.max(0, maxScore - (totalIssues * issueWeight));
+    await checkpoint('factConsistency');
+    
+    // メディア種別ごとの分量測定（放送の読み上げ時間、新聞の字詰め行数）
+    const measured = await mediaMeasurements.measureText(text, mediaRules.mediaType, profile);
+    result.measurements = measured.measurements;
+    
+    if (result.measurements.readTime && result.measurements.readTime.overflowStart !== null) {
+      result.measurements.readTime.overflowStart = stripped.toOriginal(result.measurements.readTime.overflowStart, false);
+    }
+    
+    if (result.measurements.lineFit) {
+      const lineFit = result.measurements.lineFit;
+      
+      lineFit.lines = lineFit.lines.map(line => ({
+        ...line,
+        start: stripped.toOriginal(line.start, false),
+        end: stripped.toOriginal(line.end, true)
+      }));
+      
+      if (lineFit.overflowStart !== null) {
+        lineFit.overflowStart = stripped.toOriginal(lineFit.overflowStart, false);
+      }
+    }
+    
+    const measurementViolations = measured.violations.filter(violation => {
+      // 上限を超えた位置から末尾までを指摘
+      const [occurrence] = unsuppressed('measurement', violation.rule,
+        [positions.locate(violation.start, text.trimEnd().length)]);
+      
+      if (!occurrence) return false;
+      
+      result.issues.push({
+        type: 'measurement',
+        rule: violation.rule,
+        ...occurrence,
+        severity: scoring.normalizeSeverity(violation.severity),
+        description: violation.description
+      });
+      
+      return true;
+    });
+    
+    await checkpoint('measurement');
+    
+    // 検出箇所を位置順に並べる（重なり合う検出もそのまま含める）
+    sortByPosition(result.issues);
+    
+    // スコア計算（重要度と出現回数に応じて減点）
+    const scoreGroups = [
+      ...result.ambiguousPhrases.map(phrase => ({
+        category: 'ambiguousPhrase', rule: phrase.text, severity: phrase.severity, count: phrase.count
+      })),
+      ...result.repetitiveEndings.map(ending => ({
+        category: 'repetitiveEnding', rule: ending.pattern, severity: ending.severity, count: ending.count
+      })),
+      ...result.mediaSpecificIssues.map(issue => ({
+        category: 'mediaSpecific', rule: issue.pattern, severity: issue.severity, count: issue.count
+      })),
+      ...result.notationInconsistencies.map(cluster => ({
+        category: 'notationInconsistency',
+        rule: cluster.reading,
+        severity: cluster.severity,
+        count: cluster.variants
+          .filter(variant => variant.form !== cluster.suggestion)
+          .reduce((sum, variant) => sum + variant.count, 0)
+      })),
+      ...result.properNounIssues.map(group => ({
+        category: 'properNoun', rule: `${group.canonical}:${group.check}`, severity: group.severity, count: group.count
+      })),
+      ...measurementViolations.map(violation => ({
+        category: 'measurement', rule: violation.rule, severity: violation.severity, count: 1
+      })),
+      ...Object.values(factGroups)
+    ];
+    
+    const score = scoring.calculateScore(scoreGroups, profile);
+    result.mediaScore = score.score;
+    result.scoreBreakdown = score.breakdown;
     
     // 改善提案（基本的なルール）
     if (result.mediaScore < 70) {
       result.improvements.push('曖昧な表現や重複を避け、より具体的で多様な表現を心がけましょう。');
     }
     
+    await checkpoint('score');
+    
     // 詳細分析が必要な場合のみ追加の分析を実行
     if (detailedAnalysis) {
-      // 文章の長さチェック
-      const averageSentenceLength = text.length / sentences.length;
+      // 日本語の読みやすさ指標（メディア種別ごとの目標範囲と比較）
+      result.readability = readability.analyzeReadability(
+        text, sentenceSpans, mediaRules.mediaType, profile.readabilityTargets);
       
-      if (averageSentenceLength > 50) {
-        result.improvements.push(`文が平均${Math.round(averageSentenceLength)}文字と長めです。短く区切ることを検討してください。`);
+      if (result.readability.metrics.averageSentenceLength > (result.readability.targets.averageSentenceLength || {}).max) {
+        result.improvements.push(`文が平均${Math.round(result.readability.metrics.averageSentenceLength)}文字と長めです。短く区切ることを検討してください。`);
       }
       
-      // 読みやすさスコアの計算（簡易版）
-      const wordCount = text.replace(/\s+/g, ' ').split(' ').length;
-      const characterCount = text.replace(/\s+/g, '').length;
-      const sentenceCount = sentences.length;
-      
-      // 簡易的な読みやすさ指標
-      const readabilityScore = 100 - (characterCount / sentenceCount / 10);
+      result.readability.evaluations
+        .filter(evaluation => evaluation.status !== 'ok' && evaluation.metric !== 'averageSentenceLength')
+        .forEach(evaluation => {
+          const limit = evaluation.status === 'high' ? `目標上限 ${evaluation.max}` : `目標下限 ${evaluation.min}`;
+          result.improvements.push(`${evaluation.label}が目標範囲外です（現在 ${evaluation.value}、${limit}）。`);
+        });
       
-      if (readabilityScore < 60) {
-        result.improvements.push('文章が複雑すぎる可能性があります。短い文に分けることを検討してください。');
+      if (result.readability.grade === 'C' || result.readability.grade === 'D') {
+        result.improvements.push(`読みやすさの評価が${result.readability.grade}です。文を短く区切り、漢字を減らすことを検討してください。`);
       }
+      
+      await checkpoint('readability');
     }
     
     return result;
   } catch (error) {
+    if (error.cancelled) throw error;
+    
     console.error('テキスト分析エラー:', error);
     throw new Error('テキスト分析中にエラーが発生しました: ' + error.message);
   }
 }
 
+// アーカイブ文書の一覧・変更フィードで取得するファイルの項目
+const ARCHIVE_FILE_FIELDS = 'id, name, mimeType, webViewLink, modifiedTime, size, trashed, owners(emailAddress)';
+
 /**
- * Google Drive検索を実行
+ * Drive検索の入力エラーを生成（APIでは400として返す）
+ */
+function createSearchError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * 続きのページを取得するためのカーソルを作成
+ * Drive の pageToken は同じ検索条件でしか使えないため、検索条件のハッシュと並び順を一緒に持たせる
+ */
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data), 'utf8').toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * ISO 形式の日時（toISOString の出力と同じ形式）かどうか
+ */
+function isIsoTimestamp(value) {
+  return typeof value === 'string' && !isNaN(Date.parse(value)) && new Date(value).toISOString() === value;
+}
+
+/**
+ * カーソルを復元（不正な場合は入力エラー）
+ * 期間の日時は検索クエリにそのまま埋め込むため、ISO 形式以外の値は受け付けない
  */
-async function searchDrive(keyword, fileTypes, period) {
+function decodeCursor(cursor) {
   try {
-    const auth = getAuthClient();
-    const drive = google.drive({ version: 'v3', auth });
+    const data = JSON.parse(Buffer.from(String(cursor).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
     
-    // ファイルタイプによるクエリの構築
-    let mimeTypeQuery = '';
+    const isPosition = position => position === null ||
+      (typeof position === 'object' && (position.pageToken === null || typeof position.pageToken === 'string') &&
+       Number.isInteger(position.skip) && position.skip >= 0);
     
-    if (fileTypes && fileTypes.length > 0) {
-      const mimeTypes = [];
+    if (!data || !Array.isArray(data.positions) || !data.positions.every(isPosition) || typeof data.query !== 'string') {
+      throw new Error('invalid cursor');
+    }
+    
+    if (['since', 'until'].some(key => data[key] !== undefined && data[key] !== null && !isIsoTimestamp(data[key]))) {
+      throw new Error('invalid cursor');
+    }
+    
+    return data;
+  } catch (error) {
+    throw createSearchError('カーソルが不正です');
+  }
+}
+
+/**
+ * 検索クエリのハッシュ（カーソルと検索条件の照合用）
+ */
+function hashQuery(query) {
+  return crypto.createHash('sha1').update(query).digest('hex').slice(0, 16);
+}
+
+/**
+ * 検索対象のファイル形式（docs / pdf / text）を MIME タイプに変換
+ */
+function getSearchMimeTypes(fileTypes) {
+  return Object.keys(SEARCH_CONFIG.FILE_TYPES)
+    .filter(fileType => fileTypes && fileTypes.includes(fileType))
+    .map(fileType => SEARCH_CONFIG.FILE_TYPES[fileType]);
+}
+
+/**
+ * 検索期間（1w / 1m / 3m）の開始日時（ISO形式、期間の指定がない場合は null）
+ */
+function getPeriodStart(period) {
+  if (!period || period === 'all') return null;
+  
+  const now = new Date();
+  let dateThreshold = new Date();
+  
+  if (period === '1w') {
+    dateThreshold.setDate(now.getDate() - 7);
+  } else if (period === '1m') {
+    dateThreshold.setMonth(now.getMonth() - 1);
+  } else if (period === '3m') {
+    dateThreshold.setMonth(now.getMonth() - 3);
+  }
+  
+  return dateThreshold.toISOString();
+}
+
+/**
+ * 日付の指定（YYYY-MM-DD は日本時間の日付、または ISO 形式の日時）を ISO 形式に変換
+ * endOfDay を指定した場合、日付はその日の終わり（翌日の0時）とする
+ */
+function parseDateBoundary(value, name, endOfDay) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    const time = Date.parse(`${value}T00:00:00+09:00`);
+    // 2月30日のような存在しない日付は受け付けない
+    if (!isNaN(time) && new Date(time + JST_OFFSET_MS).toISOString().slice(0, 10) === value) {
+      return new Date(endOfDay ? time + DAY_MS : time).toISOString();
+    }
+  } else if (/^\d{4}-\d{2}-\d{2}T/.test(String(value)) && !isNaN(Date.parse(value))) {
+    return new Date(value).toISOString();
+  }
+  
+  throw createSearchError(`${name} は YYYY-MM-DD 形式で指定してください`);
+}
+
+/**
+ * 検索期間の開始・終了日時（ISO形式、指定がない場合は null）
+ * dateFrom / dateTo（両端を含む）を指定した場合は period の代わりに使う
+ */
+function getDateRange(period, dateFrom, dateTo) {
+  if (period && !SEARCH_CONFIG.PERIODS.includes(period)) {
+    throw createSearchError(`period は ${SEARCH_CONFIG.PERIODS.join(' / ')} のいずれかを指定してください`);
+  }
+  
+  if (!dateFrom && !dateTo) {
+    return { since: getPeriodStart(period), until: null };
+  }
+  
+  if (period && period !== 'all') {
+    throw createSearchError('period と dateFrom / dateTo は同時に指定できません');
+  }
+  
+  const since = dateFrom ? parseDateBoundary(dateFrom, 'dateFrom', false) : null;
+  const until = dateTo ? parseDateBoundary(dateTo, 'dateTo', true) : null;
+  
+  if (since && until && since >= until) {
+    throw createSearchError('dateFrom には dateTo 以前の日付を指定してください');
+  }
+  
+  return { since, until };
+}
+
+/**
+ * 検索範囲のフォルダ・共有ドライブの指定を検証
+ * folderIds はサブフォルダも含めて検索するフォルダ、driveId は共有ドライブ、allDrives はすべての共有ドライブを含めるかどうか
+ */
+function parseDriveScope(options) {
+  const folderIds = options.folderIds || [];
+  const idPattern = /^[A-Za-z0-9_-]+$/;
+  
+  if (!Array.isArray(folderIds) || !folderIds.every(id => typeof id === 'string' && idPattern.test(id))) {
+    throw createSearchError('folderIds はフォルダIDの配列で指定してください');
+  }
+  
+  if (folderIds.length > SEARCH_CONFIG.MAX_ROOT_FOLDERS) {
+    throw createSearchError(`folderIds は${SEARCH_CONFIG.MAX_ROOT_FOLDERS}件以内で指定してください`);
+  }
+  
+  if (options.driveId !== undefined && options.driveId !== null &&
+      (typeof options.driveId !== 'string' || !idPattern.test(options.driveId))) {
+    throw createSearchError('driveId は共有ドライブのIDで指定してください');
+  }
+  
+  if (options.allDrives !== undefined && typeof options.allDrives !== 'boolean') {
+    throw createSearchError('allDrives は true または false で指定してください');
+  }
+  
+  return {
+    folderIds: Array.from(new Set(folderIds)),
+    driveId: options.driveId || null,
+    allDrives: !!options.allDrives
+  };
+}
+
+/**
+ * 検索範囲に応じた files.list のパラメータ（corpora など）
+ * フォルダを指定した場合は共有ドライブ上のフォルダも検索できるよう、すべてのドライブを対象にする
+ */
+function getCorporaParams(scope) {
+  if (scope.driveId) {
+    return { corpora: 'drive', driveId: scope.driveId, includeItemsFromAllDrives: true, supportsAllDrives: true };
+  }
+  
+  if (scope.allDrives || scope.folderIds.length > 0) {
+    return { corpora: 'allDrives', includeItemsFromAllDrives: true, supportsAllDrives: true };
+  }
+  
+  return {};
+}
+
+/**
+ * 指定したフォルダとそのサブフォルダのIDを取得（フォルダの階層を順に辿る）
+ */
+async function collectFolderIds(drive, folderIds, corporaParams) {
+  const key = JSON.stringify([folderIds.slice().sort(), corporaParams.driveId || corporaParams.corpora || null]);
+  const cached = folderCache.get(key);
+  
+  if (cached && Date.now() - cached.loadedAt < SEARCH_CONFIG.FOLDER_CACHE_TTL_MS) {
+    return cached.folderIds;
+  }
+  
+  const found = new Set(folderIds);
+  let frontier = folderIds.slice();
+  
+  while (frontier.length > 0) {
+    const next = [];
+    
+    for (let i = 0; i < frontier.length; i += SEARCH_CONFIG.FOLDER_QUERY_CHUNK) {
+      const parents = frontier.slice(i, i + SEARCH_CONFIG.FOLDER_QUERY_CHUNK)
+        .map(id => `${searchQuery.quote(id)} in parents`)
+        .join(' or ');
+      let pageToken = null;
       
-      if (fileTypes.includes('docs')) {
-        mimeTypes.push('mimeType="application/vnd.google-apps.document"');
-      }
+      do {
+        const request = {
+          q: `mimeType='${FOLDER_MIME_TYPE}' and trashed=false and (${parents})`,
+          pageSize: 1000,
+          fields: 'nextPageToken, files(id)',
+          ...corporaParams
+        };
+        
+        if (pageToken) {
+          request.pageToken = pageToken;
+        }
+        
+        const response = await drive.files.list(request);
+        
+        (response.data.files || []).forEach(folder => {
+          if (!found.has(folder.id)) {
+            found.add(folder.id);
+            next.push(folder.id);
+          }
+        });
+        
+        if (found.size > SEARCH_CONFIG.MAX_SCOPE_FOLDERS) {
+          throw createSearchError(`サブフォルダを含めたフォルダ数が上限（${SEARCH_CONFIG.MAX_SCOPE_FOLDERS}件）を超えています。より下の階層のフォルダを指定してください`);
+        }
+        
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+    }
+    
+    frontier = next;
+  }
+  
+  const result = Array.from(found);
+  cacheFolderIds(key, result);
+  
+  return result;
+}
+
+/**
+ * サブフォルダの一覧をキャッシュ（期限切れの項目を削除し、上限を超える場合は古い項目から削除）
+ */
+function cacheFolderIds(key, folderIds) {
+  const now = Date.now();
+  
+  folderCache.forEach((entry, cachedKey) => {
+    if (now - entry.loadedAt >= SEARCH_CONFIG.FOLDER_CACHE_TTL_MS) {
+      folderCache.delete(cachedKey);
+    }
+  });
+  
+  folderCache.delete(key);
+  
+  while (folderCache.size >= SEARCH_CONFIG.MAX_FOLDER_CACHE_ENTRIES) {
+    folderCache.delete(folderCache.keys().next().value);
+  }
+  
+  folderCache.set(key, { folderIds, loadedAt: now });
+}
+
+/**
+ * 検索結果の並び順で2つのファイルを比較（relevance は Drive の順序を保つため、先に分けたクエリの結果を優先）
+ */
+function compareSearchResults(a, b, order) {
+  if (order === 'modifiedTime') return String(b.file.modifiedTime).localeCompare(String(a.file.modifiedTime));
+  if (order === 'name') return String(a.file.name).localeCompare(String(b.file.name));
+  return a.queryIndex - b.queryIndex;
+}
+
+/**
+ * 複数のクエリの検索結果を並び順に従って1ページ分にまとめる
+ * 各クエリの位置は { pageToken, skip }（取得済みで未返却の件数を skip で読み飛ばす）、すべて返却したクエリは null
+ * Drive の pageToken はページの途中から再開できないため、途中まで返却したページは次回も同じ pageToken から取得する
+ * 複数のクエリに一致するファイルは、isOwnResult が true を返すクエリの結果としてだけ返す
+ */
+async function listMergedPage(drive, queries, positions, baseRequest, pageSize, order, isOwnResult) {
+  const pages = await utils.mapWithConcurrency(queries, SEARCH_CONFIG.LIST_CONCURRENCY, async (query, queryIndex) => {
+    const position = positions[queryIndex];
+    if (!position) return null;
+    
+    const request = {
+      ...baseRequest,
+      q: query,
+      pageSize: Math.min(position.skip + pageSize, 1000)
+    };
+    
+    if (position.pageToken) {
+      request.pageToken = position.pageToken;
+    }
+    
+    const response = await drive.files.list(request);
+    
+    return {
+      files: (response.data.files || []).slice(position.skip),
+      nextPageToken: response.data.nextPageToken || null,
+      consumed: 0
+    };
+  });
+  
+  const files = [];
+  
+  while (files.length < pageSize) {
+    let best = null;
+    let blocked = false;
+    
+    pages.forEach((page, queryIndex) => {
+      if (!page) return;
       
-      if (fileTypes.includes('pdf')) {
-        mimeTypes.push('mimeType="application/pdf"');
+      if (page.consumed >= page.files.length) {
+        // 取得した分を返しきったが続きがあるクエリより後の結果は、順序が確定しないため返さない
+        if (page.nextPageToken) blocked = true;
+        return;
       }
       
-      if (fileTypes.includes('text')) {
-        mimeTypes.push('mimeType="text/plain"');
-      }
+      const candidate = { file: page.files[page.consumed], queryIndex };
       
-      if (mimeTypes.length > 0) {
-        mimeTypeQuery = '(' + mimeTypes.join(' or ') + ')';
+      if (!best || compareSearchResults(candidate, best, order) < 0) {
+        best = candidate;
       }
+    });
+    
+    if (!best || blocked) break;
+    
+    pages[best.queryIndex].consumed++;
+    
+    if (isOwnResult(best.file, best.queryIndex)) {
+      files.push(best.file);
     }
+  }
+  
+  const nextPositions = pages.map((page, queryIndex) => {
+    if (!page) return null;
     
-    // 期間によるクエリの構築
-    let dateQuery = '';
-    
-    if (period && period !== 'all') {
-      const now = new Date();
-      let dateThreshold = new Date();
-      
-      if (period === '1w') {
-        dateThreshold.setDate(now.getDate() - 7);
-      } else if (period === '1m') {
-        dateThreshold.setMonth(now.getMonth() - 1);
-      } else if (period === '3m') {
-        dateThreshold.setMonth(now.getMonth() - 3);
-      }
-      
-      dateQuery = `modifiedTime > '${dateThreshold.toISOString()}'`;
+    if (page.consumed < page.files.length) {
+      return { pageToken: positions[queryIndex].pageToken, skip: positions[queryIndex].skip + page.consumed };
+    }
+    
+    return page.nextPageToken ? { pageToken: page.nextPageToken, skip: 0 } : null;
+  });
+  
+  return { files, positions: nextPositions };
+}
+
+/**
+ * Driveのファイルの本文を取得（抽出できない形式の場合は null）
+ * Googleドキュメントはテキストとしてエクスポートし、PDF・テキストファイルはダウンロードして本文を抽出
+ */
+async function fetchFileText(drive, file) {
+  if (file.mimeType === SEARCH_CONFIG.FILE_TYPES.docs) {
+    const docResponse = await drive.files.export({
+      fileId: file.id,
+      mimeType: 'text/plain'
+    });
+    
+    return docResponse.data;
+  }
+  
+  if (fileExtractor.canExtract(file.mimeType)) {
+    return (await fileExtractor.extractFileText(drive, file)).text;
+  }
+  
+  return null;
+}
+
+/**
+ * アーカイブ文書（検索対象の形式のファイル）を更新日時の新しい順に取得
+ * アーカイブ索引・類似記事の指紋の作成に使う（maxFiles を超える分は古い文書から除く）
+ */
+async function listArchiveFiles(drive, maxFiles) {
+  const mimeTypeQuery = Object.values(SEARCH_CONFIG.FILE_TYPES)
+    .map(mimeType => `mimeType="${mimeType}"`)
+    .join(' or ');
+  const files = [];
+  let pageToken = null;
+  
+  do {
+    const request = {
+      q: `trashed=false and (${mimeTypeQuery})`,
+      pageSize: SEARCH_CONFIG.MAX_PAGE_SIZE,
+      orderBy: 'modifiedTime desc',
+      fields: `nextPageToken, files(${ARCHIVE_FILE_FIELDS})`
+    };
+    
+    if (pageToken) {
+      request.pageToken = pageToken;
+    }
+    
+    const response = await drive.files.list(request);
+    files.push(...(response.data.files || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && files.length < maxFiles);
+  
+  return files.slice(0, maxFiles);
+}
+
+/**
+ * 一致箇所を取得できなかった場合のスニペット
+ */
+function snippetMessage(message) {
+  return { snippet: message, contexts: [], matchCount: null };
+}
+
+/**
+ * 検索結果のファイルからスニペット（一致部分のコンテキスト）を取得
+ */
+async function fetchSnippet(drive, file, terms, maxContexts) {
+  try {
+    const text = await fetchFileText(drive, file);
+    
+    if (text !== null) {
+      return extractSnippet(text, terms, maxContexts);
+    }
+    
+    // その他の形式の場合はスニペットを取得しない
+    return snippetMessage('プレビューするにはリンクをクリックしてください。');
+  } catch (error) {
+    if (error.reason === 'tooLarge') {
+      return snippetMessage('ファイルが大きいためプレビューできません。リンクをクリックしてください。');
+    }
+    
+    if (error.reason === 'timeout') {
+      return snippetMessage('プレビューの取得に時間がかかるため省略しました。リンクをクリックしてください。');
+    }
+    
+    console.error('スニペット取得エラー:', error);
+    return snippetMessage('コンテンツを取得できませんでした。');
+  }
+}
+
+/**
+ * Google Drive検索を実行
+ * keyword は search-query の書式（フレーズ・AND/OR・除外・title:/owner:）で解析し、エスケープして Drive のクエリに変換する
+ * options.pageSize は1ページの件数、options.orderBy は relevance / modifiedTime / name
+ * 前回の結果の nextCursor を options.cursor に指定すると続きのページを返す
+ * options.snippets に false を指定した場合はスニペットを取得せず、getSearchSnippets で表示する分だけ後から取得できる
+ * options.maxContexts は1ファイルあたりに返す一致箇所のコンテキスト数
+ * options.folderIds を指定した場合はそのフォルダとサブフォルダ内のファイルだけを検索し、
+ * options.driveId で共有ドライブ、options.allDrives ですべての共有ドライブを検索対象にする
+ * options.dateFrom / options.dateTo（YYYY-MM-DD、両端を含む）を指定した場合は period の代わりに更新日で絞り込む
+ */
+async function searchDrive(keyword, fileTypes, period, options = {}) {
+  const pageSize = options.pageSize === undefined ? SEARCH_CONFIG.DEFAULT_PAGE_SIZE : parseInt(options.pageSize, 10);
+  const order = options.orderBy || SEARCH_CONFIG.DEFAULT_ORDER;
+  const maxContexts = parseMaxContexts(options.maxContexts);
+  
+  if (!(pageSize >= 1 && pageSize <= SEARCH_CONFIG.MAX_PAGE_SIZE)) {
+    throw createSearchError(`pageSize は1〜${SEARCH_CONFIG.MAX_PAGE_SIZE}の範囲で指定してください`);
+  }
+  
+  if (!Object.prototype.hasOwnProperty.call(SEARCH_CONFIG.ORDER_BY, order)) {
+    throw createSearchError(`orderBy は ${Object.keys(SEARCH_CONFIG.ORDER_BY).join(' / ')} のいずれかを指定してください`);
+  }
+  
+  const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+  const parsedQuery = searchQuery.parseSearchQuery(keyword);
+  const terms = searchQuery.getSnippetTerms(parsedQuery);
+  const scope = parseDriveScope(options);
+  const corporaParams = getCorporaParams(scope);
+  
+  // 続きのページでは最初のページと同じ期間を使う
+  const { since, until } = cursor
+    ? { since: cursor.since || null, until: cursor.until || null }
+    : getDateRange(period, options.dateFrom, options.dateTo);
+  
+  try {
+    const drive = getDriveClient();
+    
+    // ファイルタイプによるクエリの構築
+    let mimeTypeQuery = '';
+    const mimeTypes = getSearchMimeTypes(fileTypes);
+    
+    if (mimeTypes.length > 0) {
+      mimeTypeQuery = '(' + mimeTypes.map(mimeType => `mimeType="${mimeType}"`).join(' or ') + ')';
     }
     
     // 検索クエリの構築
-    let query = `fullText contains '${keyword}' and trashed=false`;
+    let query = `${searchQuery.toDriveQuery(parsedQuery)} and trashed=false`;
+    const folderQueryIndex = new Map();   // フォルダID → そのフォルダを含むクエリの番号
     
     if (mimeTypeQuery) {
       query += ` and ${mimeTypeQuery}`;
     }
     
-    if (dateQuery) {
-      query += ` and ${dateQuery}`;
+    // 期間によるクエリの構築
+    if (since) {
+      query += ` and modifiedTime >= '${since}'`;
     }
     
-    // 検索の実行
-    const response = await drive.files.list({
-      q: query,
-      pageSize: 20,
-      fields: 'nextPageToken, files(id, name, mimeType, webViewLink, modifiedTime)',
-      orderBy: 'modifiedTime desc'
-    });
+    if (until) {
+      query += ` and modifiedTime < '${until}'`;
+    }
+    
+    let queries = [query];
     
-    // 検索結果の処理
-    const items = await Promise.all(response.data.files.map(async file => {
-      let snippet = '';
+    // フォルダによるクエリの構築（サブフォルダを含む。フォルダが多い場合はクエリを分けて検索し、結果をまとめる）
+    if (scope.folderIds.length > 0) {
+      const folderIds = await collectFolderIds(drive, scope.folderIds, corporaParams);
+      queries = [];
       
-      // 検索結果のスニペット（一致部分のコンテキスト）を取得
-      try {
-        if (file.mimeType === 'application/vnd.google-apps.document') {
-          const docResponse = await drive.files.export({
-            fileId: file.id,
-            mimeType: 'text/plain'
-          });
-          
-          const content = docResponse.data;
-          snippet = extractSnippet(content, keyword);
-        } else {
-          // テキストファイルや他の形式の場合はスニペットを取得しない
-          snippet = 'プレビューするにはリンクをクリックしてください。';
-        }
-      } catch (error) {
-        console.error('スニペット取得エラー:', error);
-        snippet = 'コンテンツを取得できませんでした。';
+      for (let i = 0; i < folderIds.length; i += SEARCH_CONFIG.PARENTS_PER_QUERY) {
+        const parents = folderIds.slice(i, i + SEARCH_CONFIG.PARENTS_PER_QUERY)
+          .map(id => `${searchQuery.quote(id)} in parents`)
+          .join(' or ');
+        queries.push(`${query} and (${parents})`);
       }
       
-      return {
-        id: file.id,
-        title: file.name,
-        mimeType: file.mimeType,
-        webViewLink: file.webViewLink,
-        modifiedTime: file.modifiedTime,
-        snippet
-      };
+      folderIds.forEach((id, index) => {
+        folderQueryIndex.set(id, Math.floor(index / SEARCH_CONFIG.PARENTS_PER_QUERY));
+      });
+    }
+    
+    // 共有ドライブの指定が異なるカーソルは使えないため、検索対象のドライブもハッシュに含める
+    const queryHash = hashQuery(`${queries.join('\u0000')}\u0000${corporaParams.corpora || ''}\u0000${corporaParams.driveId || ''}`);
+    
+    if (cursor && (cursor.query !== queryHash || cursor.orderBy !== order || cursor.positions.length !== queries.length)) {
+      throw createSearchError('カーソルが検索条件と一致しません。最初のページから検索し直してください');
+    }
+    
+    // 検索の実行
+    const baseRequest = {
+      fields: 'nextPageToken, files(id, name, mimeType, webViewLink, modifiedTime, size, parents)',
+      ...corporaParams
+    };
+    
+    // 分けたクエリの複数に一致するファイル（複数のフォルダに置かれたファイル）は、最初に一致するクエリの結果としてだけ返す
+    const isOwnResult = (file, queryIndex) => queries.length === 1 ||
+      !(file.parents || []).some(parent => folderQueryIndex.has(parent) && folderQueryIndex.get(parent) < queryIndex);
+    
+    if (SEARCH_CONFIG.ORDER_BY[order]) {
+      baseRequest.orderBy = SEARCH_CONFIG.ORDER_BY[order];
+    }
+    
+    const page = await listMergedPage(
+      drive,
+      queries,
+      cursor ? cursor.positions : queries.map(() => ({ pageToken: null, skip: 0 })),
+      baseRequest,
+      pageSize,
+      order,
+      isOwnResult
+    );
+    const files = page.files;
+    
+    // 検索結果の処理（スニペットはこのページのファイル分のみ取得）
+    const items = await utils.mapWithConcurrency(files, SEARCH_CONFIG.SNIPPET_CONCURRENCY, async file => ({
+      id: file.id,
+      title: file.name,
+      mimeType: file.mimeType,
+      webViewLink: file.webViewLink,
+      modifiedTime: file.modifiedTime,
+      ...(options.snippets === false
+        ? { snippet: null, contexts: null, matchCount: null }
+        : await fetchSnippet(drive, file, terms, maxContexts))
     }));
     
+    const hasMore = page.positions.some(position => position !== null);
+    
     return {
       items,
-      hasMore: !!response.data.nextPageToken
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor({
+          positions: page.positions,
+          query: queryHash,
+          orderBy: order,
+          since,
+          until
+        })
+        : null,
+      pageSize,
+      orderBy: order
     };
   } catch (error) {
+    if (error.statusCode) throw error;
+    
     console.error('Drive検索エラー:', error);
     throw new Error('Drive検索中にエラーが発生しました: ' + error.message);
   }
 }
 
 /**
- * テキストから検索キーワードに関連するスニペットを抽出
+ * 検索結果のファイルのスニペットを取得（snippets: false で検索した結果の表示用）
+ */
+async function getSearchSnippets(fileIds, keyword, options = {}) {
+  const terms = searchQuery.getSnippetTerms(searchQuery.parseSearchQuery(keyword));
+  const maxContexts = parseMaxContexts(options.maxContexts);
+  
+  try {
+    const drive = getDriveClient();
+    
+    const snippets = await utils.mapWithConcurrency(fileIds, SEARCH_CONFIG.SNIPPET_CONCURRENCY, async fileId => {
+      try {
+        const file = await drive.files.get({ fileId, fields: 'id, mimeType, size', supportsAllDrives: true });
+        return { id: fileId, ...(await fetchSnippet(drive, file.data, terms, maxContexts)) };
+      } catch (error) {
+        console.error('スニペット取得エラー:', error);
+        return { id: fileId, ...snippetMessage('コンテンツを取得できませんでした。') };
+      }
+    });
+    
+    return { snippets };
+  } catch (error) {
+    console.error('スニペット取得エラー:', error);
+    throw new Error('スニペットの取得中にエラーが発生しました: ' + error.message);
+  }
+}
+
+/**
+ * コンテキスト数の指定を検証
  */
-function extractSnippet(text, keyword) {
-  const maxLength = 150;
-  const regex = new RegExp(`(.{0,50}${keyword}.{0,50})`, 'i');
-  const match = text.match(regex);
+function parseMaxContexts(value) {
+  if (value === undefined || value === null) return SEARCH_CONFIG.DEFAULT_CONTEXTS;
   
-  if (match && match[1]) {
-    let snippet = match[1];
+  const maxContexts = parseInt(value, 10);
+  
+  if (!(maxContexts >= 1 && maxContexts <= SEARCH_CONFIG.MAX_CONTEXTS)) {
+    throw createSearchError(`maxContexts は1〜${SEARCH_CONFIG.MAX_CONTEXTS}の範囲で指定してください`);
+  }
+  
+  return maxContexts;
+}
+
+/**
+ * 検索語の出現箇所をすべて求める（大文字・小文字は区別せず、重なる出現はまとめる）
+ */
+function findTermOccurrences(text, terms) {
+  const lowerText = text.toLowerCase();
+  const found = [];
+  
+  terms.forEach(term => {
+    const needle = term.toLowerCase();
+    let index = lowerText.indexOf(needle);
     
-    // スニペットが最大長を超える場合は切り詰める
-    if (snippet.length > maxLength) {
-      snippet = '...' + snippet.substring(snippet.length - maxLength + 3);
+    while (index !== -1) {
+      found.push({ start: index, end: index + needle.length });
+      index = lowerText.indexOf(needle, index + needle.length);
     }
+  });
+  
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  
+  return found.reduce((merged, occurrence) => {
+    const last = merged[merged.length - 1];
     
-    if (!snippet.endsWith('.')) {
-      snippet += '...';
+    if (last && occurrence.start < last.end) {
+      last.end = Math.max(last.end, occurrence.end);
+    } else {
+      merged.push({ ...occurrence });
     }
     
-    return snippet;
+    return merged;
+  }, []);
+}
+
+/**
+ * 出現箇所を含む文の範囲（句点・感嘆符・疑問符・改行で区切る）
+ */
+function sentenceRangeAt(text, occurrence) {
+  const before = text.slice(0, occurrence.start);
+  const start = Math.max(...['。', '！', '？', '\n'].map(mark => before.lastIndexOf(mark))) + 1;
+  
+  const afterEnds = ['。', '！', '？'].map(mark => text.indexOf(mark, occurrence.end))
+    .filter(index => index !== -1)
+    .map(index => index + 1);
+  const lineEnd = text.indexOf('\n', occurrence.end);
+  afterEnds.push(lineEnd === -1 ? text.length : lineEnd);
+  
+  return { start, end: Math.min(...afterEnds) };
+}
+
+/**
+ * テキストから検索語の一致箇所のコンテキストを抽出
+ * コンテキストは一致箇所を含む文を単位とし、長い文は一致箇所が欠けないように前後を切り詰める
+ * 各コンテキストの highlights はコンテキスト内での一致箇所の位置
+ */
+function extractSnippet(text, terms, maxContexts = SEARCH_CONFIG.DEFAULT_CONTEXTS) {
+  const occurrences = findTermOccurrences(text, terms);
+  
+  if (occurrences.length === 0) {
+    return snippetMessage('キーワードの一致箇所のプレビューを取得できませんでした。');
   }
   
-  return 'キーワードの一致箇所のプレビューを取得できませんでした。';
+  const maxLength = SEARCH_CONFIG.MAX_CONTEXT_LENGTH;
+  const ranges = [];
+  
+  occurrences.forEach(occurrence => {
+    const current = ranges[ranges.length - 1];
+    
+    // 同じコンテキストに含まれる一致箇所はまとめてハイライトする
+    if (current && occurrence.end <= current.end) {
+      current.occurrences.push(occurrence);
+      return;
+    }
+    
+    if (ranges.length >= maxContexts) return;
+    
+    let { start, end } = sentenceRangeAt(text, occurrence);
+    
+    // 前のコンテキストと重ならないようにする
+    if (current) {
+      start = Math.max(start, Math.min(current.end, occurrence.start));
+    }
+    
+    if (end - start > maxLength) {
+      const margin = Math.max(Math.floor((maxLength - (occurrence.end - occurrence.start)) / 2), 0);
+      start = Math.max(start, occurrence.start - margin);
+      end = Math.min(end, Math.max(occurrence.end + margin, start + maxLength));
+    }
+    
+    ranges.push({ start, end, occurrences: [occurrence] });
+  });
+  
+  const contexts = ranges.map(range => {
+    const raw = text.slice(range.start, range.end);
+    const leading = raw.length - raw.trimStart().length;
+    const body = raw.trim();
+    const prefix = range.start > 0 && !/[。！？\n]/.test(text[range.start - 1]) ? '...' : '';
+    const suffix = range.end < text.length && !/[。！？\n]/.test(text[range.end - 1]) ? '...' : '';
+    const offset = range.start + leading - prefix.length;
+    
+    return {
+      text: prefix + body + suffix,
+      position: range.start + leading,
+      highlights: range.occurrences.map(occurrence => ({
+        start: occurrence.start - offset,
+        end: occurrence.end - offset
+      }))
+    };
+  });
+  
+  return {
+    snippet: contexts[0].text,
+    contexts,
+    matchCount: occurrences.length
+  };
 }
 
 module.exports = {
+  MEDIA_TYPES,
+  ANALYSIS_PHASES,
+  createEmptyRules,
+  addStyleRule,
+  loadMediaRules,
   getMediaRules,
   analyzeText,
-  searchDrive
+  SEARCH_CONFIG,
+  ARCHIVE_FILE_FIELDS,
+  getDriveClient,
+  getSearchMimeTypes,
+  getDateRange,
+  isIsoTimestamp,
+  parseDriveScope,
+  fetchFileText,
+  listArchiveFiles,
+  parseMaxContexts,
+  extractSnippet,
+  searchDrive,
+  getSearchSnippets
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * TextStation Pro - 形態素解析
+ * kuromoji（同梱辞書）を使用したオフラインの日本語トークナイザーを提供
+ */
+
+const path = require('path');
+const kuromoji = require('kuromoji');
+
+// 辞書はnpmパッケージに同梱されているものを使用（外部通信なし）
+const DICT_PATH = path.join(path.dirname(require.resolve('kuromoji')), '..', 'dict');
+
+// トークナイザー（辞書の読み込みに時間がかかるためプロセス内で共有）
+let tokenizerPromise = null;
+
+/**
+ * トークナイザーを取得（初回のみ辞書を読み込む）
+ */
+function getTokenizer() {
+  if (tokenizerPromise) return tokenizerPromise;
+  
+  tokenizerPromise = new Promise((resolve, reject) => {
+    kuromoji.builder({ dicPath: DICT_PATH }).build((error, tokenizer) => {
+      if (error) {
+        // 次回呼び出し時に再試行できるようにする
+        tokenizerPromise = null;
+        reject(error);
+        return;
+      }
+      
+      resolve(tokenizer);
+    });
+  });
+  
+  return tokenizerPromise;
+}
+
+/**
+ * テキストを形態素に分割し、各形態素の文字オフセットを付与
+ */
+async function tokenize(text, offset = 0) {
+  const tokenizer = await getTokenizer();
+  
+  return tokenizer.tokenize(text).map(token => ({
+    surface: token.surface_form,
+    pos: token.pos,
+    posDetail: token.pos_detail_1,
+    basicForm: token.basic_form,
+    reading: token.reading,
+    pronunciation: token.pronunciation,
+    // word_position は1始まり
+    start: offset + token.word_position - 1,
+    end: offset + token.word_position - 1 + token.surface_form.length
+  }));
+}
+
+module.exports = {
+  getTokenizer,
+  tokenize
+};
\ No newline at end of file
@@ -351,6 +351,33 @@ function formatDate(timestamp) {
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * 正規表現の特殊文字をエスケープ
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 同時実行数を制限して配列の各要素に非同期処理を適用（結果は入力と同じ順序）
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  
+  return results;
+}
+
 /**
  * エラーレスポンスを生成
  */
@@ -375,5 +402,7 @@ module.exports = {
   getBackups,
   getBackup,
   formatDate,
+  escapeRegExp,
+  mapWithConcurrency,
   createErrorResponse
 };
\ No newline at end of file